@@ -1,53 +1,120 @@
 // advanced-mcp-server.js - REAL MCP Power: Tool Orchestration
+import 'dotenv/config';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
   ListToolsRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 import axios from 'axios';
 import fs from 'fs/promises';
 import path from 'path';
-import dotenv from 'dotenv';
+import { generateText, generateTextWithFallback, getModel, listModels } from './lib/providers.js';
+import { analyzeAgreement, buildSynthesisPrompt } from './lib/consensus.js';
+import { EXECUTION_MODES, executeWorkflow, loadWorkflow, WorkflowError } from './lib/workflows.js';
+import { createContextStorage, DEFAULT_SESSION_ID } from './lib/storage.js';
+import { currentUsageClient, getUsageSummary, runWithUsageClient } from './lib/usage.js';
+import { RECOVERY_STRATEGIES, circuitStatus, diagnoseError, getFallbackChain } from './lib/recovery.js';
+import {
+  FEEDBACK_TYPES,
+  PromptTemplateError,
+  TEMPLATE_NAME_PATTERN,
+  addVersion,
+  createTemplate,
+  deleteTemplate,
+  getTemplate,
+  listTemplates,
+  rankVersions,
+  renderTemplate,
+  selectVersion,
+  templateVariables
+} from './lib/prompts.js';
+import { chargeRequest } from './lib/auth.js';
+import { isMainModule } from './lib/main-module.js';
+import { ValidationError, validateInput } from './lib/schema.js';
 
-dotenv.config();
+// intelligent_error_recovery retries a model at most this many times per call
+const MAX_RECOVERY_RETRIES = 5;
 
-// Create MCP server with RESOURCES and CONTEXT management
-const server = new Server(
-  {
-    name: 'curam-ai-advanced-mcp',
-    version: '2.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-      resources: {},  // This is what makes MCP powerful!
+// Text models by catalog key or dashed alias (gemini_flash, gemini-flash)
+const TEXT_MODEL_NAMES = listModels({ capability: 'text' }).flatMap(model => [model.key.replace(/_/g, '-'), model.key]);
+
+const CONSENSUS_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    prompt: { type: 'string', minLength: 1 },
+    models: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', enum: TEXT_MODEL_NAMES },
+      description: 'Text models to ask, each at most once',
+      default: ['gemini-flash', 'gemini-pro']
     },
+    consensus_threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7 },
+    judge_model: { type: 'string', enum: TEXT_MODEL_NAMES, default: 'gemini-pro' }
+  },
+  required: ['prompt']
+};
+
+// Context storage - file-backed by default, see lib/storage.js for backends and retention
+const contextStorage = createContextStorage();
+
+// SESSIONS - history and preferences are scoped to a session/user id, taken from the
+// tool's session_id argument or the request's _meta.session_id. Over HTTP, createServer
+// prefixes every session id with the caller's namespace (see withSession).
+const SESSION_ID_PATTERN = /^[\w.@-]{1,128}$/;
+const SCOPED_SESSION_ID_PATTERN = /^(?:[\w-]+:)?[\w.@-]{1,128}$/;
+const SESSION_ID_ERROR = 'session_id must be 1-128 letters, digits, or . _ @ - characters';
+const CONTEXT_URI_PATTERN = /^context:\/\/(conversation|user-preferences)(?:\/([^/]+))?$/;
+
+function resolveSessionId(params = {}) {
+  const sessionId = params.arguments?.session_id || params._meta?.session_id || DEFAULT_SESSION_ID;
+  if (typeof sessionId !== 'string' || !SCOPED_SESSION_ID_PATTERN.test(sessionId)) {
+    throw new McpError(ErrorCode.InvalidParams, SESSION_ID_ERROR);
   }
-);
+  return sessionId;
+}
 
-// In-memory context store (in production, this would be a database)
-const contextStore = new Map();
-const conversationHistory = [];
+function withSessionId(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        session_id: {
+          type: 'string',
+          description: 'Session or user id that scopes conversation history and learned preferences',
+          default: DEFAULT_SESSION_ID
+        }
+      }
+    }
+  };
+}
 
 // RESOURCES - MCP can expose data sources
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
+async function listResources(request) {
+  const sessionId = resolveSessionId(request.params);
+
   return {
     resources: [
       {
-        uri: 'context://conversation',
+        uri: `context://conversation/${sessionId}`,
         name: 'Conversation History',
-        description: 'Complete conversation context and memory',
+        description: 'Complete conversation context and memory for this session',
         mimeType: 'application/json'
       },
       {
-        uri: 'context://user-preferences',
+        uri: `context://user-preferences/${sessionId}`,
         name: 'User Preferences',
-        description: 'Learned user preferences and patterns',
+        description: 'Learned user preferences and patterns for this session',
         mimeType: 'application/json'
       },
       {
@@ -55,53 +122,126 @@ server.setRequestHandler(ListResourcesRequestSchema, async () => {
         name: 'Available Tools',
         description: 'Dynamic tool registry with capabilities',
         mimeType: 'application/json'
+      },
+      {
+        uri: 'usage://summary',
+        name: 'Model Usage',
+        description: 'Token counts and estimated cost per day and model for this connection',
+        mimeType: 'application/json'
+      }
+    ]
+  };
+}
+
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: [
+      {
+        uriTemplate: 'context://conversation/{session}',
+        name: 'Conversation History',
+        description: 'Conversation history for a session or user id',
+        mimeType: 'application/json'
+      },
+      {
+        uriTemplate: 'context://user-preferences/{session}',
+        name: 'User Preferences',
+        description: 'Learned preferences and patterns for a session or user id',
+        mimeType: 'application/json'
       }
     ]
   };
-});
+}
 
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+async function readResource(request) {
   const { uri } = request.params;
+
+  // context://conversation and context://user-preferences without a session
+  // segment resolve to the caller's session
+  const contextMatch = uri.match(CONTEXT_URI_PATTERN);
+  if (contextMatch) {
+    const [, kind, sessionSegment] = contextMatch;
+    const sessionId = resolveSessionId(
+      sessionSegment ? { _meta: { session_id: decodeURIComponent(sessionSegment) } } : request.params
+    );
+    const data = kind === 'conversation'
+      ? await contextStorage.getHistory(sessionId)
+      : await contextStorage.getPreferences(sessionId);
+
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2)
+      }]
+    };
+  }
   
   switch (uri) {
-    case 'context://conversation':
-      return {
-        contents: [{
-          uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(conversationHistory, null, 2)
-        }]
-      };
-      
-    case 'context://user-preferences':
+    case 'tools://available':
       return {
         contents: [{
           uri,
           mimeType: 'application/json',
-          text: JSON.stringify(Object.fromEntries(contextStore), null, 2)
+          text: JSON.stringify({
+            totalTools: (await listTools()).tools.length,
+            categories: ['ai-models', 'data-analysis', 'context-management', 'workflow'],
+            lastUpdated: new Date().toISOString()
+          }, null, 2)
         }]
       };
-      
-    case 'tools://available':
+
+    case 'usage://summary':
       return {
         contents: [{
           uri,
           mimeType: 'application/json',
-          text: JSON.stringify({
-            totalTools: 8,
-            categories: ['ai-models', 'data-analysis', 'context-management', 'workflow'],
-            lastUpdated: new Date().toISOString()
-          }, null, 2)
+          // Only the caller's own usage; GET /admin/usage shows every client
+          text: JSON.stringify(await getUsageSummary({ client: currentUsageClient() }), null, 2)
         }]
       };
       
     default:
       throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
   }
-});
+}
+
+// PROMPTS - the prompt template library, exposed as MCP prompts
+async function listPrompts() {
+  const templates = await listTemplates();
+  return {
+    prompts: await Promise.all(templates.map(async ({ name, description }) => {
+      const { versions } = await getTemplate(name);
+      const { required, optional } = templateVariables(versions[versions.length - 1].template);
+      return {
+        name,
+        ...(description && { description }),
+        arguments: [
+          ...required.map(variable => ({ name: variable, required: true })),
+          ...optional.map(variable => ({ name: variable, required: false }))
+        ]
+      };
+    }))
+  };
+}
+
+async function getPrompt(request) {
+  const { name, arguments: variables = {} } = request.params;
+  try {
+    const [{ description }, rendered] = await Promise.all([getTemplate(name), renderTemplate(name, variables)]);
+    return {
+      description: `${description || name} (version ${rendered.version})`,
+      messages: [{ role: 'user', content: { type: 'text', text: rendered.text } }]
+    };
+  } catch (error) {
+    if (error instanceof PromptTemplateError) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    throw error;
+  }
+}
 
 // ADVANCED TOOLS - This is what you can't easily do with WordPress/REST
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function listTools() {
   return {
     tools: [
       {
@@ -138,46 +278,88 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'adaptive_prompt_optimization',
-        description: 'Optimize prompts based on model performance and user feedback',
+        description: 'Rewrite a prompt template for a model and goal, starting from its best-rated version, and store the result as a new version',
         inputSchema: {
           type: 'object',
           properties: {
-            base_prompt: { type: 'string' },
-            target_model: { type: 'string' },
+            template_name: { type: 'string', pattern: TEMPLATE_NAME_PATTERN },
+            base_prompt: {
+              type: 'string',
+              description: 'Creates template_name with this text when it does not exist yet'
+            },
+            target_model: { type: 'string', description: 'Text model the prompt is optimized for, e.g. claude-sonnet' },
             optimization_goal: { 
               type: 'string',
-              enum: ['accuracy', 'creativity', 'brevity', 'detail'],
+              enum: Object.keys(OPTIMIZATION_GOALS),
               default: 'accuracy'
             },
-            user_feedback_history: { type: 'array' }
+            user_feedback_history: {
+              type: 'array',
+              description: 'Feedback on earlier versions; the best-rated version is the one rewritten',
+              items: {
+                type: 'object',
+                properties: {
+                  version: { type: 'integer', minimum: 1 },
+                  feedback: { type: 'string', enum: FEEDBACK_TYPES },
+                  weight: { type: 'number', default: 1 }
+                },
+                required: ['version', 'feedback']
+              }
+            }
           },
-          required: ['base_prompt', 'target_model']
+          required: ['template_name', 'target_model']
         }
       },
       {
-        name: 'multi_model_consensus',
-        description: 'Get consensus from multiple models and identify disagreements',
+        name: 'get_prompt_template',
+        description: 'Get a prompt template with all its versions, or list every template when name is omitted',
         inputSchema: {
           type: 'object',
           properties: {
-            prompt: { type: 'string' },
-            models: { 
-              type: 'array',
-              items: { type: 'string' },
-              default: ['gemini-flash', 'gemini-pro']
-            },
-            consensus_threshold: { type: 'number', default: 0.7 }
+            name: { type: 'string' }
+          }
+        }
+      },
+      {
+        name: 'save_prompt_template',
+        description: 'Create a prompt template, or add a new version when it already exists',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', pattern: TEMPLATE_NAME_PATTERN },
+            template: { type: 'string', description: 'Prompt text with {{variable}} placeholders; {{variable || \'default\'}} makes one optional' },
+            description: { type: 'string' },
+            notes: { type: 'string', description: 'What changed in this version' }
           },
-          required: ['prompt']
+          required: ['name', 'template']
         }
       },
+      {
+        name: 'delete_prompt_template',
+        description: 'Delete a prompt template; deleting a changed built-in template restores the original',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' }
+          },
+          required: ['name']
+        }
+      },
+      {
+        name: 'multi_model_consensus',
+        description: 'Get consensus from multiple models and identify disagreements',
+        inputSchema: CONSENSUS_INPUT_SCHEMA
+      },
       {
         name: 'workflow_orchestration',
         description: 'Execute complex multi-step AI workflows with decision points',
         inputSchema: {
           type: 'object',
           properties: {
-            workflow_name: { type: 'string' },
+            workflow_name: {
+              type: 'string',
+              description: 'Name of a workflow definition in the workflows/ directory (.yaml, .yml or .json)'
+            },
             input_data: { type: 'object' },
             execution_mode: {
               type: 'string',
@@ -226,26 +408,41 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: 'object',
           properties: {
-            error_context: { type: 'object' },
+            error_context: {
+              type: 'object',
+              description: 'The failed model call and what went wrong',
+              properties: {
+                model: { type: 'string', description: 'Model that failed, e.g. claude-sonnet' },
+                prompt: { type: 'string', description: 'Prompt to re-run (not needed for user_input)' },
+                error: { type: 'string', description: 'Error message, if known' },
+                status: { type: 'number', description: 'HTTP status from the provider, if known' }
+              },
+              required: ['model']
+            },
             recovery_strategy: {
               type: 'string',
-              enum: ['retry', 'alternative_model', 'fallback', 'user_input'],
-              default: 'alternative_model'
-            }
+              enum: RECOVERY_STRATEGIES,
+              default: 'alternative_model',
+              description: 'retry: same model with backoff; alternative_model: next models in its fallback chain; fallback: the model, then its fallback chain; user_input: diagnose only'
+            },
+            max_retries: { type: 'integer', minimum: 0, maximum: MAX_RECOVERY_RETRIES, default: 3 }
           },
           required: ['error_context']
         }
       }
-    ]
+    ].map(withSessionId)
   };
-});
+}
 
-// TOOL IMPLEMENTATIONS - This is the real MCP magic
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// TOOL IMPLEMENTATIONS - This is the real MCP magic. Over HTTP, apiKey is the key that
+// opened the connection (see createServer).
+async function handleToolCall(request, { apiKey } = {}) {
+  const { name, arguments: rawArgs = {} } = request.params;
+  const sessionId = resolveSessionId(request.params);
+  const { session_id, ...args } = rawArgs;
   
-  // Add to conversation history
-  conversationHistory.push({
+  // Add to this session's conversation history
+  await contextStorage.appendHistory(sessionId, {
     timestamp: new Date().toISOString(),
     tool: name,
     arguments: args
@@ -280,31 +477,48 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'multi_model_consensus': {
-        const { prompt, models = ['gemini-flash', 'gemini-pro'], consensus_threshold = 0.7 } = args;
+        const { prompt, models, consensus_threshold, judge_model } = validateInput(CONSENSUS_INPUT_SCHEMA, args);
+        const modelKeys = models.map(model => getModel(model).key);
+        if (new Set(modelKeys).size !== modelKeys.length) {
+          throw new McpError(ErrorCode.InvalidParams, 'Models must not name the same model twice');
+        }
         
-        // Call multiple models in parallel
-        const responses = await Promise.all(
-          models.map(model => callModel(model, prompt))
+        // Call multiple models in parallel - a failing model is reported, not fatal. No
+        // fallbacks here: each answer must come from the model it is labelled with.
+        const results = await Promise.allSettled(
+          models.map(async (model) => (await generateText(model, prompt)).text)
         );
+        // Confidences come back in answer order; answeredIdx maps them to the requested models
+        const answeredIdx = results.flatMap((result, idx) => (result.status === 'fulfilled' ? [idx] : []));
+        const answers = answeredIdx.map(idx => ({ model: models[idx], response: results[idx].value }));
+
+        if (answers.length === 0) {
+          throw new McpError(ErrorCode.InternalError, 'All models failed to respond');
+        }
         
-        // Analyze consensus
-        const consensus = analyzeConsensus(responses, consensus_threshold);
+        // Analyze consensus and have the judge model synthesize a final answer
+        const consensus = await analyzeConsensus(prompt, answers, consensus_threshold, judge_model);
         
         return {
           content: [{
             type: 'text',
             text: JSON.stringify({
               prompt,
-              responses: responses.map((resp, idx) => ({
+              responses: results.map((result, idx) => (result.status === 'fulfilled' ? {
+                model: models[idx],
+                response: result.value,
+                confidence: consensus.confidences[answeredIdx.indexOf(idx)]
+              } : {
                 model: models[idx],
-                response: resp,
-                confidence: calculateConfidence(resp)
+                error: result.reason.message
               })),
               consensus: {
                 achieved: consensus.achieved,
                 agreement_score: consensus.score,
                 disagreement_points: consensus.disagreements,
-                synthesized_response: consensus.synthesis
+                threshold: consensus_threshold,
+                synthesized_response: consensus.synthesis,
+                judge_model
               },
               recommendation: consensus.achieved ? 
                 'High confidence in consensus response' : 
@@ -317,8 +531,23 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'workflow_orchestration': {
         const { workflow_name, input_data, execution_mode = 'adaptive' } = args;
         
-        const workflow = getWorkflow(workflow_name);
-        const results = await executeWorkflow(workflow, input_data, execution_mode);
+        if (!EXECUTION_MODES.includes(execution_mode)) {
+          throw new McpError(ErrorCode.InvalidParams, `execution_mode must be one of: ${EXECUTION_MODES.join(', ')}`);
+        }
+
+        let workflow;
+        try {
+          workflow = await loadWorkflow(workflow_name);
+        } catch (error) {
+          if (error instanceof WorkflowError) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+          }
+          throw error;
+        }
+        const results = await executeWorkflow(workflow, input_data, execution_mode, {
+          callModel,
+          callTool: (toolName, toolArgs) => callWorkflowTool(toolName, toolArgs, sessionId, apiKey)
+        });
         
         return {
           content: [{
@@ -326,12 +555,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             text: JSON.stringify({
               workflow: workflow_name,
               execution_mode,
+              status: results.status,
               steps_completed: results.completed_steps,
               total_steps: results.total_steps,
               execution_time: results.execution_time,
               results: results.outputs,
               decision_points: results.decisions,
-              next_recommendations: results.next_steps
+              next_recommendations: results.next_steps,
+              trace: results.trace
             }, null, 2)
           }]
         };
@@ -340,7 +571,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'analyze_conversation_context': {
         const { lookback_messages = 10, analysis_focus = 'patterns' } = args;
         
-        const recentHistory = conversationHistory.slice(-lookback_messages);
+        const recentHistory = await contextStorage.getHistory(sessionId, { limit: lookback_messages });
         const analysis = await analyzeConversationPatterns(recentHistory, analysis_focus);
         
         return {
@@ -348,6 +579,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             type: 'text',
             text: JSON.stringify({
               analysis_focus,
+              session_id: sessionId,
               messages_analyzed: recentHistory.length,
               insights: analysis.insights,
               patterns: analysis.patterns,
@@ -362,22 +594,111 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const { interaction_data, feedback_type, learning_weight = 1.0 } = args;
         
         // Update user preferences in context store
-        updateUserPreferences(interaction_data, feedback_type, learning_weight);
+        await updateUserPreferences(sessionId, interaction_data, feedback_type, learning_weight);
         
         return {
           content: [{
             type: 'text',
             text: JSON.stringify({
               learning_applied: true,
+              session_id: sessionId,
               feedback_type,
               weight_applied: learning_weight,
-              updated_preferences: getLatestUserPreferences(),
-              learning_confidence: calculateLearningConfidence()
+              updated_preferences: await getLatestUserPreferences(sessionId),
+              learning_confidence: await calculateLearningConfidence(sessionId)
+            }, null, 2)
+          }]
+        };
+      }
+
+      case 'intelligent_error_recovery': {
+        const { error_context, recovery_strategy = 'alternative_model', max_retries = 3 } = args;
+
+        if (!RECOVERY_STRATEGIES.includes(recovery_strategy)) {
+          throw new McpError(ErrorCode.InvalidParams, `recovery_strategy must be one of: ${RECOVERY_STRATEGIES.join(', ')}`);
+        }
+        if (!Number.isInteger(max_retries) || max_retries < 0 || max_retries > MAX_RECOVERY_RETRIES) {
+          throw new McpError(ErrorCode.InvalidParams, `max_retries must be an integer from 0 to ${MAX_RECOVERY_RETRIES}`);
+        }
+        const model = getModel(error_context?.model);
+        if (!model || !model.capabilities.includes('text')) {
+          throw new McpError(ErrorCode.InvalidParams, `error_context.model must be a known text model, got: ${error_context?.model}`);
+        }
+        if (recovery_strategy !== 'user_input' && (!error_context.prompt || typeof error_context.prompt !== 'string')) {
+          throw new McpError(ErrorCode.InvalidParams, `error_context.prompt is required for the ${recovery_strategy} strategy`);
+        }
+
+        const recovery = await recoverModelCall(model, error_context, recovery_strategy, max_retries);
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              strategy: recovery_strategy,
+              original_model: model.key,
+              ...recovery,
+              circuit_breakers: circuitStatus()
+            }, null, 2)
+          }]
+        };
+      }
+
+      case 'adaptive_prompt_optimization': {
+        const result = await optimizePrompt(validateOptimizationArgs(args));
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      }
+
+      case 'get_prompt_template': {
+        const result = args.name ? await getTemplate(args.name) : { templates: await listTemplates() };
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      }
+
+      case 'save_prompt_template': {
+        const { name: templateName, template, description, notes } = args;
+        if (typeof templateName !== 'string' || !new RegExp(TEMPLATE_NAME_PATTERN).test(templateName)) {
+          throw new McpError(ErrorCode.InvalidParams, 'name must be 1-100 letters, digits, or . _ - characters');
+        }
+        if (!template || typeof template !== 'string') {
+          throw new McpError(ErrorCode.InvalidParams, 'template is required and must be a string');
+        }
+
+        const existing = await getTemplate(templateName).catch(() => null);
+        const saved = existing
+          ? await addVersion(templateName, { template, notes, description })
+          : await createTemplate({ name: templateName, template, notes, description });
+
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({
+              name: saved.name,
+              created: !existing,
+              version: saved.versions[saved.versions.length - 1]
             }, null, 2)
           }]
         };
       }
 
+      case 'delete_prompt_template': {
+        const deleted = await deleteTemplate(args.name);
+        return {
+          content: [{
+            type: 'text',
+            text: JSON.stringify({ name: deleted.name, deleted: true, versions_deleted: deleted.versions.length }, null, 2)
+          }]
+        };
+      }
+
       default:
         // Show that we have a dynamic tool system
         return {
@@ -385,7 +706,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             type: 'text',
             text: JSON.stringify({
               error: `Tool ${name} not implemented yet`,
-              available_tools: 8,
+              available_tools: (await listTools()).tools.length,
               implementation_status: 'This demonstrates MCP\'s dynamic tool discovery',
               note: 'In a full implementation, tools could be loaded dynamically'
             }, null, 2)
@@ -393,9 +714,15 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
     }
   } catch (error) {
+    if (error instanceof McpError) {
+      throw error;
+    }
+    if (error instanceof PromptTemplateError || error instanceof ValidationError) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
     throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
   }
-});
+}
 
 // HELPER FUNCTIONS - The intelligence behind MCP tools
 async function analyzeTask(description) {
@@ -434,42 +761,175 @@ function selectOptimalModel(analysis, priority) {
   }
 }
 
+// Workflow model calls fall back to alternative models when one is down
 async function callModel(model, prompt) {
-  // Simulate model calls
-  return `Response from ${model}: ${prompt.substring(0, 50)}...`;
+  const { text } = await generateTextWithFallback(model, prompt);
+  return text;
 }
 
-function analyzeConsensus(responses, threshold) {
-  // Simplified consensus analysis
-  return {
-    achieved: responses.length >= 2,
-    score: 0.8,
-    disagreements: [],
-    synthesis: 'Synthesized response based on model agreement'
-  };
+// Re-runs a failed model call using the chosen strategy; never throws for provider failures
+async function recoverModelCall(model, errorContext, strategy, maxRetries) {
+  const diagnosis = diagnoseError({ status: errorContext.status, message: errorContext.error });
+  const alternatives = getFallbackChain(model.key);
+
+  if (strategy === 'user_input') {
+    return {
+      recovered: false,
+      diagnosis,
+      alternatives,
+      question: alternatives.length > 0
+        ? `${model.name} failed (${diagnosis.category}). Retry it, switch to ${alternatives.join(' or ')}, or revise the prompt?`
+        : `${model.name} failed (${diagnosis.category}). Retry it or revise the prompt?`
+    };
+  }
+
+  try {
+    const result = strategy === 'retry'
+      ? { ...await generateText(model.key, errorContext.prompt, { cache: false, retries: maxRetries }), model: model.key, failures: [] }
+      : await generateTextWithFallback(model.key, errorContext.prompt, { cache: false, skipRequested: strategy === 'alternative_model' });
+
+    return {
+      recovered: true,
+      model_used: result.model,
+      response: result.text,
+      usage: result.usage,
+      failed_attempts: result.failures,
+      diagnosis,
+      alternatives
+    };
+  } catch (error) {
+    return {
+      recovered: false,
+      error: error.message,
+      failed_attempts: Array.isArray(error.details) ? error.details : [{ model: model.key, error: error.message, status: error.status }],
+      diagnosis: diagnoseError(error),
+      alternatives
+    };
+  }
 }
 
-function getWorkflow(name) {
-  // Return predefined workflow
+// PROMPT OPTIMIZATION - what each optimization_goal asks the target model for
+const OPTIMIZATION_GOALS = {
+  accuracy: 'accurate, well-grounded answers that avoid guessing',
+  creativity: 'original, imaginative answers',
+  brevity: 'short answers without filler',
+  detail: 'thorough answers with examples and specifics'
+};
+
+function validateOptimizationArgs({ template_name, base_prompt, target_model, optimization_goal = 'accuracy', user_feedback_history = [] }) {
+  if (typeof template_name !== 'string' || !new RegExp(TEMPLATE_NAME_PATTERN).test(template_name)) {
+    throw new McpError(ErrorCode.InvalidParams, 'template_name must be 1-100 letters, digits, or . _ - characters');
+  }
+  if (base_prompt !== undefined && (typeof base_prompt !== 'string' || !base_prompt)) {
+    throw new McpError(ErrorCode.InvalidParams, 'base_prompt must be a non-empty string');
+  }
+  const model = getModel(target_model);
+  if (!model || !model.capabilities.includes('text')) {
+    throw new McpError(ErrorCode.InvalidParams, `target_model must be a known text model, got: ${target_model}`);
+  }
+  if (!OPTIMIZATION_GOALS[optimization_goal]) {
+    throw new McpError(ErrorCode.InvalidParams, `optimization_goal must be one of: ${Object.keys(OPTIMIZATION_GOALS).join(', ')}`);
+  }
+  const feedbackValid = Array.isArray(user_feedback_history) && user_feedback_history.every(entry =>
+    Number.isInteger(entry?.version)
+    && FEEDBACK_TYPES.includes(entry.feedback)
+    && (entry.weight === undefined || typeof entry.weight === 'number'));
+  if (!feedbackValid) {
+    throw new McpError(ErrorCode.InvalidParams, `user_feedback_history entries need an integer version and feedback of: ${FEEDBACK_TYPES.join(', ')}`);
+  }
+
+  return { templateName: template_name, basePrompt: base_prompt, model, goal: optimization_goal, feedback: user_feedback_history };
+}
+
+// Models often wrap their answer in a code fence even when asked not to
+function stripCodeFence(text) {
+  const fenced = text.trim().match(/^```[\w-]*\n([\s\S]*?)\n?```$/);
+  return (fenced ? fenced[1] : text).trim();
+}
+
+// Rewrites the best-rated version of a template for the target model and stores the
+// rewrite as a new version. Placeholders the rewrite dropped are appended again so the
+// new version renders with the same variables.
+async function optimizePrompt({ templateName, basePrompt, model, goal, feedback }) {
+  let template = await getTemplate(templateName).catch(() => null);
+  if (template && basePrompt !== undefined) {
+    throw new McpError(ErrorCode.InvalidParams, `Prompt template ${templateName} already exists; omit base_prompt to optimize it`);
+  }
+  if (!template) {
+    if (basePrompt === undefined) {
+      throw new McpError(ErrorCode.InvalidParams, `Prompt template not found: ${templateName}; pass base_prompt to create it`);
+    }
+    template = await createTemplate({ name: templateName, template: basePrompt, notes: 'Created by adaptive_prompt_optimization' });
+  }
+
+  const ranking = rankVersions(template, feedback);
+  const base = selectVersion(template, ranking.best);
+  const instructions = await renderTemplate('adaptive_prompt_optimization.rewrite', {
+    model: model.name,
+    goal: OPTIMIZATION_GOALS[goal],
+    template: base.template
+  });
+  const result = await generateTextWithFallback(model.key, instructions.text, { cache: false });
+
+  let optimized = stripCodeFence(result.text);
+  const { required, optional } = templateVariables(optimized);
+  const restored = templateVariables(base.template).required
+    .filter(variable => !required.includes(variable) && !optional.includes(variable));
+  if (restored.length > 0) {
+    optimized = [optimized, ...restored.map(variable => `{{${variable}}}`)].join('\n\n');
+  }
+
+  const updated = await addVersion(templateName, {
+    template: optimized,
+    notes: `Optimized for ${model.name} (${goal}) from version ${base.version}`,
+    metadata: { based_on: base.version, target_model: model.key, optimization_goal: goal, optimized_by: result.model }
+  });
+
   return {
-    name,
-    steps: ['analyze', 'process', 'synthesize', 'validate'],
-    decision_points: ['quality_check', 'user_preference_check']
+    template_name: templateName,
+    base_version: base.version,
+    new_version: updated.versions[updated.versions.length - 1].version,
+    target_model: model.key,
+    optimization_goal: goal,
+    optimized_prompt: optimized,
+    restored_variables: restored,
+    version_scores: ranking.scores,
+    model_used: result.model,
+    usage: result.usage
   };
 }
 
-async function executeWorkflow(workflow, data, mode) {
-  // Simulate workflow execution
+async function analyzeConsensus(prompt, answers, threshold, judgeModel) {
+  const agreement = analyzeAgreement(answers, threshold);
+  const { text: synthesis } = await generateText(judgeModel, buildSynthesisPrompt(prompt, answers, agreement.disagreements));
+
   return {
-    completed_steps: workflow.steps.length,
-    total_steps: workflow.steps.length,
-    execution_time: '2.3s',
-    outputs: { final_result: 'Workflow completed successfully' },
-    decisions: ['Passed quality check', 'Aligned with user preferences'],
-    next_steps: ['Consider refinement', 'Ready for delivery']
+    achieved: agreement.achieved,
+    score: agreement.score,
+    confidences: agreement.confidences,
+    disagreements: agreement.disagreements,
+    synthesis
   };
 }
 
+// Lets workflow steps call this server's own tools; JSON results come back parsed. Over
+// HTTP each step needs its tool's scope and counts against the quota, like a direct call.
+async function callWorkflowTool(name, args, sessionId, apiKey) {
+  if (apiKey) {
+    const charge = await chargeRequest(apiKey, toolScope(name));
+    if (!charge.allowed) {
+      throw new McpError(ErrorCode.InvalidRequest, charge.error, { status: charge.status });
+    }
+  }
+  const result = await handleToolCall({ params: { name, arguments: { ...args, session_id: sessionId } } }, { apiKey });
+  const text = result.content.map(item => item.text || '').join('\n');
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
 async function analyzeConversationPatterns(history, focus) {
   return {
     insights: ['User prefers detailed explanations', 'Frequently asks follow-up questions'],
@@ -483,23 +943,102 @@ async function analyzeConversationPatterns(history, focus) {
   };
 }
 
-function updateUserPreferences(data, feedback, weight) {
+async function updateUserPreferences(sessionId, data, feedback, weight) {
   // Update context store with learned preferences
-  contextStore.set('last_feedback', { data, feedback, weight, timestamp: Date.now() });
+  await contextStorage.setPreference(sessionId, 'last_feedback', { data, feedback, weight, timestamp: Date.now() });
+}
+
+async function getLatestUserPreferences(sessionId) {
+  return contextStorage.getPreferences(sessionId);
 }
 
-function getLatestUserPreferences() {
-  return Object.fromEntries(contextStore);
+async function calculateLearningConfidence(sessionId) {
+  const history = await contextStorage.getHistory(sessionId);
+  return Math.min(history.length * 0.1, 0.95);
 }
 
-function calculateLearningConfidence() {
-  return Math.min(conversationHistory.length * 0.1, 0.95);
+// API key scope each tool needs over HTTP - the prompt template tools match the REST
+// /api/prompts routes, every other tool calls text models
+const PROMPT_TEMPLATE_TOOLS = new Set(['get_prompt_template', 'save_prompt_template', 'delete_prompt_template', 'adaptive_prompt_optimization']);
+
+export function toolScope(name) {
+  return PROMPT_TEMPLATE_TOOLS.has(name) ? 'prompts' : 'text';
 }
 
-function calculateConfidence(response) {
-  return 0.85; // Simplified confidence calculation
+// Create MCP server with RESOURCES and CONTEXT management. Each connection gets its
+// own instance; over HTTP, sessionId is the connection's transport session.
+// lib/mcp-http.js passes the connection's API key, which then owns the connection's usage.
+export function createServer({ sessionId, apiKey } = {}) {
+  const server = new Server(
+    {
+      name: 'curam-ai-advanced-mcp',
+      version: '2.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},  // This is what makes MCP powerful!
+        prompts: {},
+      },
+    }
+  );
+
+  // Tool calls and resource reads run as the API key's usage client, or mcp:<session id>
+  // without one - model usage is recorded against it and usage://summary shows only it
+  const billToSession = handler => (request) => runWithUsageClient(
+    apiKey?.id || `mcp:${resolveSessionId(request.params)}`,
+    () => handler(request)
+  );
+
+  // Over HTTP every session id is prefixed with the API key id (or, without a key, the
+  // connection's transport session): a caller keeps its sessions across reconnects and
+  // cannot name anyone else's. stdio callers pick any session id.
+  const namespace = apiKey?.id || sessionId;
+  const scopeSession = (requested) => {
+    if (typeof requested === 'string' && requested.startsWith(`${namespace}:`)) return requested;
+    if (typeof requested !== 'string' || !SESSION_ID_PATTERN.test(requested)) {
+      throw new McpError(ErrorCode.InvalidParams, SESSION_ID_ERROR);
+    }
+    return `${namespace}:${requested}`;
+  };
+
+  const withSession = handler => async (request) => {
+    if (!namespace) {
+      return handler(request);
+    }
+    const params = request.params || {};
+    const scoped = scopeSession(params.arguments?.session_id || params._meta?.session_id || DEFAULT_SESSION_ID);
+    const uriMatch = params.uri?.match(CONTEXT_URI_PATTERN);
+    return handler({
+      ...request,
+      params: {
+        ...params,
+        _meta: { ...params._meta, session_id: scoped },
+        ...(params.arguments && { arguments: { ...params.arguments, session_id: scoped } }),
+        ...(uriMatch?.[2] && {
+          uri: `context://${uriMatch[1]}/${scopeSession(decodeURIComponent(uriMatch[2]))}`
+        })
+      }
+    });
+  };
+
+  server.setRequestHandler(ListResourcesRequestSchema, withSession(listResources));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, withSession(billToSession(readResource)));
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(ListPromptsRequestSchema, listPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, getPrompt);
+  server.setRequestHandler(CallToolRequestSchema, withSession(billToSession(request => handleToolCall(request, { apiKey }))));
+
+  server.onerror = (error) => {
+    console.error('[Advanced MCP Server Error]', error);
+  };
+
+  return server;
 }
 
+const server = createServer();
+
 // Start server
 async function main() {
   const transport = new StdioServerTransport();
@@ -516,6 +1055,7 @@ async function main() {
   console.log('');
   console.log('📊 MCP CAPABILITIES:');
   console.log('   • Resource management (conversation history, preferences)');
+  console.log('   • Versioned prompt templates (prompts/list, prompts/get)');
   console.log('   • Tool discovery and dynamic loading');
   console.log('   • Context-aware responses');
   console.log('   • Intelligent error recovery');
@@ -530,6 +1070,8 @@ async function main() {
   console.log('✅ Advanced MCP Server ready!');
 }
 
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
   main().catch(console.error);
 }
+
+export default server;
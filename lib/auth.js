@@ -0,0 +1,180 @@
+// lib/auth.js - Client API keys, scopes and daily quotas for the REST API
+import crypto from 'crypto';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+
+export const SCOPES = ['text', 'image', 'email', 'huggingface', 'prompts', 'reports', 'embeddings'];
+const ALL_SCOPES = '*';
+const DEFAULT_DAILY_QUOTA = 1000;
+const KEY_PREFIX = 'cam_';
+
+const keyFile = new JsonFile(process.env.API_KEYS_PATH || path.join(DATA_DIR, 'api-keys.json'), { keys: [] });
+
+// Only a hash of each key is stored; the raw key is returned once, at creation
+function hashKey(rawKey) {
+  return crypto.createHash('sha256').update(rawKey).digest('hex');
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Public view of a stored key - never includes the hash
+function describeKey(key) {
+  const usedToday = key.usage?.date === today() ? key.usage.count : 0;
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    daily_quota: key.daily_quota,
+    used_today: usedToday,
+    created_at: key.created_at,
+    revoked_at: key.revoked_at || null
+  };
+}
+
+export async function createApiKey({ name, scopes = [ALL_SCOPES], daily_quota = DEFAULT_DAILY_QUOTA }) {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const key = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    name,
+    prefix: rawKey.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(rawKey),
+    scopes,
+    daily_quota,
+    usage: { date: today(), count: 0 },
+    created_at: new Date().toISOString()
+  };
+
+  await keyFile.update(data => data.keys.push(key));
+  return { ...describeKey(key), api_key: rawKey };
+}
+
+export async function listApiKeys() {
+  const { keys } = await keyFile.load();
+  return keys.map(describeKey);
+}
+
+export async function revokeApiKey(id) {
+  return keyFile.update(data => {
+    const key = data.keys.find(candidate => candidate.id === id);
+    if (!key) return null;
+    key.revoked_at = key.revoked_at || new Date().toISOString();
+    return describeKey(key);
+  });
+}
+
+function readApiKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return req.headers['x-api-key'];
+}
+
+// MIDDLEWARE
+
+// Resolves the caller's key onto req.apiKey; rejects missing, unknown or revoked keys
+export async function authenticate(req, res, next) {
+  if (process.env.API_AUTH_DISABLED === 'true') {
+    return next();
+  }
+
+  const rawKey = readApiKey(req);
+  if (!rawKey) {
+    return res.status(401).json({ error: 'API key required - send Authorization: Bearer <key> or X-API-Key' });
+  }
+
+  try {
+    const { keys } = await keyFile.load();
+    const hash = hashKey(rawKey);
+    const key = keys.find(candidate => safeEqual(candidate.hash, hash));
+    if (!key || key.revoked_at) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+    req.apiKey = key;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function hasScope(key, scope) {
+  return key.scopes.includes(ALL_SCOPES) || key.scopes.includes(scope);
+}
+
+// Checks the key's scope, then counts one request against its daily quota. Resolves with
+// { allowed, remaining } or, when refused, { allowed: false, status, error, retryAfter }.
+// Long-lived connections (MCP over HTTP) call this per request, so revocation applies at once.
+export async function chargeRequest(key, scope) {
+  if (key.revoked_at) {
+    return { allowed: false, status: 401, error: 'Invalid or revoked API key' };
+  }
+  if (!hasScope(key, scope)) {
+    return { allowed: false, status: 403, error: `API key does not have the "${scope}" scope` };
+  }
+
+  const allowed = await keyFile.update(() => {
+    if (key.usage?.date !== today()) {
+      key.usage = { date: today(), count: 0 };
+    }
+    if (key.usage.count >= key.daily_quota) return false;
+    key.usage.count += 1;
+    return true;
+  });
+  const remaining = Math.max(key.daily_quota - key.usage.count, 0);
+  if (!allowed) {
+    return { allowed: false, status: 429, error: 'Daily request quota exceeded', remaining, retryAfter: secondsUntilUtcMidnight() };
+  }
+  return { allowed: true, remaining };
+}
+
+// Checks the key's scope for this route, then counts the request against its daily quota
+export function requireScope(scope) {
+  return async (req, res, next) => {
+    const key = req.apiKey;
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const charge = await chargeRequest(key, scope);
+      if (charge.status === 401 || charge.status === 403) {
+        return res.status(charge.status).json({ error: charge.error });
+      }
+
+      res.set('X-RateLimit-Limit', String(key.daily_quota));
+      res.set('X-RateLimit-Remaining', String(charge.remaining));
+      if (!charge.allowed) {
+        res.set('Retry-After', String(charge.retryAfter));
+        return res.status(429).json({ error: charge.error, daily_quota: key.daily_quota });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Admin routes authenticate with ADMIN_API_KEY rather than a client key
+export function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin API not configured - set ADMIN_API_KEY' });
+  }
+  const rawKey = readApiKey(req);
+  if (!rawKey || !safeEqual(rawKey, process.env.ADMIN_API_KEY)) {
+    return res.status(401).json({ error: 'Admin API key required' });
+  }
+  next();
+}
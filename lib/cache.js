@@ -0,0 +1,212 @@
+// lib/cache.js - Response cache for model calls, keyed on model, prompt and generation parameters
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './json-file.js';
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_MAX_MEMORY_MB = 64;
+const DEFAULT_MAX_FILES = 5000;
+const SWEEP_INTERVAL_MS = 60000;
+
+// JSON with sorted object keys, so { a, b } and { b, a } hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function cacheKey(parts) {
+  return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
+}
+
+// In-memory LRU bounded by entry count and approximate serialized size
+export class MemoryCache {
+  constructor({
+    ttlSeconds = DEFAULT_TTL_SECONDS,
+    maxEntries = DEFAULT_MAX_ENTRIES,
+    maxBytes = DEFAULT_MAX_MEMORY_MB * 1024 * 1024
+  } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      this.bytes -= entry.size;
+      return undefined;
+    }
+    // Re-inserting moves the entry to the most recently used end
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, expiresAt = Date.now() + this.ttlMs) {
+    const size = JSON.stringify(value).length;
+    if (size > this.maxBytes) return;
+    await this.delete(key);
+    this.entries.set(key, { value, expiresAt, size });
+    this.bytes += size;
+
+    for (const [oldestKey, oldest] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.entries.delete(oldestKey);
+      this.bytes -= oldest.size;
+    }
+  }
+
+  async delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.bytes -= entry.size;
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+}
+
+// One JSON file per entry, with a MemoryCache in front for hot entries. Writes sweep the
+// directory now and then, dropping expired files and the oldest beyond maxFiles, so it
+// stays bounded even when several processes share it.
+export class FileCache {
+  constructor({ dir, ttlSeconds = DEFAULT_TTL_SECONDS, maxFiles = DEFAULT_MAX_FILES, ...memoryOptions } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxFiles = maxFiles;
+    this.memory = new MemoryCache({ ttlSeconds, ...memoryOptions });
+    this.lastSweep = 0;
+    this.fileCount = 0;
+    this.sweeping = null;
+  }
+
+  entryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    const hot = await this.memory.get(key);
+    if (hot !== undefined) return hot;
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(this.entryPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+    if (entry.expires_at <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    await this.memory.set(key, entry.value, entry.expires_at);
+    return entry.value;
+  }
+
+  async set(key, value) {
+    const expiresAt = Date.now() + this.ttlMs;
+    await this.memory.set(key, value, expiresAt);
+    await fs.mkdir(this.dir, { recursive: true });
+    // Unique per writer, so two processes caching the same key never share a temp file
+    const tempPath = `${this.entryPath(key)}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify({ expires_at: expiresAt, value }));
+    await fs.rename(tempPath, this.entryPath(key));
+
+    this.fileCount += 1;
+    if (this.fileCount > this.maxFiles || Date.now() - this.lastSweep >= SWEEP_INTERVAL_MS) {
+      await this.sweep();
+    }
+  }
+
+  // Removes expired entries (and temp files left by crashed writers), then the least
+  // recently written entries beyond maxFiles. Concurrent callers share one sweep.
+  sweep() {
+    this.sweeping ||= this.sweepFiles().finally(() => {
+      this.sweeping = null;
+    });
+    return this.sweeping;
+  }
+
+  async sweepFiles() {
+    this.lastSweep = Date.now();
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const files = [];
+    for (const name of names) {
+      const filePath = path.join(this.dir, name);
+      try {
+        files.push({ filePath, entry: name.endsWith('.json'), mtimeMs: (await fs.stat(filePath)).mtimeMs });
+      } catch (error) {
+        // Another process removed or renamed it meanwhile
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const expired = files.filter(file => file.mtimeMs + this.ttlMs <= this.lastSweep);
+    const live = files.filter(file => file.entry && !expired.includes(file)).sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const evicted = live.slice(this.maxFiles);
+    await Promise.all([...expired, ...evicted].map(file => fs.rm(file.filePath, { force: true })));
+    this.fileCount = live.length - evicted.length;
+  }
+
+  async delete(key) {
+    await this.memory.delete(key);
+    await fs.rm(this.entryPath(key), { force: true });
+  }
+
+  async clear() {
+    await this.memory.clear();
+    await fs.rm(this.dir, { recursive: true, force: true });
+    this.fileCount = 0;
+  }
+}
+
+const BACKENDS = {
+  memory: MemoryCache,
+  file: FileCache
+};
+
+// RESPONSE_CACHE selects the backend: memory (default), file, or off to disable caching (returns null)
+export function createResponseCache(options = {}) {
+  const backend = options.backend || process.env.RESPONSE_CACHE || 'memory';
+  if (backend === 'off') {
+    return null;
+  }
+  const Cache = BACKENDS[backend];
+  if (!Cache) {
+    throw new Error(`Unknown response cache backend: ${backend}. Expected one of: ${Object.keys(BACKENDS).join(', ')}, off`);
+  }
+
+  return new Cache({
+    dir: process.env.RESPONSE_CACHE_DIR || path.join(DATA_DIR, 'cache'),
+    ttlSeconds: Number(process.env.RESPONSE_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+    maxEntries: Number(process.env.RESPONSE_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+    maxBytes: (Number(process.env.RESPONSE_CACHE_MAX_MEMORY_MB) || DEFAULT_MAX_MEMORY_MB) * 1024 * 1024,
+    maxFiles: Number(process.env.RESPONSE_CACHE_MAX_FILES) || DEFAULT_MAX_FILES,
+    ...options
+  });
+}
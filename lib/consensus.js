@@ -0,0 +1,107 @@
+// lib/consensus.js - Claim-level agreement between model answers
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have', 'had',
+  'was', 'were', 'will', 'with', 'this', 'that', 'these', 'those', 'from', 'they', 'them',
+  'their', 'there', 'which', 'what', 'when', 'where', 'who', 'how', 'its', 'also', 'into',
+  'than', 'then', 'such', 'more', 'most', 'some', 'may', 'might', 'would', 'could', 'should',
+  'about', 'over', 'only', 'other', 'each', 'very', 'being', 'been', 'does', 'did', 'our',
+  'your', 'one', 'his', 'her', 'out', 'use', 'used', 'using', 'like', 'just', 'because'
+]);
+
+// A claim counts as backed by another answer when this share of its key terms appears there
+const CLAIM_SUPPORT_THRESHOLD = 0.6;
+const MIN_CLAIM_TERMS = 3;
+
+function keyTerms(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Splits an answer into sentence-level claims, ignoring markdown noise and fragments
+export function extractClaims(text) {
+  return text
+    .replace(/```[\s\S]*?```/g, ' ')
+    .split(/\n+|(?<=[.!?])\s+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)]|#+)\s*/, '').replace(/[*_`]/g, '').trim())
+    .filter(claim => new Set(keyTerms(claim)).size >= MIN_CLAIM_TERMS);
+}
+
+// Short answers ("Paris.") have no sentence with enough key terms, so they are one claim
+function claimsOf(text) {
+  const claims = extractClaims(text);
+  if (claims.length > 0) return claims;
+  return text.trim() ? [text.trim()] : [];
+}
+
+const normalize = text => text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Claims without key terms ("No.") are only backed by an answer that says the same thing
+function supports(claim, other) {
+  const terms = [...new Set(keyTerms(claim))];
+  if (terms.length === 0) return normalize(claim) === normalize(other.text);
+  return terms.filter(term => other.terms.has(term)).length / terms.length >= CLAIM_SUPPORT_THRESHOLD;
+}
+
+// answers: [{ model, response }]. Every claim is checked against every other answer;
+// the agreement score is the average share of other models backing each claim.
+export function analyzeAgreement(answers, threshold) {
+  const compared = answers.map(answer => ({ text: answer.response, terms: new Set(keyTerms(answer.response)) }));
+  const perModel = answers.map(() => []);
+  const disagreements = [];
+
+  answers.forEach((answer, idx) => {
+    claimsOf(answer.response).forEach(claim => {
+      const others = answers
+        .map((other, otherIdx) => ({ model: other.model, otherIdx }))
+        .filter(({ otherIdx }) => otherIdx !== idx);
+      if (others.length === 0) return;
+
+      const supportedBy = others
+        .filter(({ otherIdx }) => supports(claim, compared[otherIdx]))
+        .map(({ model }) => model);
+      const support = supportedBy.length / others.length;
+      perModel[idx].push(support);
+
+      if (support < 0.5) {
+        disagreements.push({
+          model: answer.model,
+          claim,
+          supported_by: supportedBy,
+          not_supported_by: others.map(({ model }) => model).filter(model => !supportedBy.includes(model))
+        });
+      }
+    });
+  });
+
+  const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  const score = answers.length >= 2 ? average(perModel.flat()) : 0;
+
+  return {
+    achieved: answers.length >= 2 && score >= threshold,
+    score: Math.round(score * 100) / 100,
+    confidences: perModel.map(values => Math.round(average(values) * 100) / 100),
+    disagreements
+  };
+}
+
+export function buildSynthesisPrompt(prompt, answers, disagreements) {
+  const answerText = answers
+    .map(answer => `### ${answer.model}\n${answer.response}`)
+    .join('\n\n');
+  const disagreementText = disagreements.length
+    ? disagreements.map(point => `- (${point.model}) ${point.claim}`).join('\n')
+    : '- None detected';
+
+  return `You are judging answers from several AI models to the same question.
+
+Question:
+${prompt}
+
+Answers:
+${answerText}
+
+Claims that only a minority of models made:
+${disagreementText}
+
+Write a single best answer to the question. Keep points the models agree on, resolve each disputed claim on its merits, and drop claims you cannot verify. Reply with the answer only.`;
+}
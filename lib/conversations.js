@@ -0,0 +1,69 @@
+// lib/conversations.js - Server-side message history for multi-turn chat
+//
+// A conversation belongs to the client that started it (API key id, or 'mcp');
+// other clients see it as not found. Messages are { role, content, model?, timestamp };
+// assistant messages also record the turn's usage and duration_ms.
+import crypto from 'crypto';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+
+const DEFAULT_MESSAGE_LIMIT = 100;
+const DEFAULT_MAX_AGE_DAYS = 30;
+
+export const CONVERSATION_ID_PATTERN = '^[\\w.@-]{1,128}$';
+
+const conversationFile = new JsonFile(
+  process.env.CONVERSATIONS_PATH || path.join(DATA_DIR, 'conversations.json'),
+  { conversations: {} },
+  { shared: true }
+);
+const messageLimit = Number(process.env.CONVERSATION_MESSAGE_LIMIT) || DEFAULT_MESSAGE_LIMIT;
+const maxAgeMs = (Number(process.env.CONVERSATION_MAX_AGE_DAYS) || DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+
+export function newConversationId() {
+  return `conv_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// Keeps the newest messages, starting on a user turn as every provider requires
+function trimMessages(messages) {
+  const kept = messages.slice(-messageLimit);
+  const firstUser = kept.findIndex(message => message.role === 'user');
+  return firstUser === -1 ? [] : kept.slice(firstUser);
+}
+
+// Conversations idle for longer than CONVERSATION_MAX_AGE_DAYS are dropped
+function pruneConversations(data) {
+  const cutoff = Date.now() - maxAgeMs;
+  Object.entries(data.conversations).forEach(([id, conversation]) => {
+    if (new Date(conversation.updated_at).getTime() < cutoff) {
+      delete data.conversations[id];
+    }
+  });
+}
+
+export async function getConversation(id, client) {
+  const { conversations } = await conversationFile.load();
+  const conversation = conversations[id];
+  return conversation?.client === client ? conversation : null;
+}
+
+// Creates the conversation on first use
+export async function appendMessages(id, client, messages) {
+  return conversationFile.update(data => {
+    pruneConversations(data);
+    const now = new Date().toISOString();
+    const conversation = data.conversations[id] ||= { id, client, messages: [], created_at: now };
+    conversation.messages = trimMessages([...conversation.messages, ...messages]);
+    conversation.updated_at = now;
+    return conversation;
+  });
+}
+
+export async function deleteConversation(id, client) {
+  return conversationFile.update(data => {
+    const conversation = data.conversations[id];
+    if (conversation?.client !== client) return null;
+    delete data.conversations[id];
+    return conversation;
+  });
+}
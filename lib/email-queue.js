@@ -0,0 +1,253 @@
+// lib/email-queue.js - Durable outbound email queue with retries, dead letters and a delivery log
+//
+// Every email is stored before the first attempt. Timeouts, 429s and 5xx responses are
+// retried with backoff (by the worker, see startEmailWorker) until EMAIL_MAX_ATTEMPTS,
+// then the email is dead-lettered; other failures dead-letter it straight away. The
+// index keeps each email's status history; the MailChannels request (attachments
+// included) is kept beside it in <id>.json until the email is sent.
+//
+// An email belongs to the client that queued it, like conversations. Idempotency keys
+// are per client: queueing again with a used key returns the original email.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+import { EmailError, buildEmail, deliverEmail } from './email.js';
+import { isRetryable, retryDelay } from './recovery.js';
+
+export const EMAIL_STATUSES = ['queued', 'sending', 'retrying', 'sent', 'dead_letter'];
+export const IDEMPOTENCY_KEY_PATTERN = '^[\\w.:-]{1,200}$';
+
+const EMAIL_ID_PATTERN = /^eml_[a-f0-9]{32}$/;
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_LOG_MAX_AGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// An email left "sending" this long (e.g. the process died mid-attempt) is attempted again
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+const queueDir = process.env.EMAIL_QUEUE_DIR || path.join(DATA_DIR, 'email-queue');
+const indexFile = new JsonFile(path.join(queueDir, 'index.json'), { emails: {} }, { shared: true });
+const maxAttempts = Number(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+const retryDelays = {
+  baseDelayMs: (Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 30) * 1000,
+  maxDelayMs: (Number(process.env.EMAIL_RETRY_MAX_SECONDS) || 3600) * 1000
+};
+const logMaxAgeMs = (Number(process.env.EMAIL_LOG_MAX_AGE_DAYS) || DEFAULT_LOG_MAX_AGE_DAYS) * DAY_MS;
+
+const payloadPath = id => path.join(queueDir, `${id}.json`);
+
+// What clients see - everything but the owner and the request fingerprint
+export function describeEmail({ client, request_hash, ...email }) {
+  return email;
+}
+
+function requestHash(input) {
+  return crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+}
+
+function appendHistory(email, status, details = {}) {
+  const at = new Date().toISOString();
+  email.status = status;
+  email.updated_at = at;
+  email.history.push({ status, at, ...details });
+}
+
+// Sent and dead-lettered emails are dropped from the log after EMAIL_LOG_MAX_AGE_DAYS
+async function pruneEmails(data) {
+  const cutoff = Date.now() - logMaxAgeMs;
+  const expired = Object.values(data.emails)
+    .filter(email => ['sent', 'dead_letter'].includes(email.status) && new Date(email.updated_at).getTime() < cutoff);
+  for (const email of expired) {
+    delete data.emails[email.id];
+    await fs.rm(payloadPath(email.id), { force: true });
+  }
+}
+
+async function readPayload(id) {
+  return JSON.parse(await fs.readFile(payloadPath(id), 'utf8'));
+}
+
+// Claims the email for one attempt; resolves with null if it isn't due or is already being sent
+async function claim(id, now = Date.now()) {
+  return indexFile.update(data => {
+    const email = data.emails[id];
+    if (!email) return null;
+    const due = ['queued', 'retrying'].includes(email.status) && new Date(email.next_attempt_at).getTime() <= now;
+    const stale = email.status === 'sending' && new Date(email.updated_at).getTime() < now - STALE_SENDING_MS;
+    if (!due && !stale) return null;
+    email.attempts += 1;
+    appendHistory(email, 'sending', { attempt: email.attempts });
+    return structuredClone(email);
+  });
+}
+
+// Makes one delivery attempt and records the outcome. Resolves with { email, error }.
+async function attempt(id, now) {
+  const claimed = await claim(id, now);
+  if (!claimed) return { email: null };
+
+  let outcome;
+  try {
+    outcome = { result: await deliverEmail(await readPayload(id)) };
+  } catch (error) {
+    outcome = { error };
+  }
+
+  const email = await indexFile.update(data => {
+    const email = data.emails[id];
+    if (outcome.result) {
+      email.message_id = outcome.result.message_id;
+      email.next_attempt_at = null;
+      email.last_error = null;
+      appendHistory(email, 'sent', { attempt: email.attempts, message_id: email.message_id });
+      return structuredClone(email);
+    }
+
+    const { error } = outcome;
+    email.last_error = { message: error.message, status_code: error.status ?? null, code: error.code ?? null };
+    if (isRetryable(error) && email.attempts < email.max_attempts) {
+      email.next_attempt_at = new Date(Date.now() + retryDelay(email.attempts - 1, error, retryDelays)).toISOString();
+      appendHistory(email, 'retrying', { attempt: email.attempts, error: error.message, next_attempt_at: email.next_attempt_at });
+    } else {
+      email.next_attempt_at = null;
+      appendHistory(email, 'dead_letter', { attempt: email.attempts, error: error.message });
+    }
+    return structuredClone(email);
+  });
+
+  if (email.status === 'sent') {
+    await fs.rm(payloadPath(id), { force: true });
+    console.log(`📬 Email ${id} sent on attempt ${email.attempts}`);
+  } else if (email.status === 'retrying') {
+    console.warn(`⚠️  Email ${id} attempt ${email.attempts} failed (${outcome.error.message}), retrying at ${email.next_attempt_at}`);
+  } else {
+    console.error(`💀 Email ${id} dead-lettered after ${email.attempts} attempt(s): ${outcome.error.message}`);
+  }
+  return { email, error: outcome.error };
+}
+
+// Stores the email and makes the first attempt. Resolves with { email, duplicate, error },
+// where error is the failure that dead-lettered the email on its first attempt.
+export async function queueEmail(input, { client, idempotencyKey } = {}) {
+  const hash = requestHash(input);
+  const { payload, summary } = await buildEmail(input);
+  const id = `eml_${crypto.randomBytes(16).toString('hex')}`;
+
+  await fs.mkdir(queueDir, { recursive: true });
+  await fs.writeFile(payloadPath(id), JSON.stringify(payload));
+
+  let stored;
+  try {
+    stored = await indexFile.update(async (data) => {
+      await pruneEmails(data);
+      if (idempotencyKey) {
+        const existing = Object.values(data.emails)
+          .find(email => email.client === client && email.idempotency_key === idempotencyKey);
+        if (existing) {
+          if (existing.request_hash !== hash) {
+            throw new EmailError(`Idempotency key ${idempotencyKey} was already used for a different email`, 409);
+          }
+          return { email: structuredClone(existing), duplicate: true };
+        }
+      }
+
+      const now = new Date().toISOString();
+      data.emails[id] = {
+        id,
+        status: 'queued',
+        idempotency_key: idempotencyKey || null,
+        ...summary,
+        attempts: 0,
+        max_attempts: maxAttempts,
+        next_attempt_at: now,
+        message_id: null,
+        last_error: null,
+        history: [{ status: 'queued', at: now }],
+        client,
+        request_hash: hash,
+        created_at: now,
+        updated_at: now
+      };
+      return { email: structuredClone(data.emails[id]), duplicate: false };
+    });
+  } catch (error) {
+    await fs.rm(payloadPath(id), { force: true });
+    throw error;
+  }
+  const { email, duplicate } = stored;
+
+  if (duplicate) {
+    await fs.rm(payloadPath(id), { force: true });
+    console.log(`📧 Idempotency key ${idempotencyKey} matched email ${email.id}; not sending again`);
+    return { email, duplicate };
+  }
+
+  const { email: attempted, error } = await attempt(id);
+  return { email: attempted || email, duplicate, error: attempted?.status === 'dead_letter' ? error : undefined };
+}
+
+export async function getEmail(id, client) {
+  if (!EMAIL_ID_PATTERN.test(id)) return null;
+  const { emails } = await indexFile.load();
+  return emails[id]?.client === client ? emails[id] : null;
+}
+
+// Newest first, optionally only one status
+export async function listEmails({ client, status, limit = 50 } = {}) {
+  const { emails } = await indexFile.load();
+  return Object.values(emails)
+    .filter(email => email.client === client && (!status || email.status === status))
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
+
+// Puts a dead-lettered email back in the queue for another EMAIL_MAX_ATTEMPTS attempts
+export async function retryEmail(id, client) {
+  // Checked under the lock, so two retries (or a retry and the worker) can't both requeue it
+  await indexFile.update(data => {
+    const stored = EMAIL_ID_PATTERN.test(id) && data.emails[id];
+    if (!stored || stored.client !== client) {
+      throw new EmailError(`Email not found: ${id}`, 404);
+    }
+    if (stored.status !== 'dead_letter') {
+      throw new EmailError(`Only dead-lettered emails can be retried; ${id} is ${stored.status}`, 409);
+    }
+    stored.max_attempts = stored.attempts + maxAttempts;
+    stored.next_attempt_at = new Date().toISOString();
+    appendHistory(stored, 'queued', { requeued: true });
+  });
+  return (await attempt(id)).email;
+}
+
+// Attempts every email that is due by now. Resolves with the number attempted.
+export async function processEmailQueue({ now = Date.now() } = {}) {
+  const { emails } = await indexFile.load();
+  const due = Object.values(emails)
+    .filter(email => ['queued', 'retrying', 'sending'].includes(email.status))
+    .map(email => email.id);
+
+  let attempted = 0;
+  for (const id of due) {
+    if ((await attempt(id, now)).email) attempted += 1;
+  }
+  return attempted;
+}
+
+// Polls the queue every EMAIL_QUEUE_POLL_SECONDS; returns a function that stops it
+export function startEmailWorker({ intervalMs = (Number(process.env.EMAIL_QUEUE_POLL_SECONDS) || 15) * 1000 } = {}) {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processEmailQueue();
+    } catch (error) {
+      console.error('📧 Email queue error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  console.log(`📮 Email queue worker polling every ${intervalMs / 1000}s`);
+  return () => clearInterval(timer);
+}
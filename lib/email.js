@@ -0,0 +1,277 @@
+// lib/email.js - Outbound email through MailChannels: recipients, sender, templates and attachments
+//
+// Templates have a subject plus an HTML and/or plain-text body, using the prompt template
+// syntax ({{name}}, {{name || 'default'}}). Built-in templates live here; more can be added
+// in EMAIL_TEMPLATES_PATH, which is read once on first use:
+//   { "templates": { "welcome": { "subject": "Hi {{name}}", "html": "<p>...</p>", "text": "..." } } }
+import axios from 'axios';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+import { baseUrl } from './endpoints.js';
+import { ProviderError } from './providers.js';
+import { templateVariables } from './prompts.js';
+import { resolveTemplate } from './workflows.js';
+
+export const EMAIL_PATTERN = '^[^\\s@<>,;]+@[^\\s@<>,;]+\\.[^\\s@<>,;]+$';
+export const MAX_RECIPIENTS = 50;
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+const DEFAULT_FROM = 'michael@curam-ai.com.au';
+const DEFAULT_FROM_NAME = 'Curam AI MCP Agent';
+const SEND_TIMEOUT_MS = 10000;
+
+export class EmailError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EmailError';
+    this.status = status;
+  }
+}
+
+const BUILTIN_TEMPLATES = {
+  message: {
+    description: 'A plain message; line breaks are kept in the HTML version',
+    subject: '{{subject}}',
+    html: '<div style="font-family: sans-serif; line-height: 1.5">{{message}}</div>',
+    text: '{{message}}'
+  },
+  session_report: {
+    description: 'Summary of an MCP session, usually sent with the report attached',
+    subject: "MCP Session Report - {{title || 'Curam AI'}}",
+    html: '<div style="font-family: sans-serif; line-height: 1.5"><h2>{{title || \'MCP Session Report\'}}</h2>'
+      + '<p>{{summary}}</p><p style="color: #666">Sent by {{sender || \'Curam AI MCP Agent\'}}</p></div>',
+    text: "{{title || 'MCP Session Report'}}\n\n{{summary}}\n\nSent by {{sender || 'Curam AI MCP Agent'}}"
+  }
+};
+
+const templateFile = new JsonFile(process.env.EMAIL_TEMPLATES_PATH || path.join(DATA_DIR, 'email-templates.json'), { templates: {} });
+
+// Common types for attachments sent without one
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  html: 'text/html',
+  json: 'application/json',
+  zip: 'application/zip',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+export async function listEmailTemplates() {
+  const { templates } = await templateFile.load();
+  return Object.entries({ ...BUILTIN_TEMPLATES, ...templates })
+    .map(([name, template]) => ({
+      name,
+      description: template.description || null,
+      builtin: !templates[name],
+      parts: ['html', 'text'].filter(part => template[part]),
+      variables: templateVariables([template.subject, template.html, template.text].filter(Boolean).join('\n'))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getEmailTemplate(name) {
+  const { templates } = await templateFile.load();
+  const template = templates[name] || BUILTIN_TEMPLATES[name];
+  if (!template) {
+    throw new EmailError(`Email template not found: ${name}`, 404);
+  }
+  if (!template.subject || !(template.html || template.text)) {
+    throw new EmailError(`Email template ${name} needs a subject and an html or text body`, 500);
+  }
+  return template;
+}
+
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Values substituted into HTML are escaped, and their line breaks become <br>
+function htmlVariables(value) {
+  if (typeof value === 'string') return escapeHtml(value).replace(/\r?\n/g, '<br>');
+  if (Array.isArray(value)) return value.map(htmlVariables);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, htmlVariables(item)]));
+  }
+  return value;
+}
+
+function render(template, variables) {
+  const text = resolveTemplate(template, variables);
+  return typeof text === 'string' ? text : JSON.stringify(text ?? '');
+}
+
+// Resolves with { subject, html, text }; every required variable must be given
+export async function renderEmailTemplate(name, variables = {}) {
+  const template = await getEmailTemplate(name);
+  const { required } = templateVariables([template.subject, template.html, template.text].filter(Boolean).join('\n'));
+  const missing = required.filter(variable => resolveTemplate(`{{${variable}}}`, variables) === undefined);
+  if (missing.length > 0) {
+    throw new EmailError(`Missing variables for email template ${name}: ${missing.join(', ')}`);
+  }
+  return {
+    subject: render(template.subject, variables),
+    ...(template.html && { html: render(template.html, htmlVariables(variables)) }),
+    ...(template.text && { text: render(template.text, variables) })
+  };
+}
+
+// "a@example.com" or { email, name } -> { email, name? }
+function toAddress(address) {
+  return typeof address === 'string' ? { email: address } : { email: address.email, ...(address.name && { name: address.name }) };
+}
+
+function toAddresses(recipients) {
+  return [].concat(recipients ?? []).map(toAddress);
+}
+
+function domainOf(email) {
+  return email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+}
+
+// EMAIL_FROM / EMAIL_FROM_NAME / EMAIL_REPLY_TO set the defaults. A request may choose
+// another sender only on the default sender's domain or one in EMAIL_SENDER_DOMAINS.
+export function defaultSender() {
+  return {
+    from: { email: process.env.EMAIL_FROM || DEFAULT_FROM, name: process.env.EMAIL_FROM_NAME || DEFAULT_FROM_NAME },
+    reply_to: process.env.EMAIL_REPLY_TO ? { email: process.env.EMAIL_REPLY_TO } : null
+  };
+}
+
+function resolveSender(from) {
+  const defaults = defaultSender();
+  if (!from) return defaults.from;
+
+  const sender = toAddress(from);
+  const allowed = [domainOf(defaults.from.email), ...(process.env.EMAIL_SENDER_DOMAINS || '').split(',')]
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+  if (!allowed.includes(domainOf(sender.email))) {
+    throw new EmailError(`Sender ${sender.email} is not allowed; use an address on ${allowed.join(', ')}`, 403);
+  }
+  return { name: defaults.from.name, ...sender };
+}
+
+function toAttachment({ filename, content, type }, index) {
+  const normalized = content.replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(normalized) || normalized.length % 4 !== 0) {
+    throw new EmailError(`attachments[${index}].content must be base64`);
+  }
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  return {
+    filename,
+    content: normalized,
+    type: type || MIME_TYPES[extension] || 'application/octet-stream',
+    bytes: Buffer.byteLength(normalized, 'base64')
+  };
+}
+
+function describeProviderFailure(error) {
+  if (error.response?.status === 401) return 'Authentication failed - check API key or domain verification';
+  if (error.response?.status === 403) return 'Forbidden - domain not verified or sending limit reached';
+  if (error.code === 'ECONNABORTED') return 'Request timeout - email service unavailable';
+  return 'Email sending failed';
+}
+
+// Validates { to, cc, bcc, from, reply_to, subject, html, text, template, variables,
+// attachments } and resolves with the MailChannels request plus a summary of the message
+export async function buildEmail({ to, cc, bcc, from, reply_to, subject, html, text, template, variables, attachments = [] }) {
+  const recipients = { to: toAddresses(to), cc: toAddresses(cc), bcc: toAddresses(bcc) };
+  if (recipients.to.length === 0) {
+    throw new EmailError('At least one to address is required');
+  }
+  if (Object.values(recipients).some(list => list.length > MAX_RECIPIENTS)) {
+    throw new EmailError(`to, cc and bcc take at most ${MAX_RECIPIENTS} addresses each`);
+  }
+
+  const rendered = template ? await renderEmailTemplate(template, variables) : {};
+  const content = {
+    subject: subject || rendered.subject,
+    html: html ?? rendered.html,
+    text: text ?? rendered.text
+  };
+  if (!content.subject || !(content.html || content.text)) {
+    throw new EmailError('A subject and an html or text body are required unless a template provides them');
+  }
+
+  const files = attachments.map(toAttachment);
+  const totalBytes = files.reduce((sum, file) => sum + file.bytes, 0);
+  if (totalBytes > MAX_ATTACHMENT_BYTES) {
+    throw new EmailError(`Attachments total ${totalBytes} bytes; the limit is ${MAX_ATTACHMENT_BYTES}`, 413);
+  }
+
+  const sender = resolveSender(from);
+  const replyTo = reply_to ? toAddress(reply_to) : defaultSender().reply_to;
+  const payload = {
+    personalizations: [{
+      to: recipients.to,
+      ...(recipients.cc.length > 0 && { cc: recipients.cc }),
+      ...(recipients.bcc.length > 0 && { bcc: recipients.bcc })
+    }],
+    from: sender,
+    ...(replyTo && { reply_to: replyTo }),
+    subject: content.subject,
+    // MailChannels wants text/plain before text/html
+    content: [
+      ...(content.text ? [{ type: 'text/plain', value: content.text }] : []),
+      ...(content.html ? [{ type: 'text/html', value: content.html }] : [])
+    ],
+    ...(files.length > 0 && {
+      attachments: files.map(({ filename, content: data, type }) => ({ filename, content: data, type }))
+    })
+  };
+
+  return {
+    payload,
+    summary: {
+      from: sender,
+      reply_to: replyTo,
+      recipients: Object.fromEntries(Object.entries(recipients).map(([field, list]) => [field, list.map(address => address.email)])),
+      subject: content.subject,
+      template: template || null,
+      attachments: files.map(({ filename, type, bytes }) => ({ filename, type, bytes }))
+    }
+  };
+}
+
+// One delivery attempt. Resolves with { message_id }; failures are ProviderErrors, which
+// lib/recovery.js isRetryable() classifies (timeouts and 5xx are worth retrying).
+export async function deliverEmail(payload) {
+  const recipientCount = payload.personalizations
+    .reduce((sum, { to, cc = [], bcc = [] }) => sum + to.length + cc.length + bcc.length, 0);
+  console.log(`📧 Sending "${payload.subject.substring(0, 30)}" to ${recipientCount} recipient(s) with ${payload.attachments?.length || 0} attachment(s)`);
+
+  let response;
+  try {
+    response = await axios.post(`${baseUrl('mailchannels')}/tx/v1/send`, payload, {
+      headers: {
+        'X-API-Key': process.env.MAILCHANNELS_API_KEY,
+        'Content-Type': 'application/json'
+      },
+      timeout: SEND_TIMEOUT_MS
+    });
+  } catch (error) {
+    console.error('📧 Email error:', error.response?.data || error.message);
+    throw new ProviderError(describeProviderFailure(error), {
+      provider: 'mailchannels',
+      status: error.response?.status,
+      code: error.code,
+      retryAfterMs: Number(error.response?.headers?.['retry-after']) * 1000 || undefined,
+      details: { status_code: error.response?.status ?? null, response: error.response?.data ?? error.message }
+    });
+  }
+
+  console.log(`✅ Email sent to ${recipientCount} recipient(s)`);
+  return { message_id: response.data?.request_id || response.data?.message_id || null };
+}
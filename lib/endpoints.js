@@ -0,0 +1,15 @@
+// lib/endpoints.js - Base URLs for every upstream API, so calls can target a mock or proxy
+const SERVICES = {
+  gemini: { env: 'GEMINI_BASE_URL', url: 'https://generativelanguage.googleapis.com' },
+  anthropic: { env: 'CLAUDE_BASE_URL', url: 'https://api.anthropic.com' },
+  stability: { env: 'STABILITY_BASE_URL', url: 'https://api.stability.ai' },
+  mailchannels: { env: 'MAILCHANNELS_BASE_URL', url: 'https://api.mailchannels.net' },
+  huggingface: { env: 'HUGGING_FACE_BASE_URL', url: 'https://api-inference.huggingface.co' }
+};
+
+// Per-service variables win over PROVIDER_BASE_URL, which points every service at
+// one host (e.g. the bundled mock server, see mock-providers.js). Read on every call.
+export function baseUrl(service) {
+  const { env, url } = SERVICES[service];
+  return (process.env[env] || process.env.PROVIDER_BASE_URL || url).replace(/\/+$/, '');
+}
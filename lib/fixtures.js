@@ -0,0 +1,158 @@
+// lib/fixtures.js - Record real upstream responses to fixture files and replay them offline
+//
+// PROVIDER_FIXTURES=record  passes requests through and saves each response (errors included)
+// PROVIDER_FIXTURES=replay  serves saved responses and fails requests that have no fixture
+//
+// Fixtures live in PROVIDER_FIXTURES_DIR (default fixtures/), one file per request, named
+// by a hash of the method, URL and body. API keys in query strings are dropped and request
+// headers are never stored, so fixtures are safe to commit.
+import axios, { AxiosError, AxiosHeaders } from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+
+export const FIXTURE_MODES = ['record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+const SECRET_PARAMS = ['key', 'api_key'];
+const KEPT_HEADERS = ['content-type', 'retry-after'];
+
+function sanitizeUrl(rawUrl) {
+  const url = new URL(rawUrl);
+  SECRET_PARAMS.forEach(param => url.searchParams.delete(param));
+  return url;
+}
+
+// Multipart bodies (image uploads) are described by their fields, with files reduced to a hash
+async function describeBody(data) {
+  if (!(data instanceof FormData)) return data;
+  const fields = {};
+  for (const [name, value] of data.entries()) {
+    fields[name] = typeof value === 'string'
+      ? value
+      : { file: value.name, size: value.size, sha256: crypto.createHash('sha256').update(Buffer.from(await value.arrayBuffer())).digest('hex') };
+  }
+  return fields;
+}
+
+async function fixturePath(dir, config) {
+  const url = sanitizeUrl(config.url);
+  const method = (config.method || 'get').toUpperCase();
+  const data = await describeBody(config.data);
+  const body = typeof data === 'string' ? data : JSON.stringify(data ?? null);
+  const hash = crypto.createHash('sha256').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 24);
+  return path.join(dir, url.hostname, `${hash}.json`);
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+function parseBody(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+// Streamed responses are read in full before being handed back, so recording
+// trades live token streaming for a complete fixture
+function recordingAdapter(realAdapter, dir) {
+  return async (config) => {
+    let response;
+    let failure;
+    try {
+      response = await realAdapter(config);
+    } catch (error) {
+      if (!error.response) throw error;
+      failure = error;
+      response = error.response;
+    }
+
+    const stream = config.responseType === 'stream';
+    const data = stream ? await readStream(response.data) : response.data;
+    if (stream) {
+      response.data = Readable.from([data]);
+    }
+
+    const headers = AxiosHeaders.from(response.headers).toJSON();
+    const file = await fixturePath(dir, config);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      request: {
+        method: (config.method || 'get').toUpperCase(),
+        url: sanitizeUrl(config.url).toString(),
+        body: parseBody(await describeBody(config.data))
+      },
+      response: {
+        status: response.status,
+        headers: Object.fromEntries(KEPT_HEADERS.filter(name => headers[name] !== undefined).map(name => [name, headers[name]])),
+        stream,
+        data
+      },
+      recorded_at: new Date().toISOString()
+    }, null, 2));
+    console.log(`📼 Recorded ${response.status} fixture ${path.relative(dir, file)}`);
+
+    if (failure) throw failure;
+    return response;
+  };
+}
+
+function replayAdapter(dir) {
+  return async (config) => {
+    const file = await fixturePath(dir, config);
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new AxiosError(
+        `No fixture for ${(config.method || 'get').toUpperCase()} ${sanitizeUrl(config.url)} (${path.relative(dir, file)}) - record it with PROVIDER_FIXTURES=record`,
+        'ERR_FIXTURE_MISSING',
+        config
+      );
+    }
+
+    const { status, headers, stream, data } = fixture.response;
+    const response = {
+      status,
+      statusText: String(status),
+      headers: new AxiosHeaders(headers),
+      config,
+      request: {},
+      data: stream ? Readable.from([data]) : data
+    };
+    if (config.validateStatus && !config.validateStatus(status)) {
+      throw new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+    return response;
+  };
+}
+
+export function installFixtures(client = axios, {
+  mode = process.env.PROVIDER_FIXTURES,
+  dir = process.env.PROVIDER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+} = {}) {
+  if (!mode || mode === 'off') return;
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown PROVIDER_FIXTURES mode: ${mode}. Expected one of: ${FIXTURE_MODES.join(', ')}, off`);
+  }
+
+  client.defaults.adapter = mode === 'record'
+    ? recordingAdapter(axios.getAdapter(client.defaults.adapter), dir)
+    : replayAdapter(dir);
+  console.log(`📼 Provider fixtures: ${mode} (${dir})`);
+}
@@ -0,0 +1,141 @@
+// lib/huggingface.js - Task-aware calls to the Hugging Face Inference API
+//
+// Each task knows how to build its request payload from the tool input and how to turn
+// the pipeline's output into one normalized shape, plus a short text "response" for
+// clients written against the old generated-text-only route. The call itself goes through
+// inferHuggingFace in lib/providers.js, which waits for loading models and handles retries,
+// the circuit breaker, the response cache and usage accounting.
+import { ProviderError, inferHuggingFace } from './providers.js';
+import { ValidationError } from './schema.js';
+
+const MASK_TOKENS = ['[MASK]', '<mask>'];
+
+const byScore = (a, b) => b.score - a.score;
+
+// Pipelines answer a single input with either one result or a one-element list
+const first = output => (Array.isArray(output) ? output[0] : output);
+
+export const TASKS = {
+  'text-generation': {
+    defaultModel: 'gpt2',
+    input: ({ text, parameters }) => ({ inputs: text, parameters }),
+    output: (output) => {
+      const { generated_text } = first(output);
+      return { output: { generated_text }, response: generated_text };
+    }
+  },
+  summarization: {
+    defaultModel: 'facebook/bart-large-cnn',
+    input: ({ text, parameters }) => ({ inputs: text, parameters }),
+    output: (output) => {
+      const { summary_text } = first(output);
+      return { output: { summary_text }, response: summary_text };
+    }
+  },
+  translation: {
+    defaultModel: 'Helsinki-NLP/opus-mt-en-fr',
+    input: ({ text, parameters }) => ({ inputs: text, parameters }),
+    output: (output) => {
+      const { translation_text } = first(output);
+      return { output: { translation_text }, response: translation_text };
+    }
+  },
+  'text-classification': {
+    defaultModel: 'distilbert/distilbert-base-uncased-finetuned-sst-2-english',
+    input: ({ text, parameters }) => ({ inputs: text, parameters }),
+    output: (output) => {
+      const labels = [].concat(Array.isArray(output[0]) ? output[0] : output)
+        .map(({ label, score }) => ({ label, score }))
+        .sort(byScore);
+      return { output: { labels, top: labels[0] || null }, response: labels[0]?.label ?? '' };
+    }
+  },
+  'zero-shot-classification': {
+    defaultModel: 'facebook/bart-large-mnli',
+    fields: ['text', 'candidate_labels'],
+    input: ({ text, candidate_labels, multi_label, parameters }) => ({
+      inputs: text,
+      parameters: { ...parameters, candidate_labels, ...(multi_label !== undefined && { multi_label }) }
+    }),
+    output: (output) => {
+      const result = first(output);
+      const labels = result.labels.map((label, idx) => ({ label, score: result.scores[idx] })).sort(byScore);
+      return { output: { labels, top: labels[0] || null }, response: labels[0]?.label ?? '' };
+    }
+  },
+  'token-classification': {
+    defaultModel: 'dslim/bert-base-NER',
+    input: ({ text, parameters }) => ({ inputs: text, parameters: { aggregation_strategy: 'simple', ...parameters } }),
+    output: (output) => {
+      // Aggregated results name the group; raw token results name the entity
+      const entities = output.map(({ entity_group, entity, word, score, start, end }) => ({
+        entity: entity_group || entity,
+        word,
+        score,
+        start: start ?? null,
+        end: end ?? null
+      }));
+      return {
+        output: { entities },
+        response: entities.map(({ entity, word }) => `${word} (${entity})`).join(', ')
+      };
+    }
+  },
+  'question-answering': {
+    defaultModel: 'deepset/roberta-base-squad2',
+    fields: ['question', 'context'],
+    input: ({ question, context, parameters }) => ({ inputs: { question, context }, parameters }),
+    output: (output) => {
+      const { answer, score, start, end } = first(output);
+      return { output: { answer, score, start: start ?? null, end: end ?? null }, response: answer };
+    }
+  },
+  'fill-mask': {
+    defaultModel: 'google-bert/bert-base-uncased',
+    input: ({ text, parameters }) => {
+      if (!MASK_TOKENS.some(token => text.includes(token))) {
+        throw new ValidationError(`text must contain a mask token (${MASK_TOKENS.join(' or ')}) for the fill-mask task`, 'text');
+      }
+      return { inputs: text, parameters };
+    },
+    output: (output) => {
+      const predictions = output
+        .map(({ token_str, sequence, score }) => ({ token: token_str?.trim(), sequence, score }))
+        .sort(byScore);
+      return { output: { predictions }, response: predictions[0]?.sequence ?? '' };
+    }
+  }
+};
+
+export const HUGGING_FACE_TASKS = Object.keys(TASKS);
+
+// Resolves with { task, model, output, response, waited_ms, usage, cached }
+export async function runInference({ task, model, cache, ...input }) {
+  const definition = TASKS[task];
+  const modelId = model || definition.defaultModel;
+  for (const field of definition.fields || ['text']) {
+    if (input[field] === undefined || input[field] === '') {
+      throw new ValidationError(`${field} is required for the ${task} task`, field);
+    }
+  }
+  const payload = definition.input(input);
+  if (payload.parameters === undefined || Object.keys(payload.parameters).length === 0) {
+    delete payload.parameters;
+  }
+
+  const preview = typeof payload.inputs === 'string' ? payload.inputs : payload.inputs.question;
+  console.log(`🤗 ${task} with ${modelId}: "${preview.substring(0, 50)}..."`);
+  const { data, waited_ms, usage, cached } = await inferHuggingFace(modelId, { ...payload, options: { wait_for_model: true } }, { cache });
+
+  let normalized;
+  try {
+    normalized = definition.output(data);
+  } catch {
+    throw new ProviderError(`Unexpected ${task} output from ${modelId} - is it a ${task} model?`, {
+      provider: 'huggingface',
+      model: modelId,
+      details: data
+    });
+  }
+  return { task, model: modelId, ...normalized, waited_ms, usage, cached };
+}
@@ -0,0 +1,141 @@
+// lib/images.js - Local asset store for generated images, served by GET /api/images/:id
+//
+// Each image is saved as <id>.png and its metadata (prompt, style, seed, ...) in index.json.
+// The <id>.thumb.png thumbnail is made when it is first requested; until then the record's
+// thumbnail is null, and false if the image couldn't be decoded. Ids are random and
+// unguessable, so an image URL works like a share link: anyone holding it can fetch the image.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+import { decodePng, encodePng, pngDimensions, resizeImage } from './png.js';
+
+const DEFAULT_MAX_AGE_DAYS = 30;
+const DEFAULT_THUMBNAIL_SIZE = 256;
+const IMAGE_ID_PATTERN = /^img_[a-f0-9]{32}$/;
+
+const storeDir = process.env.IMAGE_STORE_DIR || path.join(DATA_DIR, 'images');
+const indexFile = new JsonFile(path.join(storeDir, 'index.json'), { images: {} }, { shared: true });
+const maxAgeMs = (Number(process.env.IMAGE_MAX_AGE_DAYS) || DEFAULT_MAX_AGE_DAYS) * 24 * 60 * 60 * 1000;
+const thumbnailSize = Number(process.env.IMAGE_THUMBNAIL_SIZE) || DEFAULT_THUMBNAIL_SIZE;
+
+const imagePath = (id, thumbnail) => path.join(storeDir, thumbnail ? `${id}.thumb.png` : `${id}.png`);
+// Thumbnails being made, by image id, so concurrent first requests share one
+const pendingThumbnails = new Map();
+
+// PUBLIC_BASE_URL makes image URLs absolute, e.g. https://api.example.com/api/images/img_...
+export function imageUrls(id) {
+  const base = `${(process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '')}/api/images/${id}`;
+  return { url: base, thumbnail_url: `${base}/thumbnail`, resource_uri: `images://${id}` };
+}
+
+// Metadata as clients see it - everything but the owning client, plus the image URLs
+export function describeImage({ client, ...image }) {
+  return { ...image, ...imageUrls(image.id) };
+}
+
+// Thumbnails need a PNG the decoder understands; for anything else (or a corrupt
+// file) the image is marked as having none
+function makeThumbnail(buffer) {
+  try {
+    const thumbnail = resizeImage(decodePng(buffer), thumbnailSize);
+    return { png: encodePng(thumbnail), width: thumbnail.width, height: thumbnail.height };
+  } catch (error) {
+    console.warn(`⚠️  No thumbnail for generated image: ${error.message}`);
+    return null;
+  }
+}
+
+// Makes and stores the thumbnail on first request; resolves with its metadata or false
+function ensureThumbnail(id) {
+  if (!pendingThumbnails.has(id)) {
+    const pending = (async () => {
+      const buffer = await fs.readFile(imagePath(id)).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+      if (!buffer) return false;
+      const thumbnail = makeThumbnail(buffer);
+      if (thumbnail) {
+        await fs.writeFile(imagePath(id, true), thumbnail.png);
+      }
+      return indexFile.update(data => {
+        const image = data.images[id];
+        if (!image) return false;
+        image.thumbnail = thumbnail ? { width: thumbnail.width, height: thumbnail.height } : false;
+        return image.thumbnail;
+      });
+    })().finally(() => pendingThumbnails.delete(id));
+    pendingThumbnails.set(id, pending);
+  }
+  return pendingThumbnails.get(id);
+}
+
+async function removeFiles(id) {
+  await Promise.all([imagePath(id), imagePath(id, true)].map(file => fs.rm(file, { force: true })));
+}
+
+// Images older than IMAGE_MAX_AGE_DAYS are dropped along with their files
+async function pruneImages(data) {
+  const cutoff = Date.now() - maxAgeMs;
+  const expired = Object.values(data.images).filter(image => new Date(image.created_at).getTime() < cutoff);
+  for (const image of expired) {
+    delete data.images[image.id];
+    await removeFiles(image.id);
+  }
+}
+
+// Stores a base64 PNG with its metadata and resolves with the stored record
+export async function saveImage(base64, { client, ...metadata } = {}) {
+  const id = `img_${crypto.randomBytes(16).toString('hex')}`;
+  const buffer = Buffer.from(base64, 'base64');
+  const size = pngDimensions(buffer);
+
+  await fs.mkdir(storeDir, { recursive: true });
+  await fs.writeFile(imagePath(id), buffer);
+
+  return indexFile.update(async (data) => {
+    await pruneImages(data);
+    data.images[id] = {
+      id,
+      mime_type: 'image/png',
+      bytes: buffer.length,
+      ...size,
+      thumbnail: null,
+      ...metadata,
+      client,
+      created_at: new Date().toISOString()
+    };
+    return data.images[id];
+  });
+}
+
+export async function getImage(id) {
+  if (!IMAGE_ID_PATTERN.test(id)) return null;
+  const { images } = await indexFile.load();
+  return images[id] || null;
+}
+
+// Resolves with the PNG bytes, or null when the image (or its thumbnail) doesn't exist
+export async function readImage(id, { thumbnail = false } = {}) {
+  const image = await getImage(id);
+  if (!image) return null;
+  if (thumbnail && !image.thumbnail) {
+    if (image.thumbnail === false || !await ensureThumbnail(id)) return null;
+  }
+  try {
+    return await fs.readFile(imagePath(id, thumbnail));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Newest first, optionally only the images one client generated
+export async function listImages({ client, limit = 100 } = {}) {
+  const { images } = await indexFile.load();
+  return Object.values(images)
+    .filter(image => client === undefined || image.client === client)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))
+    .slice(0, limit);
+}
@@ -0,0 +1,105 @@
+// lib/json-file.js - Small JSON document persisted to disk, loaded lazily and written atomically
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+
+// Shared files are locked with a {file}.lock created exclusively; a lock left by a crashed
+// process is broken once it is this old
+const LOCK_RETRY_MS = 10;
+const LOCK_STALE_MS = 10000;
+
+export class JsonFile {
+  // indent: spaces per level when saving; 0 writes compact JSON (large, machine-read files).
+  // shared: other processes (server.js and the stdio MCP servers) write the file too, so it
+  // is re-read on every load and each update runs under a lock file.
+  constructor(filePath, defaults = {}, { indent = 2, shared = false } = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.indent = indent;
+    this.shared = shared;
+    this.data = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+    this.updating = Promise.resolve();
+  }
+
+  async load() {
+    if (this.shared) return this.read();
+    if (this.data) return this.data;
+    if (!this.loading) {
+      this.loading = this.read().then(data => {
+        this.data = data;
+        return data;
+      });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    try {
+      return { ...structuredClone(this.defaults), ...JSON.parse(await fs.readFile(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return structuredClone(this.defaults);
+      throw error;
+    }
+  }
+
+  // Writes are serialized and go through a temp file so a crash never leaves half a file
+  async save() {
+    const snapshot = JSON.stringify(this.data, null, this.indent);
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+    });
+    return this.writing;
+  }
+
+  // Applies fn to the loaded document, saves it, and returns fn's result
+  async update(fn) {
+    if (!this.shared) {
+      const data = await this.load();
+      const result = await fn(data);
+      await this.save();
+      return result;
+    }
+
+    // Updates from this process queue up here; the lock file orders them against other processes
+    const run = this.updating.catch(() => {}).then(async () => {
+      const unlock = await this.lock();
+      try {
+        this.data = await this.read();
+        const result = await fn(this.data);
+        await this.save();
+        return result;
+      } finally {
+        await unlock();
+      }
+    });
+    this.updating = run;
+    return run;
+  }
+
+  async lock() {
+    const lockPath = `${this.filePath}.lock`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    for (;;) {
+      try {
+        await (await fs.open(lockPath, 'wx')).close();
+        return () => fs.rm(lockPath, { force: true });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+        await fs.rm(lockPath, { force: true });
+      } else {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  }
+}
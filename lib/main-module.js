@@ -0,0 +1,18 @@
+// lib/main-module.js - Tells whether a module is the script node was started with
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// import.meta.url is the module's real path, so process.argv[1] is resolved the same
+// way - relative paths, spaces and symlinks all compare equal
+export function isMainModule(moduleUrl) {
+  if (!process.argv[1]) return false;
+  const script = path.resolve(process.argv[1]);
+  let realScript = script;
+  try {
+    realScript = fs.realpathSync(script);
+  } catch {
+    // node also starts scripts named without their extension; those never match
+  }
+  return fileURLToPath(moduleUrl) === realScript;
+}
@@ -0,0 +1,78 @@
+// lib/mcp-http.js - Serve MCP servers over HTTP (SSE stream + POSTed messages) from Express
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { chargeRequest } from './auth.js';
+
+// Keeps proxies (Railway included) from closing idle SSE connections
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+// Mounts GET {basePath}/sse and POST {basePath}/messages?sessionId=... on the app.
+// createServer is called once per client connection with { sessionId, apiKey }.
+// With an authenticated request (req.apiKey), a session only accepts messages from the key
+// that opened it, and every tools/call is checked against toolScope(name) and the key's quota.
+export function mountMcpServer(app, basePath, createServer, { label = 'MCP', toolScope = () => undefined } = {}) {
+  const sessions = new Map();
+
+  app.get(`${basePath}/sse`, async (req, res) => {
+    const transport = new SSEServerTransport(`${basePath}/messages`, res);
+    const server = createServer({ sessionId: transport.sessionId, apiKey: req.apiKey });
+    sessions.set(transport.sessionId, { transport, server, apiKey: req.apiKey });
+    console.log(`🔌 ${label} client connected: ${transport.sessionId} (${sessions.size} active)`);
+
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+    res.on('close', () => {
+      clearInterval(keepalive);
+      sessions.delete(transport.sessionId);
+      console.log(`🔌 ${label} client disconnected: ${transport.sessionId} (${sessions.size} active)`);
+    });
+
+    try {
+      await server.connect(transport);
+    } catch (error) {
+      console.error(`${label} connection error:`, error);
+      sessions.delete(transport.sessionId);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Failed to start MCP session' });
+      }
+    }
+  });
+
+  // express.json() has already consumed the body, so hand the parsed message to the transport
+  app.post(`${basePath}/messages`, async (req, res) => {
+    const session = sessions.get(req.query.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Unknown or expired MCP session' });
+    }
+    if (session.apiKey && session.apiKey.id !== req.apiKey?.id) {
+      return res.status(403).json({ error: 'MCP session belongs to another API key' });
+    }
+
+    try {
+      const refusal = await chargeToolCall(session.apiKey, req.body, toolScope);
+      if (refusal) {
+        // The client reads responses from the SSE stream, so the refusal goes there too
+        await session.transport.send({ jsonrpc: '2.0', id: req.body.id, error: refusal });
+        return res.status(202).send('Accepted');
+      }
+      await session.transport.handleMessage(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid MCP message', details: error.message });
+    }
+    res.status(202).send('Accepted');
+  });
+
+  return {
+    activeSessions: () => sessions.size
+  };
+}
+
+// Resolves with a JSON-RPC error when the key may not make this tool call, otherwise null
+async function chargeToolCall(apiKey, message, toolScope) {
+  if (!apiKey || message?.method !== 'tools/call') return null;
+  const scope = toolScope(message.params?.name);
+  if (!scope) return null;
+
+  const charge = await chargeRequest(apiKey, scope);
+  if (charge.allowed) return null;
+  return { code: ErrorCode.InvalidRequest, message: charge.error, data: { status: charge.status } };
+}
@@ -0,0 +1,449 @@
+// lib/mock-providers.js - Local stand-in for Gemini, Anthropic, Stability.AI, MailChannels and Hugging Face
+//
+// Serves each provider's paths with its response shapes, so one mock host can back
+// every base URL (PROVIDER_BASE_URL=http://localhost:4010). Put "[mock:<status>]" in a
+// prompt, email subject, text to embed or Hugging Face input to get that provider's error
+// response for the status, e.g. "[mock:429]" (with Retry-After) or "[mock:503]".
+// "[mock:filtered]" in an image prompt marks every generated image as content filtered.
+import express from 'express';
+import crypto from 'crypto';
+import { encodePng, pngDimensions } from './png.js';
+
+const MOCK_TRIGGER = /\[mock:(\d{3})\]/;
+const MOCK_FILTERED = '[mock:filtered]';
+const SDXL_DIMENSIONS = ['1024x1024', '1152x896', '896x1152', '1216x832', '832x1216', '1344x768', '768x1344', '1536x640', '640x1536'];
+
+function requestedStatus(...texts) {
+  const match = texts.filter(text => typeof text === 'string').join(' ').match(MOCK_TRIGGER);
+  return match ? Number(match[1]) : null;
+}
+
+// A solid-colour PNG of the requested size; the colour comes from the seed
+function mockImage(width, height, seed) {
+  const data = Buffer.alloc(width * height * 4);
+  const colour = [seed & 0xff, (seed >> 8) & 0xff, (seed >> 16) & 0xff, 255];
+  for (let offset = 0; offset < data.length; offset += 4) data.set(colour, offset);
+  return encodePng({ width, height, data }).toString('base64');
+}
+
+function countTokens(text = '') {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function mockText(model, prompt) {
+  return `Mock response from ${model}: ${prompt.slice(0, 200)}`;
+}
+
+// Cuts the reply at the first stop sequence, then at maxTokens words.
+// Resolves with { text, reason: 'end' | 'stop_sequence' | 'max_tokens', stopSequence }.
+function applyLimits(text, { stop = [], maxTokens } = {}) {
+  const stopSequence = stop
+    .filter(sequence => text.includes(sequence))
+    .sort((a, b) => text.indexOf(a) - text.indexOf(b))[0];
+  if (stopSequence) {
+    text = text.slice(0, text.indexOf(stopSequence));
+  }
+  if (maxTokens && countTokens(text) > maxTokens) {
+    return { text: text.split(/(?<= )/).slice(0, maxTokens).join(''), reason: 'max_tokens' };
+  }
+  return { text, reason: stopSequence ? 'stop_sequence' : 'end', stopSequence };
+}
+
+// Returns an error message when value is set and outside [min, max]
+function outOfRange(name, value, min, max) {
+  if (value === undefined) return null;
+  return typeof value === 'number' && value >= min && value <= max ? null : `${name} must be between ${min} and ${max}`;
+}
+
+function sendError(res, status, body) {
+  if (status === 429) res.set('Retry-After', '1');
+  res.status(status).json(body);
+}
+
+function sendEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  events.forEach(({ event, data }) => {
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+  });
+  res.end();
+}
+
+// ERROR SHAPES - as each provider documents them
+const GEMINI_STATUSES = {
+  400: 'INVALID_ARGUMENT', 401: 'UNAUTHENTICATED', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND',
+  429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 503: 'UNAVAILABLE', 504: 'DEADLINE_EXCEEDED'
+};
+const ANTHROPIC_TYPES = {
+  400: 'invalid_request_error', 401: 'authentication_error', 403: 'permission_error', 404: 'not_found_error',
+  413: 'request_too_large', 429: 'rate_limit_error', 500: 'api_error', 529: 'overloaded_error'
+};
+const STABILITY_NAMES = {
+  400: 'bad_request', 401: 'unauthorized', 403: 'permission_denied', 404: 'not_found',
+  429: 'rate_limit_exceeded', 500: 'server_error'
+};
+
+const geminiError = (status, message) => ({
+  error: { code: status, message, status: GEMINI_STATUSES[status] || 'UNKNOWN' }
+});
+const anthropicError = (status, message) => ({
+  type: 'error',
+  error: { type: ANTHROPIC_TYPES[status] || 'api_error', message }
+});
+const stabilityError = (status, message) => ({
+  id: crypto.randomUUID(),
+  name: STABILITY_NAMES[status] || 'server_error',
+  message
+});
+
+// PROVIDERS
+function gemini(req, res) {
+  const { 0: model, 1: method } = req.params;
+  const contents = req.body.contents || [];
+  const texts = contents.map(content => content.parts.map(part => part.text || '').join(''));
+  const prompt = texts.join('\n');
+  const status = req.query.key ? requestedStatus(texts.at(-1)) : 400;
+  if (status) {
+    return sendError(res, status, geminiError(status, req.query.key ? `Mock ${status} error` : 'API key not valid. Please pass a valid API key.'));
+  }
+  if (contents.some(content => content.role && !['user', 'model'].includes(content.role))) {
+    return sendError(res, 400, geminiError(400, 'Please use a valid role: user, model.'));
+  }
+  const config = req.body.generationConfig || {};
+  const invalid = outOfRange('temperature', config.temperature, 0, 2)
+    || outOfRange('topP', config.topP, 0, 1)
+    || outOfRange('maxOutputTokens', config.maxOutputTokens, 1, 8192)
+    || (config.stopSequences?.length > 5 && 'stopSequences supports at most 5 sequences');
+  if (invalid) {
+    return sendError(res, 400, geminiError(400, `Invalid generationConfig: ${invalid}`));
+  }
+
+  // Replies to the latest turn; input tokens count the system instruction and the whole history
+  const system = req.body.systemInstruction?.parts?.map(part => part.text || '').join('') || '';
+  const { text, reason } = applyLimits(mockText(model, texts.at(-1) || ''), {
+    stop: config.stopSequences,
+    maxTokens: config.maxOutputTokens
+  });
+  const usageMetadata = { promptTokenCount: countTokens(`${system} ${prompt}`), candidatesTokenCount: countTokens(text) };
+  usageMetadata.totalTokenCount = usageMetadata.promptTokenCount + usageMetadata.candidatesTokenCount;
+  const finishReason = reason === 'max_tokens' ? 'MAX_TOKENS' : 'STOP';
+  const candidate = content => ({ content: { parts: [{ text: content }], role: 'model' }, finishReason, index: 0 });
+
+  if (method === 'streamGenerateContent') {
+    const words = text.split(/(?<= )/);
+    return sendEvents(res, words.map((word, idx) => ({
+      data: { candidates: [candidate(word)], ...(idx === words.length - 1 && { usageMetadata }) }
+    })));
+  }
+  res.json({ candidates: [candidate(text)], usageMetadata });
+}
+
+// Bag-of-words vectors: each word adds to a dimension picked by its hash, so texts sharing
+// words come out similar and cosine similarity ranks like a real embedding model's would
+function mockEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+    vector[crypto.createHash('md5').update(word).digest().readUInt32BE(0) % dimensions] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => Math.round(value / norm * 1e6) / 1e6);
+}
+
+function geminiEmbed(req, res) {
+  const model = req.params[0];
+  const requests = req.body.requests || [];
+  const texts = requests.map(request => request.content?.parts?.map(part => part.text || '').join('') || '');
+  const status = req.query.key ? requestedStatus(...texts) : 400;
+  if (status) {
+    return sendError(res, status, geminiError(status, req.query.key ? `Mock ${status} error` : 'API key not valid. Please pass a valid API key.'));
+  }
+  if (requests.length === 0 || requests.length > 100) {
+    return sendError(res, 400, geminiError(400, 'requests must contain between 1 and 100 items'));
+  }
+  if (requests.some(request => request.model !== `models/${model}`)) {
+    return sendError(res, 400, geminiError(400, `Every request must be for models/${model}`));
+  }
+  res.json({ embeddings: texts.map(text => ({ values: mockEmbedding(text, 768) })) });
+}
+
+function anthropic(req, res) {
+  const { model, messages = [], stream } = req.body;
+  const texts = messages.map(message => typeof message.content === 'string' ? message.content : '');
+  const prompt = texts.join('\n');
+  const status = req.get('x-api-key') ? requestedStatus(texts.at(-1)) : 401;
+  if (status) {
+    return sendError(res, status, anthropicError(status, req.get('x-api-key') ? `Mock ${status} error` : 'x-api-key header is required'));
+  }
+  if (messages.some((message, idx) => message.role !== (idx % 2 === 0 ? 'user' : 'assistant'))) {
+    return sendError(res, 400, anthropicError(400, 'messages: roles must alternate between "user" and "assistant", starting with "user"'));
+  }
+  const { system = '', temperature, top_p, max_tokens, stop_sequences } = req.body;
+  const invalid = (max_tokens === undefined && 'max_tokens: Field required')
+    || outOfRange('temperature', temperature, 0, 1)
+    || outOfRange('top_p', top_p, 0, 1)
+    || outOfRange('max_tokens', max_tokens, 1, 4096);
+  if (invalid) {
+    return sendError(res, 400, anthropicError(400, invalid));
+  }
+
+  const id = `msg_mock_${crypto.randomBytes(6).toString('hex')}`;
+  const { text, reason, stopSequence } = applyLimits(mockText(model, texts.at(-1) || ''), {
+    stop: stop_sequences,
+    maxTokens: max_tokens
+  });
+  const stopReason = { end: 'end_turn', stop_sequence: 'stop_sequence', max_tokens: 'max_tokens' }[reason];
+  const usage = { input_tokens: countTokens(`${system} ${prompt}`), output_tokens: countTokens(text) };
+
+  if (stream) {
+    return sendEvents(res, [
+      { event: 'message_start', data: { type: 'message_start', message: { id, type: 'message', role: 'assistant', model, content: [], usage: { input_tokens: usage.input_tokens, output_tokens: 1 } } } },
+      { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+      ...text.split(/(?<= )/).map(word => ({
+        event: 'content_block_delta',
+        data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: word } }
+      })),
+      { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+      { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: stopReason, stop_sequence: stopSequence ?? null }, usage: { output_tokens: usage.output_tokens } } },
+      { event: 'message_stop', data: { type: 'message_stop' } }
+    ]);
+  }
+  res.json({
+    id,
+    type: 'message',
+    role: 'assistant',
+    model,
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason,
+    stop_sequence: stopSequence ?? null,
+    usage
+  });
+}
+
+// Minimal multipart/form-data parser: text fields become strings, files Buffers
+function parseMultipart(req) {
+  const boundary = req.get('content-type')?.match(/boundary=(?:"([^"]+)"|([^;]+))/);
+  if (!boundary || !Buffer.isBuffer(req.body)) return {};
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  const fields = {};
+  for (let start = req.body.indexOf(delimiter); start !== -1;) {
+    const next = req.body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    // Each part sits between "<delimiter>\r\n" and "\r\n<delimiter>"
+    const part = req.body.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    const name = headers.match(/name="([^"]+)"/)?.[1];
+    if (name) {
+      const content = part.subarray(headerEnd + 4);
+      fields[name] = /filename="/.test(headers) ? content : content.toString();
+    }
+    start = next;
+  }
+  return fields;
+}
+
+// text_prompts[0][text]=...&text_prompts[0][weight]=... back to [{ text, weight }]
+function formTextPrompts(fields) {
+  const prompts = [];
+  for (let idx = 0; fields[`text_prompts[${idx}][text]`] !== undefined; idx++) {
+    prompts.push({ text: fields[`text_prompts[${idx}][text]`], weight: Number(fields[`text_prompts[${idx}][weight]`] ?? 1) });
+  }
+  return prompts;
+}
+
+const optionalNumber = value => (value === undefined ? undefined : Number(value));
+
+// Checks auth and the mock trigger; resolves with true when an error was sent
+function stabilityFailed(req, res, textPrompts) {
+  const prompt = textPrompts.map(textPrompt => textPrompt.text).join(' ');
+  const status = req.get('authorization') ? requestedStatus(prompt) : 401;
+  if (status) {
+    sendError(res, status, stabilityError(status, req.get('authorization') ? `Mock ${status} error` : 'Missing Authorization header'));
+  }
+  return !!status;
+}
+
+// Validates the shared generation options and replies with one artifact per sample
+function sendArtifacts(res, { textPrompts, width, height, samples = 1, steps = 30, cfgScale = 7, seed, invalid }) {
+  const problem = invalid
+    || (!SDXL_DIMENSIONS.includes(`${width}x${height}`) && `${width}x${height} is not a supported SDXL size`)
+    || outOfRange('samples', samples, 1, 10)
+    || outOfRange('steps', steps, 10, 50)
+    || outOfRange('cfg_scale', cfgScale, 0, 35);
+  if (problem) {
+    return sendError(res, 400, stabilityError(400, problem));
+  }
+
+  const positive = textPrompts.filter(textPrompt => (textPrompt.weight ?? 1) > 0).map(textPrompt => textPrompt.text).join(' ');
+  const finishReason = positive.includes(MOCK_FILTERED) ? 'CONTENT_FILTERED' : 'SUCCESS';
+  const firstSeed = seed || crypto.randomInt(1, 2 ** 31);
+  res.json({
+    artifacts: Array.from({ length: samples }, (_, idx) => ({
+      base64: mockImage(width, height, firstSeed + idx),
+      seed: firstSeed + idx,
+      finishReason
+    }))
+  });
+}
+
+function stability(req, res) {
+  const textPrompts = req.body.text_prompts || [];
+  if (stabilityFailed(req, res, textPrompts)) return;
+
+  const { width = 512, height = 512, samples, steps, cfg_scale: cfgScale, seed } = req.body;
+  sendArtifacts(res, { textPrompts, width, height, samples, steps, cfgScale, seed });
+}
+
+// image-to-image and image-to-image/masking: the output has the init image's size
+function stabilityImageToImage(req, res) {
+  const fields = parseMultipart(req);
+  const textPrompts = formTextPrompts(fields);
+  if (stabilityFailed(req, res, textPrompts)) return;
+
+  const masking = req.path.endsWith('/masking');
+  const size = fields.init_image && pngDimensions(fields.init_image);
+  const maskSize = fields.mask_image && pngDimensions(fields.mask_image);
+  const invalid = (!size && 'init_image must be a PNG image')
+    || (textPrompts.length === 0 && 'text_prompts is required')
+    || (!masking && outOfRange('image_strength', optionalNumber(fields.image_strength), 0, 1))
+    || (masking && !['MASK_IMAGE_WHITE', 'MASK_IMAGE_BLACK', 'INIT_IMAGE_ALPHA'].includes(fields.mask_source) && 'mask_source is invalid')
+    || (masking && fields.mask_source !== 'INIT_IMAGE_ALPHA' && !maskSize && 'mask_image is required for this mask_source')
+    || (maskSize && (maskSize.width !== size.width || maskSize.height !== size.height) && 'mask_image must match the init_image size');
+  sendArtifacts(res, {
+    textPrompts,
+    ...size,
+    samples: optionalNumber(fields.samples),
+    steps: optionalNumber(fields.steps),
+    cfgScale: optionalNumber(fields.cfg_scale),
+    seed: optionalNumber(fields.seed),
+    invalid
+  });
+}
+
+// Upscaling doubles the image's size
+function stabilityUpscale(req, res) {
+  const fields = parseMultipart(req);
+  if (stabilityFailed(req, res, [])) return;
+
+  const size = fields.image && pngDimensions(fields.image);
+  if (!size) {
+    return sendError(res, 400, stabilityError(400, 'image must be a PNG image'));
+  }
+  res.json({
+    artifacts: [{ base64: mockImage(size.width * 2, size.height * 2, 0), seed: 0, finishReason: 'SUCCESS' }]
+  });
+}
+
+function mailchannels(req, res) {
+  const status = req.get('x-api-key') ? requestedStatus(req.body.subject) : 401;
+  if (status) {
+    return sendError(res, status, { errors: [req.get('x-api-key') ? `Mock ${status} error` : 'Unauthorized'] });
+  }
+  if (!req.body.personalizations?.length || !req.body.from?.email) {
+    return sendError(res, 400, { errors: ['personalizations and from are required'] });
+  }
+  if (!req.body.content?.length || req.body.content.some(part => !part.type || !part.value)) {
+    return sendError(res, 400, { errors: ['content must have at least one part with a type and value'] });
+  }
+  if ((req.body.attachments || []).some(file => !file.filename || !file.content || !file.type)) {
+    return sendError(res, 400, { errors: ['attachments need a filename, content and type'] });
+  }
+  res.status(202).json({ request_id: `mock-${crypto.randomUUID()}`, results: [{ status: 'sent' }] });
+}
+
+// Models answer in their task's output format; the task is guessed from the model id
+// and the payload, as the real API knows it from the model card
+function huggingfaceOutput(model, { inputs, parameters = {} }) {
+  if (inputs && typeof inputs === 'object') {
+    const answer = inputs.context.split(/[.!?]/)[0].trim();
+    const start = inputs.context.indexOf(answer);
+    return { answer, score: 0.91, start, end: start + answer.length };
+  }
+  if (parameters.candidate_labels) {
+    const labels = parameters.candidate_labels;
+    const scores = labels.map((label, idx) => Math.round((labels.length - idx) / (labels.length * (labels.length + 1) / 2) * 1000) / 1000);
+    return { sequence: inputs, labels, scores };
+  }
+  const mask = ['[MASK]', '<mask>'].find(token => inputs.includes(token));
+  if (mask) {
+    return ['paris', 'london'].map((token, idx) => ({ token: idx, token_str: token, sequence: inputs.replace(mask, token), score: 0.6 - idx * 0.3 }));
+  }
+  if (/ner/i.test(model)) {
+    return [...inputs.matchAll(/\b[A-Z][a-z]+\b/g)].map(match => ({
+      entity_group: 'PER', word: match[0], score: 0.99, start: match.index, end: match.index + match[0].length
+    }));
+  }
+  if (/sst|sentiment|classif/i.test(model)) {
+    return [[{ label: 'POSITIVE', score: 0.98 }, { label: 'NEGATIVE', score: 0.02 }]];
+  }
+  if (/cnn|summar|pegasus/i.test(model)) {
+    return [{ summary_text: inputs.split(/\s+/).slice(0, 8).join(' ') }];
+  }
+  if (/opus-mt|translat/i.test(model)) {
+    return [{ translation_text: `[fr] ${inputs}` }];
+  }
+  return [{ generated_text: `${inputs} ${mockText(model, '').trim()}` }];
+}
+
+// [mock:loading] answers 503 once per model and input, as a model that is still loading
+const loadingModels = new Set();
+
+function huggingface(req, res) {
+  const model = req.params[0];
+  const inputs = typeof req.body.inputs === 'string' ? req.body.inputs : JSON.stringify(req.body.inputs ?? '');
+  if (inputs.includes('[mock:loading]') && !loadingModels.has(`${model} ${inputs}`)) {
+    loadingModels.add(`${model} ${inputs}`);
+    return res.status(503).json({ error: `Model ${model} is currently loading`, estimated_time: 0.05 });
+  }
+  const status = req.get('authorization') ? requestedStatus(inputs) : 401;
+  if (status === 503) {
+    return res.status(503).json({ error: `Model ${model} is currently loading`, estimated_time: 20 });
+  }
+  if (status) {
+    return sendError(res, status, { error: req.get('authorization') ? `Mock ${status} error` : 'Authorization header is correct, but the token seems invalid' });
+  }
+  res.json(huggingfaceOutput(model, req.body));
+}
+
+// Sentence-transformers models answer with one vector per input, other models with one per word
+function huggingfaceEmbed(req, res) {
+  const model = req.params[0];
+  const texts = [].concat(req.body.inputs ?? []);
+  const status = req.get('authorization') ? requestedStatus(...texts) : 401;
+  if (status) {
+    return sendError(res, status, { error: req.get('authorization') ? `Mock ${status} error` : 'Authorization header is correct, but the token seems invalid' });
+  }
+  if (!model.startsWith('sentence-transformers/')) {
+    return res.json(texts.map(text => (text.match(/\S+/g) || ['']).map(word => mockEmbedding(word, 384))));
+  }
+  res.json(texts.map(text => mockEmbedding(text, 384)));
+}
+
+export function createMockProviderApp() {
+  const app = express();
+  app.use(express.json({ limit: '20mb' }));
+
+  app.use((req, res, next) => {
+    console.log(`🎭 Mock ${req.method} ${req.path}`);
+    next();
+  });
+
+  app.post(/^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/, gemini);
+  app.post(/^\/v1beta\/models\/([^/:]+):batchEmbedContents$/, geminiEmbed);
+  app.post('/v1/messages', anthropic);
+  app.post('/v1/generation/:engine/text-to-image', stability);
+  app.post(
+    ['/v1/generation/:engine/image-to-image', '/v1/generation/:engine/image-to-image/masking'],
+    express.raw({ type: 'multipart/form-data', limit: '50mb' }),
+    stabilityImageToImage
+  );
+  app.post('/v1/generation/:engine/image-to-image/upscale', express.raw({ type: 'multipart/form-data', limit: '50mb' }), stabilityUpscale);
+  app.post('/tx/v1/send', mailchannels);
+  app.post(/^\/models\/(.+)$/, huggingface);
+  app.post(/^\/pipeline\/feature-extraction\/(.+)$/, huggingfaceEmbed);
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `Mock providers: no route for ${req.method} ${req.path}` });
+  });
+
+  return app;
+}
@@ -0,0 +1,245 @@
+// lib/pdf.js - Just enough PDF writing for text reports with images, without native dependencies
+//
+// Lays out headings, wrapped paragraphs and RGB images top to bottom on A4 pages, using
+// the standard Helvetica fonts (no embedding) with WinAnsi encoding. Characters outside
+// WinAnsi are printed as "?".
+import zlib from 'zlib';
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_SIZE = 8;
+
+// Advance widths (1/1000 em) of characters 32-126, from the Adobe font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const FONTS = { regular: { resource: 'F1', base: 'Helvetica' }, bold: { resource: 'F2', base: 'Helvetica-Bold' } };
+
+// Unicode punctuation that WinAnsi has at 0x80-0x9f, with its width
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556], '…': [0x85, 1000], '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333],
+  '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '™': [0x99, 1000]
+};
+
+// [byte, width] per character
+function encodeChar(char, font) {
+  const code = char.codePointAt(0);
+  if (code >= 32 && code <= 126) return [code, WIDTHS[font][code - 32]];
+  if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+  if (code >= 160 && code <= 255) return [code, 556];
+  return [63, WIDTHS[font][63 - 32]];
+}
+
+function textWidth(text, font, size) {
+  return [...text].reduce((sum, char) => sum + encodeChar(char, font)[1], 0) * size / 1000;
+}
+
+// A PDF string literal; bytes outside printable ASCII are written as octal escapes
+function pdfString(text, font = 'regular') {
+  const body = [...text].map(char => {
+    const [byte] = encodeChar(char, font);
+    if (byte === 40 || byte === 41 || byte === 92) return `\\${String.fromCharCode(byte)}`;
+    return byte < 127 ? String.fromCharCode(byte) : `\\${byte.toString(8).padStart(3, '0')}`;
+  }).join('');
+  return `(${body})`;
+}
+
+// Breaks text into lines no wider than maxWidth, keeping its own line breaks; words
+// longer than a line are split. Widths are kept as running totals so each character is
+// measured a constant number of times.
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of text.replace(/\t/g, '    ').split(/\r?\n/)) {
+    let line = '';
+    let lineWidth = 0;
+    for (const word of paragraph.split(/(?<=\s)(?=\S)/)) {
+      const visible = word.trimEnd();
+      const visibleWidth = textWidth(visible, font, size);
+      const spaceWidth = textWidth(word.slice(visible.length), font, size);
+      if (lineWidth + visibleWidth <= maxWidth) {
+        line += word;
+        lineWidth += visibleWidth + spaceWidth;
+        continue;
+      }
+      if (line) lines.push(line.trimEnd());
+      line = '';
+      lineWidth = 0;
+      if (visibleWidth > maxWidth) {
+        for (const char of visible) {
+          const charWidth = textWidth(char, font, size);
+          if (line && lineWidth + charWidth > maxWidth) {
+            lines.push(line);
+            line = '';
+            lineWidth = 0;
+          }
+          line += char;
+          lineWidth += charWidth;
+        }
+      } else {
+        line = visible;
+        lineWidth = visibleWidth;
+      }
+      line += word.slice(visible.length);
+      lineWidth += spaceWidth;
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+const colour = ([r, g, b]) => `${(r / 255).toFixed(3)} ${(g / 255).toFixed(3)} ${(b / 255).toFixed(3)}`;
+
+export class PdfDocument {
+  constructor({ title = 'Report' } = {}) {
+    this.title = title;
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = { operations: [], images: [] };
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  // Starts a new page unless height fits above the footer
+  ensureSpace(height) {
+    if (this.y - height < MARGIN + FOOTER_SIZE * 2) this.addPage();
+  }
+
+  space(height = 8) {
+    this.y -= height;
+  }
+
+  text(text, { font = 'regular', size = 10, color = [0, 0, 0], indent = 0, lineGap = 1.35 } = {}) {
+    const leading = size * lineGap;
+    for (const line of wrapText(String(text), font, size, CONTENT_WIDTH - indent)) {
+      this.ensureSpace(leading);
+      this.y -= leading;
+      if (line) {
+        this.page.operations.push(
+          `BT /${FONTS[font].resource} ${size} Tf ${colour(color)} rg ${MARGIN + indent} ${this.y.toFixed(2)} Td ${pdfString(line, font)} Tj ET`
+        );
+      }
+    }
+  }
+
+  heading(text, level = 1) {
+    const size = { 1: 18, 2: 14, 3: 11 }[level];
+    this.space(level === 1 ? 4 : 10);
+    this.ensureSpace(size * 3);
+    this.text(text, { font: 'bold', size, color: [20, 52, 100] });
+    this.space(4);
+  }
+
+  rule() {
+    this.space(6);
+    this.ensureSpace(6);
+    this.page.operations.push(`0.8 0.8 0.8 RG 0.5 w ${MARGIN} ${this.y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${this.y.toFixed(2)} l S`);
+    this.space(6);
+  }
+
+  // image is { width, height, data } with 4 bytes (RGBA) per pixel, drawn over white
+  image(image, { maxHeight = 300 } = {}) {
+    const scale = Math.min(1, CONTENT_WIDTH / image.width, maxHeight / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    this.ensureSpace(height + 4);
+    this.y -= height;
+
+    const rgb = Buffer.alloc(image.width * image.height * 3);
+    for (let i = 0; i < image.width * image.height; i++) {
+      const alpha = image.data[i * 4 + 3] / 255;
+      for (let c = 0; c < 3; c++) {
+        rgb[i * 3 + c] = Math.round(image.data[i * 4 + c] * alpha + 255 * (1 - alpha));
+      }
+    }
+    const name = `Im${this.images.length + 1}`;
+    this.images.push({ name, width: image.width, height: image.height, data: zlib.deflateSync(rgb) });
+    this.page.images.push(name);
+    this.page.operations.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${MARGIN} ${this.y.toFixed(2)} cm /${name} Do Q`);
+    this.space(4);
+  }
+
+  toBuffer() {
+    // Object numbers start at 1, so an object's number is the array length after adding it
+    const objects = [];
+    const add = body => objects.push(body);
+    const stream = (dictionary, data) => Buffer.concat([
+      Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    const catalog = add(null);
+    const pagesRoot = add(null);
+    const fonts = Object.fromEntries(Object.values(FONTS).map(({ resource, base }) => [
+      resource,
+      add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} /Encoding /WinAnsiEncoding >>`)
+    ]));
+    const images = Object.fromEntries(this.images.map(({ name, width, height, data }) => [
+      name,
+      add(stream(`/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode`, data))
+    ]));
+
+    const fontResources = Object.entries(fonts).map(([resource, id]) => `/${resource} ${id} 0 R`).join(' ');
+    const pageIds = this.pages.map((page, index) => {
+      const footer = `BT /F1 ${FOOTER_SIZE} Tf 0.5 0.5 0.5 rg ${MARGIN} ${MARGIN / 2} Td `
+        + `${pdfString(`${this.title} - page ${index + 1} of ${this.pages.length}`)} Tj ET`;
+      const content = add(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from([...page.operations, footer].join('\n'), 'latin1'))));
+      const xobjects = page.images.map(name => `/${name} ${images[name]} 0 R`).join(' ');
+      return add(`<< /Type /Page /Parent ${pagesRoot} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+        + `/Resources << /Font << ${fontResources} >>${xobjects && ` /XObject << ${xobjects} >>`} >> /Contents ${content} 0 R >>`);
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRoot} 0 R >>`;
+    objects[pagesRoot - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const created = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    const info = add(`<< /Title ${pdfString(this.title)} /Producer (Curam AI MCP Agent) /CreationDate (D:${created}Z) >>`);
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      chunks.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      'startxref',
+      String(offset),
+      '%%EOF'
+    ];
+    chunks.push(Buffer.from(`${xref.join('\n')}\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
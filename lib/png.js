@@ -0,0 +1,189 @@
+// lib/png.js - Just enough PNG decoding and encoding to make thumbnails without native dependencies
+//
+// Decodes non-interlaced 8-bit PNGs (greyscale, RGB, palette, with or without alpha) to
+// RGBA pixels and encodes RGBA pixels back to PNG. Stability.AI returns 8-bit RGB PNGs.
+import zlib from 'zlib';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export class PngError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PngError';
+  }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const toLeft = Math.abs(estimate - left);
+  const toUp = Math.abs(estimate - up);
+  const toUpLeft = Math.abs(estimate - upLeft);
+  if (toLeft <= toUp && toLeft <= toUpLeft) return left;
+  return toUp <= toUpLeft ? up : upLeft;
+}
+
+// Reverses the per-row filters in place and returns the raw scanlines without filter bytes
+function unfilter(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const row = data.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bytesPerPixel ? pixels[out + x - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[out - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? pixels[out - stride + x - bytesPerPixel] : 0;
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      if (predictor === undefined) {
+        throw new PngError(`Unknown PNG filter type ${filter}`);
+      }
+      pixels[out + x] = (row[x] + predictor) & 0xff;
+    }
+  }
+  return pixels;
+}
+
+// Resolves with { width, height, data } where data holds 4 bytes (RGBA) per pixel
+export function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new PngError('Not a PNG image');
+  }
+
+  let header;
+  let palette;
+  let transparency;
+  const idat = [];
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header) {
+    throw new PngError('PNG has no IHDR chunk');
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || interlace !== 0 || !channels) {
+    throw new PngError(`Unsupported PNG format (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`);
+  }
+
+  const raw = unfilter(zlib.inflateSync(Buffer.concat(idat)), width, height, channels);
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = raw.subarray(i * channels, (i + 1) * channels);
+    let rgba;
+    if (colorType === 0) rgba = [source[0], source[0], source[0], 255];
+    else if (colorType === 2) rgba = [source[0], source[1], source[2], 255];
+    else if (colorType === 4) rgba = [source[0], source[0], source[0], source[1]];
+    else if (colorType === 6) rgba = source;
+    else {
+      const index = source[0];
+      rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], transparency?.[index] ?? 255];
+    }
+    data.set(rgba, i * 4);
+  }
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Encodes RGBA pixels as an 8-bit RGBA PNG
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const stride = width * 4;
+  const scanlines = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(scanlines, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(scanlines)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Scales the image down so its longer side is at most maxSize, averaging each block of
+// source pixels. Smaller images are returned unchanged.
+export function resizeImage(image, maxSize) {
+  const { width, height, data } = image;
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  if (scale === 1) return image;
+
+  const targetWidth = Math.max(1, Math.round(width * scale));
+  const targetHeight = Math.max(1, Math.round(height * scale));
+  const resized = Buffer.alloc(targetWidth * targetHeight * 4);
+  for (let ty = 0; ty < targetHeight; ty++) {
+    const y0 = Math.floor(ty * height / targetHeight);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / targetHeight));
+    for (let tx = 0; tx < targetWidth; tx++) {
+      const x0 = Math.floor(tx * width / targetWidth);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / targetWidth));
+      const sums = [0, 0, 0, 0];
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          const offset = (y * width + x) * 4;
+          for (let c = 0; c < 4; c++) sums[c] += data[offset + c];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      resized.set(sums.map(sum => Math.round(sum / count)), (ty * targetWidth + tx) * 4);
+    }
+  }
+  return { width: targetWidth, height: targetHeight, data: resized };
+}
+
+// Width and height from the IHDR chunk, or null for anything that isn't a PNG
+export function pngDimensions(buffer) {
+  if (buffer.length < 24 || !buffer.subarray(0, 8).equals(SIGNATURE)) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
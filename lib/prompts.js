@@ -0,0 +1,208 @@
+// lib/prompts.js - Named, versioned prompt templates with {{variable}} substitution
+//
+// Templates use the workflow template syntax (lib/workflows.js): {{text}}, or
+// {{tone || 'neutral'}} for an optional variable with a default. Every change adds a
+// version; rendering uses the latest version unless a version is given. Built-in
+// templates are read from this file until they are first changed.
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+import { resolveTemplate } from './workflows.js';
+
+export const TEMPLATE_NAME_PATTERN = '^[\\w.-]{1,100}$';
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+export class PromptTemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.status = status;
+  }
+}
+
+// Prompts behind the analyze_text tool
+const ANALYSIS_PROMPTS = {
+  sentiment: 'Analyze the sentiment of this text. Provide sentiment score (-1 to 1), emotional tone, and key sentiment indicators:',
+  summary: 'Provide a concise summary of this text, highlighting the main points:',
+  technical: 'Analyze this text from a technical perspective. Identify technical concepts, accuracy, and complexity level:',
+  creative: 'Analyze the creative elements of this text. Look at literary devices, creativity, and artistic merit:',
+  logical: 'Analyze the logical structure of this text. Identify arguments, reasoning patterns, and logical fallacies:'
+};
+
+export const ANALYSIS_TYPES = Object.keys(ANALYSIS_PROMPTS);
+
+const BUILTIN_CREATED_AT = '2024-01-01T00:00:00.000Z';
+
+function builtin(name, description, template) {
+  return [name, {
+    name,
+    description,
+    builtin: true,
+    versions: [{
+      version: 1,
+      template,
+      variables: templateVariables(template).required,
+      notes: 'Built-in template',
+      created_at: BUILTIN_CREATED_AT
+    }]
+  }];
+}
+
+const BUILTIN_TEMPLATES = Object.fromEntries([
+  ...Object.entries(ANALYSIS_PROMPTS).map(([type, instructions]) => builtin(
+    `analyze_text.${type}`,
+    `analyze_text tool - ${type} analysis`,
+    `${instructions}\n\n{{text}}`
+  )),
+  builtin(
+    'adaptive_prompt_optimization.rewrite',
+    'adaptive_prompt_optimization tool - instructions for rewriting a template',
+    'Rewrite the prompt template below so that {{model}} gives {{goal}}. Keep every placeholder written in '
+      + 'double curly braces exactly as it is, and reply with only the rewritten template.\n\nTemplate:\n{{template}}'
+  )
+]);
+
+const templateFile = new JsonFile(process.env.PROMPTS_PATH || path.join(DATA_DIR, 'prompts.json'), { templates: {} }, { shared: true });
+
+// Variables a template needs; {{name || 'default'}} makes a variable optional
+export function templateVariables(template) {
+  const required = new Set();
+  const optional = new Set();
+  for (const [, expression] of template.matchAll(TEMPLATE_PATTERN)) {
+    const parts = expression.split('||').map(part => part.trim());
+    parts
+      .filter(part => !/^(['"]).*\1$/.test(part))
+      .forEach(name => (parts.length > 1 ? optional : required).add(name));
+  }
+  return { required: [...required], optional: [...optional].filter(name => !required.has(name)) };
+}
+
+function newVersion(number, { template, notes, metadata }) {
+  const { required, optional } = templateVariables(template);
+  return {
+    version: number,
+    template,
+    variables: [...required, ...optional],
+    ...(notes && { notes }),
+    ...(metadata && { metadata }),
+    created_at: new Date().toISOString()
+  };
+}
+
+function findTemplate(data, name) {
+  return data.templates[name] || BUILTIN_TEMPLATES[name];
+}
+
+function summarize({ name, description, builtin, versions }) {
+  const latest = versions[versions.length - 1];
+  return {
+    name,
+    description: description || null,
+    builtin: !!builtin,
+    latest_version: latest.version,
+    version_count: versions.length,
+    variables: latest.variables,
+    updated_at: latest.created_at
+  };
+}
+
+export async function listTemplates() {
+  const data = await templateFile.load();
+  return Object.values({ ...BUILTIN_TEMPLATES, ...data.templates })
+    .map(summarize)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Resolves with the template and every version, or throws a 404 PromptTemplateError
+export async function getTemplate(name) {
+  const template = findTemplate(await templateFile.load(), name);
+  if (!template) {
+    throw new PromptTemplateError(`Prompt template not found: ${name}`, 404);
+  }
+  return structuredClone(template);
+}
+
+export function selectVersion(template, version) {
+  if (version === undefined) return template.versions[template.versions.length - 1];
+  const selected = template.versions.find(candidate => candidate.version === version);
+  if (!selected) {
+    throw new PromptTemplateError(`Prompt template ${template.name} has no version ${version}`, 404);
+  }
+  return selected;
+}
+
+export async function createTemplate({ name, description, template, notes }) {
+  return templateFile.update(data => {
+    if (findTemplate(data, name)) {
+      throw new PromptTemplateError(`Prompt template already exists: ${name}`, 409);
+    }
+    data.templates[name] = { name, ...(description && { description }), versions: [newVersion(1, { template, notes })] };
+    return structuredClone(data.templates[name]);
+  });
+}
+
+// Adds a version; a built-in template is copied into the store on its first change
+export async function addVersion(name, { template, notes, metadata, description }) {
+  return templateFile.update(data => {
+    const existing = findTemplate(data, name);
+    if (!existing) {
+      throw new PromptTemplateError(`Prompt template not found: ${name}`, 404);
+    }
+    const stored = data.templates[name] ||= structuredClone(existing);
+    const latest = stored.versions[stored.versions.length - 1];
+    stored.versions.push(newVersion(latest.version + 1, { template, notes, metadata }));
+    if (description) stored.description = description;
+    return structuredClone(stored);
+  });
+}
+
+// Deleting a changed built-in template restores the original
+export async function deleteTemplate(name) {
+  return templateFile.update(data => {
+    const stored = data.templates[name];
+    if (!stored) {
+      throw BUILTIN_TEMPLATES[name]
+        ? new PromptTemplateError(`Built-in prompt template ${name} cannot be deleted`, 400)
+        : new PromptTemplateError(`Prompt template not found: ${name}`, 404);
+    }
+    delete data.templates[name];
+    return stored;
+  });
+}
+
+// Resolves with { name, version, text }; every required variable must be given
+export async function renderTemplate(name, variables = {}, { version } = {}) {
+  const selected = selectVersion(await getTemplate(name), version);
+  const { required } = templateVariables(selected.template);
+  const missing = required.filter(variable => resolveTemplate(`{{${variable}}}`, variables) === undefined);
+  if (missing.length > 0) {
+    throw new PromptTemplateError(`Missing variables for prompt template ${name}: ${missing.join(', ')}`);
+  }
+  const text = resolveTemplate(selected.template, variables);
+  return { name, version: selected.version, text: typeof text === 'string' ? text : JSON.stringify(text) };
+}
+
+// FEEDBACK - entries are { version, feedback: positive|negative|neutral|correction, weight? }
+export const FEEDBACK_TYPES = ['positive', 'negative', 'neutral', 'correction'];
+const FEEDBACK_VALUES = { positive: 1, negative: -1, neutral: 0, correction: -0.5 };
+
+// Scores each version by its mean weighted feedback (unrated versions score 0) and
+// picks the best, preferring the newest version on ties
+export function rankVersions(template, feedbackHistory = []) {
+  const known = new Set(template.versions.map(version => version.version));
+  const unknown = feedbackHistory.filter(entry => !known.has(entry.version)).map(entry => entry.version);
+  if (unknown.length > 0) {
+    throw new PromptTemplateError(`Feedback refers to unknown versions of ${template.name}: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  const scores = template.versions.map(({ version }) => {
+    const entries = feedbackHistory.filter(entry => entry.version === version);
+    const total = entries.reduce((sum, entry) => sum + FEEDBACK_VALUES[entry.feedback] * (entry.weight ?? 1), 0);
+    return {
+      version,
+      score: entries.length > 0 ? Math.round(total / entries.length * 1000) / 1000 : 0,
+      feedback_count: entries.length
+    };
+  });
+  const best = scores.reduce((winner, candidate) => (candidate.score >= winner.score ? candidate : winner));
+  return { best: best.version, scores };
+}
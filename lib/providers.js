@@ -0,0 +1,771 @@
+// lib/providers.js - Shared provider adapters and model catalog
+import axios from 'axios';
+import crypto from 'crypto';
+import { cacheKey, createResponseCache } from './cache.js';
+import { baseUrl } from './endpoints.js';
+import { installFixtures } from './fixtures.js';
+import { getCircuitBreaker, getFallbackChain, withRetry } from './recovery.js';
+import { estimateCost, recordUsage } from './usage.js';
+
+// Errors raised by any provider call. Each server decides how to surface them
+// (REST embeds the message in the response, MCP wraps it in an McpError).
+// status, code and retryAfterMs drive the retry and circuit breaker logic in lib/recovery.js.
+export class ProviderError extends Error {
+  constructor(message, { provider, model, status, code, retryAfterMs, details } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+    this.details = details;
+  }
+}
+
+// PROVIDER_FIXTURES=record|replay captures or serves back every upstream response (see lib/fixtures.js)
+installFixtures(axios);
+
+// Reads a server-sent event stream, calling onEvent with each parsed JSON data payload
+async function readEventStream(stream, onEvent) {
+  let buffer = '';
+  const flush = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+    if (data && data !== '[DONE]') {
+      onEvent(JSON.parse(data));
+    }
+  };
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString();
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(flush);
+  }
+  if (buffer.trim()) flush(buffer);
+}
+
+// Gemini reports token counts as usageMetadata on each response (cumulative when streaming)
+function geminiUsage(usageMetadata = {}) {
+  return {
+    input_tokens: usageMetadata.promptTokenCount || 0,
+    output_tokens: usageMetadata.candidatesTokenCount || 0
+  };
+}
+
+// Chat messages are { role: 'user' | 'assistant', content }. Providers expect
+// alternating turns, so consecutive messages from the same role are merged.
+function toTurns(messages) {
+  return messages.reduce((turns, { role, content }) => {
+    const last = turns[turns.length - 1];
+    if (last?.role === role) {
+      last.content += `\n\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+    return turns;
+  }, []);
+}
+
+// Gemini calls the assistant role 'model'
+function geminiContents(turns) {
+  return turns.map(({ role, content }) => ({
+    role: role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: content }]
+  }));
+}
+
+// Generation parameters - { system, temperature, top_p, max_tokens, stop } - are
+// mapped onto each provider's native fields. Unset parameters use provider defaults.
+const DEFAULT_ANTHROPIC_MAX_TOKENS = 1024;
+
+function definedOnly(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+function geminiRequest(turns, { system, temperature, top_p, max_tokens, stop } = {}) {
+  const generationConfig = definedOnly({ temperature, topP: top_p, maxOutputTokens: max_tokens, stopSequences: stop });
+  return {
+    contents: geminiContents(turns),
+    ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+    ...(Object.keys(generationConfig).length > 0 && { generationConfig })
+  };
+}
+
+function anthropicRequest(modelId, turns, { system, temperature, top_p, max_tokens, stop } = {}) {
+  return {
+    model: modelId,
+    max_tokens: max_tokens ?? DEFAULT_ANTHROPIC_MAX_TOKENS,
+    ...definedOnly({ system, temperature, top_p, stop_sequences: stop }),
+    messages: turns
+  };
+}
+
+// Stability.AI takes JSON for text-to-image and multipart forms for anything with a source image
+async function stabilityRequest(route, body) {
+  const response = await axios.post(`${baseUrl('stability')}${route}`, body, {
+    headers: {
+      ...(!(body instanceof FormData) && { 'Content-Type': 'application/json' }),
+      'Authorization': `Bearer ${process.env.STABILITY_API_KEY}`,
+      'Accept': 'application/json'
+    }
+  });
+
+  const { artifacts } = response.data;
+  return {
+    images: artifacts.map(artifact => ({
+      image: artifact.base64,
+      seed: artifact.seed,
+      finish_reason: artifact.finishReason
+    })),
+    usage: { images: artifacts.length }
+  };
+}
+
+// Multipart form fields use Stability's bracket notation, e.g. text_prompts[0][text]
+function stabilityImageFields(prompt, { style, negative_prompt, samples = 1, steps = 30, cfg_scale = 7, seed, sampler }) {
+  const textPrompts = [{ text: prompt, weight: 1 }, ...(negative_prompt ? [{ text: negative_prompt, weight: -1 }] : [])];
+  return {
+    ...Object.fromEntries(textPrompts.flatMap(({ text, weight }, idx) => [
+      [`text_prompts[${idx}][text]`, text],
+      [`text_prompts[${idx}][weight]`, weight]
+    ])),
+    cfg_scale,
+    samples,
+    steps,
+    ...definedOnly({ style_preset: style, seed, sampler })
+  };
+}
+
+// Gemini embedding task types, lowercased; they tune the vector for how it will be compared
+const DEFAULT_HUGGING_FACE_LOAD_TIMEOUT_SECONDS = 120;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function huggingfaceError(modelId, error) {
+  const status = error.response?.status;
+  const message = status === 401
+    ? 'Authentication failed - check Hugging Face API key'
+    : status === 404
+      ? `Hugging Face model not found: ${modelId}`
+      : 'Hugging Face API call failed';
+  return new ProviderError(message, {
+    provider: 'huggingface',
+    model: modelId,
+    status,
+    code: error.code,
+    details: error.response?.data || error.message
+  });
+}
+
+export const EMBEDDING_TASK_TYPES = ['retrieval_document', 'retrieval_query', 'semantic_similarity', 'classification', 'clustering'];
+
+// Sentence-transformers models return one vector per input; other feature-extraction
+// models return one per token, which are mean-pooled into a single vector
+function poolEmbedding(output) {
+  if (!Array.isArray(output[0])) return output;
+  return output[0].map((_, dimension) => output.reduce((sum, token) => sum + token[dimension], 0) / output.length);
+}
+
+function imageMimeType(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return 'image/png';
+}
+
+function stabilityForm(fields, files) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)));
+  Object.entries(files).forEach(([name, buffer]) => {
+    const type = imageMimeType(buffer);
+    form.append(name, new Blob([buffer], { type }), `${name}.${type.split('/')[1]}`);
+  });
+  return form;
+}
+
+// Provider adapters - one per upstream API. Text adapters take chat turns (see
+// toTurns) plus generation parameters and resolve with { text, usage: { input_tokens,
+// output_tokens } }, image adapters with { images: [{ image, seed, finish_reason }],
+// usage: { images } }. Source images and masks reach the image adapters as Buffers.
+// Embedding adapters take a batch of texts and resolve with { embeddings: [[number]],
+// usage: {} } - neither API reports token counts, so embedding calls count as requests only.
+// generationLimits are the upper bounds the provider accepts for temperature and max_tokens.
+export const providers = {
+  gemini: {
+    name: 'Google Gemini',
+    apiKeyEnv: 'GEMINI_API_KEY',
+    generationLimits: { temperature: 2, max_tokens: 8192 },
+    async generateText(modelId, turns, params) {
+      const response = await axios.post(
+        `${baseUrl('gemini')}/v1beta/models/${modelId}:generateContent?key=${process.env.GEMINI_API_KEY}`,
+        geminiRequest(turns, params),
+        {
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+      return {
+        text: response.data.candidates[0].content.parts[0].text,
+        usage: geminiUsage(response.data.usageMetadata)
+      };
+    },
+    async streamText(modelId, turns, params, onToken) {
+      const response = await axios.post(
+        `${baseUrl('gemini')}/v1beta/models/${modelId}:streamGenerateContent?alt=sse&key=${process.env.GEMINI_API_KEY}`,
+        geminiRequest(turns, params),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          responseType: 'stream'
+        }
+      );
+
+      let text = '';
+      let usage = geminiUsage();
+      await readEventStream(response.data, (event) => {
+        const token = event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+        if (token) {
+          text += token;
+          onToken(token);
+        }
+        if (event.usageMetadata) {
+          usage = geminiUsage(event.usageMetadata);
+        }
+      });
+      return { text, usage };
+    },
+    async embed(modelId, texts, { task_type } = {}) {
+      const response = await axios.post(
+        `${baseUrl('gemini')}/v1beta/models/${modelId}:batchEmbedContents?key=${process.env.GEMINI_API_KEY}`,
+        {
+          requests: texts.map(text => ({
+            model: `models/${modelId}`,
+            content: { parts: [{ text }] },
+            ...(task_type && { taskType: task_type.toUpperCase() })
+          }))
+        },
+        {
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+      return { embeddings: response.data.embeddings.map(embedding => embedding.values), usage: {} };
+    }
+  },
+
+  anthropic: {
+    name: 'Anthropic Claude',
+    apiKeyEnv: 'CLAUDE_API_KEY',
+    generationLimits: { temperature: 1, max_tokens: 4096 },
+    async generateText(modelId, turns, params) {
+      const response = await axios.post(
+        `${baseUrl('anthropic')}/v1/messages`,
+        anthropicRequest(modelId, turns, params),
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+          },
+          timeout: 30000
+        }
+      );
+      return {
+        text: response.data.content[0].text,
+        usage: {
+          input_tokens: response.data.usage?.input_tokens || 0,
+          output_tokens: response.data.usage?.output_tokens || 0
+        }
+      };
+    },
+    async streamText(modelId, turns, params, onToken) {
+      const response = await axios.post(
+        `${baseUrl('anthropic')}/v1/messages`,
+        { ...anthropicRequest(modelId, turns, params), stream: true },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': process.env.CLAUDE_API_KEY,
+            'anthropic-version': '2023-06-01'
+          },
+          responseType: 'stream',
+          timeout: 30000
+        }
+      );
+
+      // Input tokens arrive on message_start, the output count on message_delta
+      let text = '';
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      await readEventStream(response.data, (event) => {
+        if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Stream error');
+        }
+        if (event.type === 'message_start') {
+          usage.input_tokens = event.message?.usage?.input_tokens || 0;
+        }
+        if (event.type === 'message_delta' && event.usage) {
+          usage.output_tokens = event.usage.output_tokens || 0;
+        }
+        if (event.type === 'content_block_delta' && event.delta?.text) {
+          text += event.delta.text;
+          onToken(event.delta.text);
+        }
+      });
+      return { text, usage };
+    }
+  },
+
+  stability: {
+    name: 'Stability.AI',
+    apiKeyEnv: 'STABILITY_API_KEY',
+    samplers: [
+      'DDIM', 'DDPM', 'K_DPMPP_2M', 'K_DPMPP_2S_ANCESTRAL', 'K_DPM_2',
+      'K_DPM_2_ANCESTRAL', 'K_EULER', 'K_EULER_ANCESTRAL', 'K_HEUN', 'K_LMS'
+    ],
+    maskSources: ['MASK_IMAGE_WHITE', 'MASK_IMAGE_BLACK', 'INIT_IMAGE_ALPHA'],
+    // A negative prompt is sent as a text prompt with a negative weight
+    async generateImage(modelId, prompt, {
+      style, negative_prompt, width = 1024, height = 1024, samples = 1, steps = 30, cfg_scale = 7, seed, sampler
+    } = {}) {
+      return stabilityRequest(`/v1/generation/${modelId}/text-to-image`, {
+        text_prompts: [
+          { text: prompt, weight: 1 },
+          ...(negative_prompt ? [{ text: negative_prompt, weight: -1 }] : [])
+        ],
+        cfg_scale,
+        height,
+        width,
+        samples,
+        steps,
+        ...definedOnly({ style_preset: style, seed, sampler })
+      });
+    },
+    // The output keeps the source image's size; image_strength is how much of the source survives
+    async transformImage(modelId, prompt, image, { image_strength = 0.35, ...params } = {}) {
+      return stabilityRequest(`/v1/generation/${modelId}/image-to-image`, stabilityForm(
+        { init_image_mode: 'IMAGE_STRENGTH', image_strength, ...stabilityImageFields(prompt, params) },
+        { init_image: image }
+      ));
+    },
+    // Repaints the masked area; mask_source says which mask pixels mark it
+    async inpaintImage(modelId, prompt, image, mask, { mask_source = 'MASK_IMAGE_WHITE', ...params } = {}) {
+      return stabilityRequest(`/v1/generation/${modelId}/image-to-image/masking`, stabilityForm(
+        { mask_source, ...stabilityImageFields(prompt, params) },
+        { init_image: image, ...(mask && { mask_image: mask }) }
+      ));
+    },
+    async upscaleImage(modelId, image) {
+      return stabilityRequest(`/v1/generation/${modelId}/image-to-image/upscale`, stabilityForm({}, { image }));
+    }
+  },
+
+  huggingface: {
+    name: 'Hugging Face',
+    apiKeyEnv: 'HUGGING_FACE_API_KEY',
+    // The feature-extraction pipeline, whatever task the model card names (sentence-transformers
+    // models default to sentence-similarity); wait_for_model holds the call while the model loads
+    async embed(modelId, texts) {
+      const response = await axios.post(
+        `${baseUrl('huggingface')}/pipeline/feature-extraction/${modelId}`,
+        { inputs: texts, options: { wait_for_model: true } },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${process.env.HUGGING_FACE_API_KEY}`
+          },
+          timeout: 60000
+        }
+      );
+      return { embeddings: response.data.map(poolEmbedding), usage: {} };
+    },
+    // Any Hub model through the Inference API, waiting while it loads (503 with
+    // estimated_time) for up to HUGGING_FACE_LOAD_TIMEOUT_SECONDS
+    async infer(modelId, payload) {
+      const loadTimeoutMs = (Number(process.env.HUGGING_FACE_LOAD_TIMEOUT_SECONDS) || DEFAULT_HUGGING_FACE_LOAD_TIMEOUT_SECONDS) * 1000;
+      const started = Date.now();
+      const deadline = started + loadTimeoutMs;
+      for (;;) {
+        try {
+          const response = await axios.post(`${baseUrl('huggingface')}/models/${modelId}`, payload, {
+            headers: {
+              'Authorization': `Bearer ${process.env.HUGGING_FACE_API_KEY}`,
+              'Content-Type': 'application/json'
+            },
+            timeout: Math.max(30000, deadline - Date.now())
+          });
+          return { data: response.data, waited_ms: Date.now() - started, usage: {} };
+        } catch (error) {
+          if (error.response?.status !== 503) throw huggingfaceError(modelId, error);
+
+          const remaining = deadline - Date.now();
+          const estimate = Number(error.response.data?.estimated_time) * 1000 || 5000;
+          if (remaining <= 0) {
+            throw new ProviderError(`Model ${modelId} is still loading after ${Math.round(loadTimeoutMs / 1000)}s - try again later`, {
+              provider: 'huggingface',
+              model: modelId,
+              status: 503,
+              code: 'model_loading',
+              details: error.response.data
+            });
+          }
+          console.log(`⏳ Hugging Face model ${modelId} is loading (estimated ${Math.round(estimate / 1000)}s), waiting`);
+          await sleep(Math.min(estimate, remaining));
+        }
+      }
+    }
+  }
+};
+
+// Model catalog - adding a model here makes it available to every route and tool
+export const models = {
+  gemini_flash: {
+    provider: 'gemini',
+    id: 'gemini-1.5-flash',
+    name: 'Gemini 1.5 Flash',
+    capabilities: ['text'],
+    characteristics: 'Fast, cost-effective, good for simple tasks'
+  },
+  gemini_pro: {
+    provider: 'gemini',
+    id: 'gemini-1.5-pro',
+    name: 'Gemini 1.5 Pro',
+    capabilities: ['text'],
+    characteristics: 'Higher quality, better reasoning for complex tasks'
+  },
+  claude_sonnet: {
+    provider: 'anthropic',
+    id: 'claude-3-sonnet-20240229',
+    name: 'Claude Sonnet',
+    capabilities: ['text'],
+    characteristics: 'Balanced performance and capability'
+  },
+  claude_haiku: {
+    provider: 'anthropic',
+    id: 'claude-3-haiku-20240307',
+    name: 'Claude Haiku',
+    capabilities: ['text'],
+    characteristics: 'Fast, lightweight responses'
+  },
+  stable_diffusion_xl: {
+    provider: 'stability',
+    id: 'stable-diffusion-xl-1024-v1-0',
+    name: 'Stable Diffusion XL 1024',
+    capabilities: ['image'],
+    characteristics: 'High resolution 1024x1024 image generation',
+    // Width x height combinations the SDXL engine accepts
+    dimensions: ['1024x1024', '1152x896', '896x1152', '1216x832', '832x1216', '1344x768', '768x1344', '1536x640', '640x1536']
+  },
+  esrgan_x2: {
+    provider: 'stability',
+    id: 'esrgan-v1-x2plus',
+    name: 'Real-ESRGAN x2',
+    capabilities: ['upscale'],
+    characteristics: 'Doubles the width and height of an image'
+  },
+  text_embedding_004: {
+    provider: 'gemini',
+    id: 'text-embedding-004',
+    name: 'Gemini Text Embedding 004',
+    capabilities: ['embedding'],
+    characteristics: 'General-purpose 768-dimension text embeddings, tuned per task type',
+    embedding: { dimensions: 768, maxBatch: 100 }
+  },
+  all_minilm_l6_v2: {
+    provider: 'huggingface',
+    id: 'sentence-transformers/all-MiniLM-L6-v2',
+    name: 'all-MiniLM-L6-v2',
+    capabilities: ['embedding'],
+    characteristics: 'Small, fast 384-dimension sentence embeddings; inputs past 256 tokens are truncated',
+    embedding: { dimensions: 384, maxBatch: 64 }
+  }
+};
+
+export const DEFAULT_IMAGE_MODEL = 'stable_diffusion_xl';
+export const DEFAULT_UPSCALE_MODEL = 'esrgan_x2';
+export const DEFAULT_EMBEDDING_MODEL = 'text_embedding_004';
+
+// Accepts catalog keys ('gemini_flash') as well as dashed aliases ('gemini-flash')
+export function getModel(key) {
+  if (!key) return undefined;
+  const normalized = String(key).toLowerCase().replace(/-/g, '_');
+  const model = models[normalized];
+  return model ? { key: normalized, ...model } : undefined;
+}
+
+export function listModels({ capability, provider, configuredOnly = false } = {}) {
+  return Object.keys(models)
+    .map(getModel)
+    .filter(model => !capability || model.capabilities.includes(capability))
+    .filter(model => !provider || model.provider === provider)
+    .filter(model => !configuredOnly || isProviderConfigured(model.provider));
+}
+
+export function isProviderConfigured(provider) {
+  const adapter = providers[provider];
+  return !!(adapter && process.env[adapter.apiKeyEnv]);
+}
+
+function resolveModel(key, capability) {
+  const model = getModel(key);
+  if (!model || !model.capabilities.includes(capability)) {
+    throw new ProviderError(`Unknown ${capability} model: ${key}`, { model: key });
+  }
+  return model;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+function toProviderError(model, error) {
+  if (error instanceof ProviderError) return error;
+  const details = error.response?.data || error.message;
+  const message = error.response?.data?.error?.message || error.response?.data?.message || error.message;
+  console.error(`❌ ${model.name} Error:`, details);
+  return new ProviderError(`${model.name} Error: ${message}`, {
+    provider: model.provider,
+    model: model.key,
+    status: error.response?.status ?? error.status,
+    code: error.code,
+    retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after']) ?? error.retryAfterMs,
+    details
+  });
+}
+
+// Each attempt goes through the provider's circuit breaker; retryable failures
+// (429, 5xx, timeouts) are retried with backoff. canRetry can veto a retry.
+async function callProvider(model, call, { canRetry, retries } = {}) {
+  const breaker = getCircuitBreaker(model.provider);
+  try {
+    return await withRetry(() => breaker.run(async () => {
+      try {
+        return await call();
+      } catch (error) {
+        throw toProviderError(model, error);
+      }
+    }), {
+      canRetry,
+      ...(retries !== undefined && { retries }),
+      onRetry: (error, attempt, delay) => console.warn(`🔁 ${model.name} retry ${attempt} in ${Math.round(delay)}ms: ${error.message}`)
+    });
+  } catch (error) {
+    throw toProviderError(model, error);
+  }
+}
+
+// Prices the call's usage and records it against the current client (see lib/usage.js).
+// Accounting failures are logged, never surfaced to the caller.
+async function accountUsage(model, result) {
+  const usage = { ...result.usage, cost_usd: estimateCost(model.key, result.usage) };
+  try {
+    await recordUsage(model.key, usage);
+  } catch (error) {
+    console.error(`⚠️  Failed to record usage for ${model.name}:`, error.message);
+  }
+  return { ...result, usage };
+}
+
+// Response cache - see lib/cache.js for backends (RESPONSE_CACHE=off disables it)
+const responseCache = createResponseCache();
+
+async function readCache(key) {
+  try {
+    return await responseCache.get(key);
+  } catch (error) {
+    console.error('⚠️  Response cache read failed:', error.message);
+    return undefined;
+  }
+}
+
+async function writeCache(key, value) {
+  try {
+    await responseCache.set(key, value);
+  } catch (error) {
+    console.error('⚠️  Response cache write failed:', error.message);
+  }
+}
+
+// Runs call() unless an identical request (model, input, params) is cached. Every
+// result carries cached: true|false; cache hits cost nothing and record no usage.
+async function withCache(model, request, { cache = true, retries } = {}, call, onHit, canRetry) {
+  const key = responseCache && cache ? cacheKey({ model: model.key, ...request }) : null;
+  if (key) {
+    const hit = await readCache(key);
+    if (hit) {
+      onHit?.(hit);
+      return { ...hit, usage: { ...hit.usage, cost_usd: 0 }, cached: true };
+    }
+  }
+
+  const result = await callProvider(model, call, { canRetry, retries });
+  const accounted = await accountUsage(model, result);
+  if (key) {
+    await writeCache(key, accounted);
+  }
+  return { ...accounted, cached: false };
+}
+
+const userMessage = prompt => [{ role: 'user', content: prompt }];
+
+// Resolves with the model's reply to a conversation: { text, usage: { input_tokens,
+// output_tokens, cost_usd }, cached }. messages are chat messages (see toTurns) ending
+// with the user's turn. options.params holds generation parameters (see geminiRequest),
+// options.cache = false bypasses the response cache and options.retries overrides
+// PROVIDER_MAX_RETRIES for this call.
+export async function generateChat(key, messages, { params = {}, ...options } = {}) {
+  const model = resolveModel(key, 'text');
+  const turns = toTurns(messages);
+  return withCache(model, { messages: turns, params }, options,
+    () => providers[model.provider].generateText(model.id, turns, params));
+}
+
+// Streams tokens to onToken as they arrive and resolves like generateChat. A cache
+// hit arrives as a single token. Failures are only retried before the first token.
+export async function streamChat(key, messages, onToken, { params = {}, ...options } = {}) {
+  const model = resolveModel(key, 'text');
+  const turns = toTurns(messages);
+  let streamed = false;
+  const emit = (token) => {
+    streamed = true;
+    onToken(token);
+  };
+  return withCache(model, { messages: turns, params }, options,
+    () => providers[model.provider].streamText(model.id, turns, params, emit),
+    hit => onToken(hit.text),
+    () => !streamed);
+}
+
+// Single-prompt versions of the above
+export async function generateText(key, prompt, options = {}) {
+  return generateChat(key, userMessage(prompt), options);
+}
+
+export async function streamText(key, prompt, onToken, options = {}) {
+  return streamChat(key, userMessage(prompt), onToken, options);
+}
+
+// Like generateChat, but when the model fails, tries its fallback chain (see
+// lib/recovery.js) in order, skipping models whose provider isn't configured.
+// Resolves with the usual result plus model (the key that answered), fallback_from
+// when that isn't the requested model, and failures for each model that failed.
+// skipRequested goes straight to the alternatives.
+export async function generateChatWithFallback(key, messages, { skipRequested = false, ...options } = {}) {
+  const requested = resolveModel(key, 'text');
+  const chain = [...(skipRequested ? [] : [requested.key]), ...getFallbackChain(requested.key)]
+    .map(getModel)
+    .filter(model => model && model.capabilities.includes('text'))
+    .filter(model => model.key === requested.key || isProviderConfigured(model.provider));
+
+  if (chain.length === 0) {
+    throw new ProviderError(`No configured fallback models for ${requested.name}`, { provider: requested.provider, model: requested.key });
+  }
+
+  const failures = [];
+  for (const model of chain) {
+    try {
+      const result = await generateChat(model.key, messages, options);
+      return {
+        ...result,
+        model: model.key,
+        ...(model.key !== requested.key && { fallback_from: requested.key }),
+        failures
+      };
+    } catch (error) {
+      failures.push({ model: model.key, error: error.message, status: error.status });
+      if (model !== chain[chain.length - 1]) {
+        console.warn(`↪️  ${model.name} failed, falling back: ${error.message}`);
+      }
+    }
+  }
+
+  const lastFailure = failures[failures.length - 1];
+  throw new ProviderError(`All models in the fallback chain failed: ${failures.map(failure => failure.model).join(' → ')}. Last error: ${lastFailure.error}`, {
+    provider: requested.provider,
+    model: requested.key,
+    status: lastFailure.status,
+    details: failures
+  });
+}
+
+export async function generateTextWithFallback(key, prompt, options = {}) {
+  return generateChatWithFallback(key, userMessage(prompt), options);
+}
+
+// Resolves with { images: [{ image, seed, finish_reason }], usage: { images, cost_usd },
+// cached }. params are the image adapter's options (style, negative_prompt, width,
+// height, samples, steps, cfg_scale, seed, sampler). Only seeded requests are
+// reproducible, so only those are cached.
+export async function generateImage(prompt, key = DEFAULT_IMAGE_MODEL, { params = {}, cache = true } = {}) {
+  const model = resolveModel(key, 'image');
+  return withCache(model, { prompt, params }, { cache: cache && params.seed !== undefined },
+    () => providers[model.provider].generateImage(model.id, prompt, params));
+}
+
+// Source images and masks are cached by their hash rather than their bytes
+const imageDigest = buffer => buffer && crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Image-to-image, inpainting and upscaling take Buffers and resolve like generateImage.
+// params add image_strength (transformImage) and mask_source (inpaintImage).
+export async function transformImage(prompt, image, key = DEFAULT_IMAGE_MODEL, { params = {}, cache = true } = {}) {
+  const model = resolveModel(key, 'image');
+  return withCache(model, { operation: 'image-to-image', prompt, image: imageDigest(image), params },
+    { cache: cache && params.seed !== undefined },
+    () => providers[model.provider].transformImage(model.id, prompt, image, params));
+}
+
+export async function inpaintImage(prompt, image, mask, key = DEFAULT_IMAGE_MODEL, { params = {}, cache = true } = {}) {
+  const model = resolveModel(key, 'image');
+  return withCache(model, { operation: 'inpaint', prompt, image: imageDigest(image), mask: imageDigest(mask), params },
+    { cache: cache && params.seed !== undefined },
+    () => providers[model.provider].inpaintImage(model.id, prompt, image, mask, params));
+}
+
+// Upscaling is deterministic, so it is always cacheable
+export async function upscaleImage(image, key = DEFAULT_UPSCALE_MODEL, { cache = true } = {}) {
+  const model = resolveModel(key, 'upscale');
+  return withCache(model, { operation: 'upscale', image: imageDigest(image) }, { cache },
+    () => providers[model.provider].upscaleImage(model.id, image));
+}
+
+// Resolves with { embeddings: [[number]] (one per text, in order), dimensions, usage:
+// { cost_usd }, cached }. Texts are sent in batches of the model's maxBatch; params.task_type
+// is one of EMBEDDING_TASK_TYPES (Gemini only). Embeddings are deterministic, so always cacheable.
+export async function embedTexts(texts, key = DEFAULT_EMBEDDING_MODEL, { params = {}, cache = true } = {}) {
+  const model = resolveModel(key, 'embedding');
+  const batches = [];
+  for (let start = 0; start < texts.length; start += model.embedding.maxBatch) {
+    batches.push(texts.slice(start, start + model.embedding.maxBatch));
+  }
+
+  const results = [];
+  for (const batch of batches) {
+    results.push(await withCache(model, { operation: 'embed', texts: batch, params }, { cache },
+      () => providers[model.provider].embed(model.id, batch, params)));
+  }
+  const embeddings = results.flatMap(result => result.embeddings);
+  return {
+    embeddings,
+    dimensions: embeddings[0]?.length ?? model.embedding.dimensions,
+    usage: { cost_usd: results.reduce((sum, result) => sum + (result.usage.cost_usd || 0), 0) },
+    cached: results.every(result => result.cached)
+  };
+}
+
+// Hub models aren't in the catalog, so every inference call is accounted, cached and
+// circuit-broken under one usage key (priced in lib/usage.js).
+export const HUGGING_FACE_INFERENCE_KEY = 'hugging_face_inference';
+
+// Resolves with { data (the pipeline's raw output), waited_ms, usage: { cost_usd }, cached }.
+// A model that is still loading has already been waited for, so it isn't retried.
+export async function inferHuggingFace(modelId, payload, { cache = true } = {}) {
+  const model = { key: HUGGING_FACE_INFERENCE_KEY, provider: 'huggingface', name: `Hugging Face ${modelId}` };
+  const result = await withCache(model, { operation: 'inference', model_id: modelId, payload }, { cache },
+    () => providers.huggingface.infer(modelId, payload), undefined, error => error.code !== 'model_loading');
+  return result.cached ? { ...result, waited_ms: 0 } : result;
+}
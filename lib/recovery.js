@@ -0,0 +1,187 @@
+// lib/recovery.js - Retries with backoff, per-provider circuit breakers and model fallback chains
+export const RECOVERY_STRATEGIES = ['retry', 'alternative_model', 'fallback', 'user_input'];
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+export const RETRY_DEFAULTS = {
+  retries: Number(process.env.PROVIDER_MAX_RETRIES ?? 2),
+  baseDelayMs: Number(process.env.PROVIDER_RETRY_BASE_MS) || 500,
+  maxDelayMs: Number(process.env.PROVIDER_RETRY_MAX_MS) || 10000
+};
+
+// Cross-provider by default, so one provider's outage doesn't take a request down.
+// FALLBACK_CHAINS (JSON, e.g. {"claude_sonnet": ["gemini_pro"]}) overrides entries.
+const DEFAULT_FALLBACK_CHAINS = {
+  claude_sonnet: ['gemini_pro'],
+  claude_haiku: ['gemini_flash'],
+  gemini_pro: ['claude_sonnet'],
+  gemini_flash: ['claude_haiku']
+};
+
+function loadFallbackChains() {
+  if (!process.env.FALLBACK_CHAINS) return DEFAULT_FALLBACK_CHAINS;
+  try {
+    return { ...DEFAULT_FALLBACK_CHAINS, ...JSON.parse(process.env.FALLBACK_CHAINS) };
+  } catch (error) {
+    console.error(`⚠️  Could not parse FALLBACK_CHAINS (${error.message}), using default chains`);
+    return DEFAULT_FALLBACK_CHAINS;
+  }
+}
+
+const fallbackChains = loadFallbackChains();
+
+// The models to try after modelKey fails, in order
+export function getFallbackChain(modelKey) {
+  return (fallbackChains[modelKey] || []).filter(key => key !== modelKey);
+}
+
+export function isRetryable(error) {
+  if (error.code === 'circuit_open') return false;
+  if (error.status) return RETRYABLE_STATUSES.includes(error.status);
+  return RETRYABLE_CODES.includes(error.code) || /timeout/i.test(error.message);
+}
+
+// Full-jitter exponential backoff, but never sooner than the provider's Retry-After
+export function retryDelay(attempt, error, { baseDelayMs, maxDelayMs } = RETRY_DEFAULTS) {
+  const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.max(backoff, error.retryAfterMs || 0);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls fn until it succeeds, fails with a non-retryable error, or runs out of retries.
+// canRetry() can veto a retry, e.g. once a stream has already emitted output. A Retry-After
+// longer than maxDelayMs ends the retries, so callers move on to their fallback chain
+// instead of sleeping through it.
+export async function withRetry(fn, { canRetry = () => true, onRetry, ...options } = {}) {
+  const { retries, ...delays } = { ...RETRY_DEFAULTS, ...options };
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const waitTooLong = error.retryAfterMs > delays.maxDelayMs;
+      if (attempt >= retries || waitTooLong || !isRetryable(error) || !canRetry(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = retryDelay(attempt, error, delays);
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(name, retryAfterMs) {
+    super(`${name} is temporarily unavailable (circuit open), retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.name = 'CircuitOpenError';
+    this.code = 'circuit_open';
+    this.status = 503;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// closed -> open after failureThreshold consecutive retryable failures; open -> half_open
+// after cooldownMs, when one trial call decides whether to close or re-open
+export class CircuitBreaker {
+  constructor(name, {
+    failureThreshold = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    cooldownMs = (Number(process.env.CIRCUIT_COOLDOWN_SECONDS) || 30) * 1000
+  } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  async run(fn) {
+    if (this.state === 'open') {
+      const remaining = this.openedAt + this.cooldownMs - Date.now();
+      if (remaining > 0) {
+        throw new CircuitOpenError(this.name, remaining);
+      }
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        throw new CircuitOpenError(this.name, this.cooldownMs);
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.reset();
+      return result;
+    } catch (error) {
+      // Only provider-side trouble counts; a rejected request still shows the provider is up
+      if (isRetryable(error)) {
+        this.recordFailure();
+      } else {
+        this.reset();
+      }
+      throw error;
+    } finally {
+      this.trialInFlight = false;
+    }
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.failures = 0;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      console.warn(`⚡ Circuit opened for ${this.name} after ${this.failures} consecutive failures`);
+    }
+  }
+
+  status() {
+    return {
+      state: this.state,
+      consecutive_failures: this.failures,
+      opened_at: this.openedAt && this.state !== 'closed' ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+const breakers = new Map();
+
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+export function circuitStatus() {
+  return Object.fromEntries([...breakers].map(([name, breaker]) => [name, breaker.status()]));
+}
+
+// Classifies a failure for callers deciding what to do next
+export function diagnoseError({ status, code, message = '' } = {}) {
+  if (code === 'circuit_open') {
+    return { category: 'circuit_open', retryable: false, suggestion: 'Provider is failing repeatedly - use an alternative model or wait for the cooldown' };
+  }
+  if (status === 429) {
+    return { category: 'rate_limited', retryable: true, suggestion: 'Back off and retry, or use a model from another provider' };
+  }
+  if (status === 401 || status === 403) {
+    return { category: 'authentication', retryable: false, suggestion: 'Check the provider API key configuration' };
+  }
+  if (status === 400 || status === 404 || status === 422) {
+    return { category: 'invalid_request', retryable: false, suggestion: 'Revise the prompt or parameters - retrying the same request will fail again' };
+  }
+  if (isRetryable({ status, code, message })) {
+    return { category: 'unavailable', retryable: true, suggestion: 'Transient provider failure - retry with backoff' };
+  }
+  return { category: 'unknown', retryable: false, suggestion: 'Ask the user how to proceed' };
+}
@@ -0,0 +1,192 @@
+// lib/reports.js - PDF session reports: a model comparison or a conversation, plus generated images
+//
+// A comparison is the result of compare_gemini_models / multi_model_compare as returned to
+// the client; a conversation is read from lib/conversations.js, so only its owner can report
+// on it. Images come from the asset store (lib/images.js) and are scaled down to fit.
+import { PdfDocument } from './pdf.js';
+import { PngError, decodePng, resizeImage } from './png.js';
+import { getConversation } from './conversations.js';
+import { getImage, imageUrls, readImage } from './images.js';
+import { getModel } from './providers.js';
+
+export const MAX_REPORT_IMAGES = 12;
+const REPORT_IMAGE_SIZE = 512;
+const DEFAULT_TITLE = 'MCP Session Report';
+
+export class ReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReportError';
+    this.status = status;
+  }
+}
+
+function formatUsage(usage) {
+  if (!usage) return 'no usage reported';
+  const parts = [`${(usage.input_tokens || 0).toLocaleString('en-US')} input / ${(usage.output_tokens || 0).toLocaleString('en-US')} output tokens`];
+  if (usage.cost_usd) parts.push(`$${usage.cost_usd.toFixed(4)}`);
+  return parts.join(', ');
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return null;
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function sumUsage(usages) {
+  return usages.filter(Boolean).reduce((total, usage) => ({
+    input_tokens: total.input_tokens + (usage.input_tokens || 0),
+    output_tokens: total.output_tokens + (usage.output_tokens || 0),
+    cost_usd: Math.round((total.cost_usd + (usage.cost_usd || 0)) * 1e6) / 1e6
+  }), { input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+}
+
+// Model keys (conversation messages) become display names; unknown values are kept as they are
+function modelName(model) {
+  return getModel(model)?.name || model || 'unknown model';
+}
+
+const meta = (doc, text) => doc.text(text, { size: 9, color: [100, 100, 100] });
+
+function writeComparison(doc, { prompt, responses, analysis, timestamp }) {
+  doc.heading('Model comparison', 2);
+  if (timestamp) meta(doc, `Run at ${timestamp}`);
+  doc.heading('Prompt', 3);
+  doc.text(prompt);
+
+  const entries = Object.entries(responses);
+  for (const [key, response] of entries) {
+    doc.rule();
+    doc.heading(response.model || modelName(key), 3);
+    if (response.characteristics) meta(doc, `Characteristics: ${response.characteristics}`);
+    meta(doc, [
+      formatUsage(response.usage),
+      formatDuration(response.duration_ms),
+      response.cached && 'served from cache'
+    ].filter(Boolean).join(' - '));
+    doc.space(4);
+    doc.text(response.response ?? '');
+  }
+
+  const usage = analysis?.total_usage || sumUsage(entries.map(([, response]) => response.usage));
+  return {
+    models: entries.length,
+    usage,
+    duration_ms: analysis?.duration_ms ?? null
+  };
+}
+
+function writeConversation(doc, { id, messages, created_at, updated_at }) {
+  doc.heading('Conversation', 2);
+  meta(doc, `${id} - ${messages.length} messages, ${created_at} to ${updated_at}`);
+
+  for (const message of messages) {
+    doc.space(6);
+    const speaker = message.role === 'user' ? 'User' : `Assistant (${modelName(message.model)})`;
+    doc.text(speaker, { font: 'bold', size: 10 });
+    meta(doc, [
+      message.timestamp,
+      message.usage && formatUsage(message.usage),
+      formatDuration(message.duration_ms)
+    ].filter(Boolean).join(' - '));
+    doc.text(message.content);
+  }
+
+  const replies = messages.filter(message => message.role === 'assistant');
+  const durations = replies.map(message => message.duration_ms).filter(ms => typeof ms === 'number');
+  return {
+    messages: messages.length,
+    usage: sumUsage(replies.map(message => message.usage)),
+    duration_ms: durations.length > 0 ? durations.reduce((sum, ms) => sum + ms, 0) : null
+  };
+}
+
+function writeImages(doc, images) {
+  doc.heading('Generated images', 2);
+  for (const { record, buffer } of images) {
+    doc.space(6);
+    try {
+      doc.image(resizeImage(decodePng(buffer), REPORT_IMAGE_SIZE));
+    } catch (error) {
+      if (!(error instanceof PngError)) throw error;
+      meta(doc, `(This image could not be embedded: ${error.message})`);
+    }
+    doc.text(record.prompt || record.id, { font: 'bold', size: 9 });
+    meta(doc, [
+      record.model && modelName(record.model),
+      record.width && `${record.width}x${record.height}`,
+      record.seed !== undefined && record.seed !== null && `seed ${record.seed}`,
+      record.style
+    ].filter(Boolean).join(' - '));
+    meta(doc, imageUrls(record.id).url);
+  }
+}
+
+async function loadImages(ids) {
+  return Promise.all(ids.map(async (id) => {
+    const [record, buffer] = await Promise.all([getImage(id), readImage(id)]);
+    if (!record || !buffer) {
+      throw new ReportError(`Image not found: ${id}`, 404);
+    }
+    return { record, buffer };
+  }));
+}
+
+// Resolves with { pdf, filename, title, pages, summary } for { title, notes, comparison,
+// conversation_id, image_ids }; the conversation must belong to client
+export async function buildReport({ title = DEFAULT_TITLE, notes, comparison, conversation_id, image_ids = [] }, { client } = {}) {
+  if (!comparison && !conversation_id && image_ids.length === 0) {
+    throw new ReportError('A report needs a comparison, a conversation_id or image_ids');
+  }
+  if (image_ids.length > MAX_REPORT_IMAGES) {
+    throw new ReportError(`A report can include at most ${MAX_REPORT_IMAGES} images`);
+  }
+
+  const conversation = conversation_id ? await getConversation(conversation_id, client) : null;
+  if (conversation_id && !conversation) {
+    throw new ReportError(`Conversation not found: ${conversation_id}`, 404);
+  }
+  const images = await loadImages(image_ids);
+
+  const generatedAt = new Date().toISOString();
+  const doc = new PdfDocument({ title });
+  doc.heading(title, 1);
+  meta(doc, `Generated ${generatedAt} by Curam AI MCP Agent`);
+  if (notes) {
+    doc.space(6);
+    doc.text(notes);
+  }
+
+  const sections = [
+    comparison && { comparison: writeComparison(doc, comparison) },
+    conversation && { conversation: writeConversation(doc, conversation) }
+  ].filter(Boolean);
+  if (images.length > 0) {
+    writeImages(doc, images);
+  }
+
+  const summary = Object.assign({ images: images.length }, ...sections);
+  const usage = sumUsage(sections.map(section => Object.values(section)[0].usage));
+  doc.rule();
+  doc.heading('Summary', 3);
+  doc.text([
+    summary.comparison && `${summary.comparison.models} models compared`,
+    summary.conversation && `${summary.conversation.messages} conversation messages`,
+    images.length > 0 && `${images.length} images`
+  ].filter(Boolean).join(', '));
+  doc.text(`Total usage: ${formatUsage(usage)}`);
+  const duration = sections.map(section => Object.values(section)[0].duration_ms).filter(ms => typeof ms === 'number');
+  if (duration.length > 0) {
+    doc.text(`Model time: ${formatDuration(duration.reduce((sum, ms) => sum + ms, 0))}`);
+  }
+
+  const pdf = doc.toBuffer();
+  const slug = title.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'Report';
+  return {
+    pdf,
+    filename: `${slug}_${generatedAt.slice(0, 10)}.pdf`,
+    title,
+    pages: doc.pages.length,
+    summary: { ...summary, usage }
+  };
+}
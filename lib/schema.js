@@ -0,0 +1,118 @@
+// lib/schema.js - Minimal JSON Schema validation for tool inputs
+//
+// Supports the subset our tool schemas use: type, required, enum, default,
+// minimum/maximum, minLength/maxLength, pattern, minItems/maxItems, items,
+// nested object properties, maxProperties and additionalProperties (as a schema for
+// every unlisted property). Returns a copy of the input with defaults applied.
+
+export class ValidationError extends Error {
+  constructor(message, field) {
+    super(message.charAt(0).toUpperCase() + message.slice(1));
+    this.name = 'ValidationError';
+    this.field = field;
+  }
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function validateValue(schema, value, field) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    throw new ValidationError(`${field} must be ${types.map(type => `a ${type}`).join(' or ')}`, field);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    throw new ValidationError(`${field} must be one of: ${schema.enum.join(', ')}`, field);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      throw new ValidationError(`${field} must be at least ${schema.minimum}`, field);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      throw new ValidationError(`${field} must be at most ${schema.maximum}`, field);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      throw new ValidationError(`${field} must be at least ${schema.minLength} characters`, field);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      throw new ValidationError(`${field} must be at most ${schema.maxLength} characters`, field);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      throw new ValidationError(`${field} must match the pattern ${schema.pattern}`, field);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      throw new ValidationError(`${field} must have at least ${schema.minItems} items`, field);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      throw new ValidationError(`${field} must have at most ${schema.maxItems} items`, field);
+    }
+    return schema.items
+      ? value.map((item, idx) => validateValue(schema.items, item, `${field}[${idx}]`))
+      : value;
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties || schema.maxProperties !== undefined)) {
+    return validateObject(schema, value, `${field}.`);
+  }
+
+  return value;
+}
+
+function validateObject(schema, input, prefix = '') {
+  const result = { ...input };
+  const field = prefix.slice(0, -1) || 'input';
+
+  if (schema.maxProperties !== undefined && Object.keys(result).length > schema.maxProperties) {
+    throw new ValidationError(`${field} must have at most ${schema.maxProperties} properties`, field);
+  }
+
+  for (const name of schema.required || []) {
+    if (result[name] === undefined || result[name] === null || result[name] === '') {
+      throw new ValidationError(`${prefix}${name} is required`, `${prefix}${name}`);
+    }
+  }
+
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    if (result[name] === undefined) {
+      if (propertySchema.default !== undefined) {
+        result[name] = structuredClone(propertySchema.default);
+      }
+      continue;
+    }
+    result[name] = validateValue(propertySchema, result[name], `${prefix}${name}`);
+  }
+
+  if (typeOf(schema.additionalProperties) === 'object') {
+    for (const name of Object.keys(result)) {
+      if (schema.properties?.[name] === undefined) {
+        result[name] = validateValue(schema.additionalProperties, result[name], `${prefix}${name}`);
+      }
+    }
+  }
+
+  return result;
+}
+
+export function validateInput(schema, input) {
+  if (input !== undefined && typeOf(input) !== 'object') {
+    throw new ValidationError('Input must be an object');
+  }
+  return validateObject(schema, input || {});
+}
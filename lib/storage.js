@@ -0,0 +1,162 @@
+// lib/storage.js - Pluggable, session-scoped storage for MCP conversation history and learned preferences
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+
+const DEFAULT_FILE_PATH = path.join(DATA_DIR, 'context.json');
+const DEFAULT_HISTORY_LIMIT = 500;
+const DEFAULT_HISTORY_MAX_AGE_DAYS = 30;
+const DEFAULT_MAX_SESSIONS = 1000;
+
+export const DEFAULT_SESSION_ID = 'default';
+
+function emptyData() {
+  return { sessions: {} };
+}
+
+function emptySession() {
+  return { history: [], preferences: {}, updated_at: new Date().toISOString() };
+}
+
+// Files written before sessions existed hold a single top-level history/preferences pair;
+// they are converted in place
+function migrate(data) {
+  if (!data.sessions) {
+    const { history, preferences } = data;
+    data.sessions = history || preferences
+      ? { [DEFAULT_SESSION_ID]: { ...emptySession(), history: history || [], preferences: preferences || {} } }
+      : {};
+    delete data.history;
+    delete data.preferences;
+  }
+  return data;
+}
+
+function sessionIn(data, sessionId) {
+  data.sessions[sessionId] = data.sessions[sessionId] || emptySession();
+  return data.sessions[sessionId];
+}
+
+// Keeps everything in process memory - nothing survives a restart
+export class MemoryContextStorage {
+  constructor({
+    historyLimit = DEFAULT_HISTORY_LIMIT,
+    historyMaxAgeDays = DEFAULT_HISTORY_MAX_AGE_DAYS,
+    maxSessions = DEFAULT_MAX_SESSIONS
+  } = {}) {
+    this.historyLimit = historyLimit;
+    this.historyMaxAgeMs = historyMaxAgeDays * 24 * 60 * 60 * 1000;
+    this.maxSessions = maxSessions;
+    this.data = emptyData();
+  }
+
+  async read() {
+    return this.data;
+  }
+
+  // Applies fn to the stored data; every write also prunes sessions
+  async write(fn) {
+    return this.apply(this.data, fn);
+  }
+
+  apply(data, fn) {
+    const result = fn(data);
+    this.pruneSessions(data);
+    return result;
+  }
+
+  // Retention: drop entries past the age limit, then keep only the newest historyLimit
+  applyRetention(history) {
+    const cutoff = Date.now() - this.historyMaxAgeMs;
+    return history
+      .filter(entry => new Date(entry.timestamp).getTime() >= cutoff)
+      .slice(-this.historyLimit);
+  }
+
+  // Sessions idle for longer than the age limit are dropped entirely, then the least
+  // recently updated ones beyond maxSessions
+  pruneSessions(data) {
+    const cutoff = Date.now() - this.historyMaxAgeMs;
+    const sessions = Object.entries(data.sessions)
+      .map(([sessionId, session]) => ({ sessionId, updated: new Date(session.updated_at).getTime() }))
+      .sort((a, b) => b.updated - a.updated);
+    sessions.forEach(({ sessionId, updated }, idx) => {
+      if (updated < cutoff || idx >= this.maxSessions) {
+        delete data.sessions[sessionId];
+      }
+    });
+    return data;
+  }
+
+  async listSessions() {
+    const { sessions } = await this.read();
+    return Object.entries(sessions).map(([sessionId, session]) => ({
+      session_id: sessionId,
+      history_length: session.history.length,
+      updated_at: session.updated_at
+    }));
+  }
+
+  async appendHistory(sessionId, entry) {
+    await this.write(data => {
+      const session = sessionIn(data, sessionId);
+      session.history = this.applyRetention([...session.history, entry]);
+      session.updated_at = new Date().toISOString();
+    });
+  }
+
+  async getHistory(sessionId, { limit } = {}) {
+    const history = (await this.read()).sessions[sessionId]?.history || [];
+    return limit ? history.slice(-limit) : [...history];
+  }
+
+  async getPreferences(sessionId) {
+    return { ...(await this.read()).sessions[sessionId]?.preferences };
+  }
+
+  async setPreference(sessionId, key, value) {
+    await this.write(data => {
+      const session = sessionIn(data, sessionId);
+      session.preferences[key] = value;
+      session.updated_at = new Date().toISOString();
+    });
+  }
+}
+
+// A JSON file on disk, shared with the other MCP server processes: reads see their
+// writes, and each write re-reads the file under its lock
+export class FileContextStorage extends MemoryContextStorage {
+  constructor({ filePath = DEFAULT_FILE_PATH, ...options } = {}) {
+    super(options);
+    this.file = new JsonFile(filePath, {}, { shared: true });
+    this.data = null;
+  }
+
+  async read() {
+    return migrate(await this.file.load());
+  }
+
+  async write(fn) {
+    return this.file.update(data => this.apply(migrate(data), fn));
+  }
+}
+
+const BACKENDS = {
+  memory: MemoryContextStorage,
+  file: FileContextStorage
+};
+
+export function createContextStorage(options = {}) {
+  const backend = options.backend || process.env.CONTEXT_STORAGE || 'file';
+  const Storage = BACKENDS[backend];
+  if (!Storage) {
+    throw new Error(`Unknown context storage backend: ${backend}. Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return new Storage({
+    filePath: process.env.CONTEXT_STORAGE_PATH || undefined,
+    historyLimit: Number(process.env.CONTEXT_HISTORY_LIMIT) || DEFAULT_HISTORY_LIMIT,
+    historyMaxAgeDays: Number(process.env.CONTEXT_HISTORY_MAX_AGE_DAYS) || DEFAULT_HISTORY_MAX_AGE_DAYS,
+    maxSessions: Number(process.env.CONTEXT_MAX_SESSIONS) || DEFAULT_MAX_SESSIONS,
+    ...options
+  });
+}
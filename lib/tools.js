@@ -0,0 +1,1017 @@
+// lib/tools.js - Single tool registry behind both the REST routes and the MCP tools
+//
+// Each tool declares its name, REST route, API key scope, input schema and handler once.
+// server.js generates a POST route per tool, mcp-server.js generates the
+// tools/list and tools/call handlers, so the two surfaces share validation
+// and response shapes.
+import {
+  DEFAULT_EMBEDDING_MODEL,
+  DEFAULT_IMAGE_MODEL,
+  DEFAULT_UPSCALE_MODEL,
+  EMBEDDING_TASK_TYPES,
+  ProviderError,
+  embedTexts,
+  generateChatWithFallback,
+  generateImage,
+  generateText,
+  generateTextWithFallback,
+  getModel,
+  inpaintImage,
+  isProviderConfigured,
+  listModels,
+  providers,
+  streamChat,
+  streamText,
+  transformImage,
+  upscaleImage
+} from './providers.js';
+import { ValidationError, validateInput } from './schema.js';
+import { CONVERSATION_ID_PATTERN, appendMessages, getConversation, newConversationId } from './conversations.js';
+import { currentUsageClient } from './usage.js';
+import { ANALYSIS_TYPES, PromptTemplateError, renderTemplate } from './prompts.js';
+import { getImage, imageUrls, readImage, saveImage } from './images.js';
+import { pngDimensions } from './png.js';
+import { EMAIL_PATTERN, EmailError, MAX_RECIPIENTS } from './email.js';
+import { IDEMPOTENCY_KEY_PATTERN, describeEmail, queueEmail } from './email-queue.js';
+import { HUGGING_FACE_TASKS, TASKS as HUGGING_FACE_TASK_DEFINITIONS, runInference } from './huggingface.js';
+import {
+  DEFAULT_CHUNK_SIZE,
+  DOCUMENT_ID_PATTERN,
+  FILTER_OPERATORS,
+  INDEX_NAME_PATTERN,
+  VectorIndexError,
+  indexDocuments,
+  indexModel,
+  searchIndex
+} from './vector-index.js';
+
+export class ToolError extends Error {
+  // code: 'invalid_params' | 'not_found' | 'not_configured' | 'provider_error' | 'internal'
+  constructor(message, { code = 'internal', status = 500, details } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const IMAGE_STYLES = ['photographic', 'digital-art', 'cinematic', 'anime', 'fantasy-art'];
+const MAX_IMAGE_SAMPLES = 10;
+
+// Model comparisons report each model's failure as its response text rather than failing the whole call
+async function callTextModel(key, prompt, options) {
+  const started = Date.now();
+  try {
+    return { ...await generateText(key, prompt, options), duration_ms: Date.now() - started };
+  } catch (error) {
+    return { text: error.message, usage: null, cached: false, duration_ms: Date.now() - started };
+  }
+}
+
+function formatResponses(models, results) {
+  return Object.fromEntries(models.map((model, idx) => [
+    model.key,
+    {
+      model: model.name,
+      response: results[idx].text,
+      characteristics: model.characteristics,
+      usage: results[idx].usage,
+      cached: results[idx].cached,
+      duration_ms: results[idx].duration_ms
+    }
+  ]));
+}
+
+function totalUsage(results) {
+  return results.reduce((total, { usage }) => ({
+    input_tokens: total.input_tokens + (usage?.input_tokens || 0),
+    output_tokens: total.output_tokens + (usage?.output_tokens || 0),
+    cost_usd: Math.round((total.cost_usd + (usage?.cost_usd || 0)) * 1e6) / 1e6
+  }), { input_tokens: 0, output_tokens: 0, cost_usd: 0 });
+}
+
+function comparisonResult(prompt, models, results, started) {
+  return {
+    prompt,
+    responses: formatResponses(models, results),
+    analysis: {
+      response_lengths: Object.fromEntries(models.map((model, idx) => [model.key, results[idx].text.length])),
+      total_usage: totalUsage(results),
+      duration_ms: Date.now() - started
+    },
+    timestamp: new Date().toISOString()
+  };
+}
+
+async function compare(models, prompt, options) {
+  const started = Date.now();
+  const results = await Promise.all(models.map(model => callTextModel(model.key, prompt, options)));
+  return comparisonResult(prompt, models, results, started);
+}
+
+// emit('token' | 'error' | 'model_complete', data) as each model's output arrives
+async function streamCompare(models, prompt, emit, options) {
+  const started = Date.now();
+  const results = await Promise.all(models.map(async (model) => {
+    let result;
+    try {
+      result = await streamText(model.key, prompt, text => emit('token', { model: model.key, text }), options);
+    } catch (error) {
+      result = { text: error.message, usage: null, cached: false };
+      emit('error', { model: model.key, error: error.message });
+    }
+    result = { ...result, duration_ms: Date.now() - started };
+    emit('model_complete', { model: model.key, response: result.text, usage: result.usage, cached: result.cached, duration_ms: result.duration_ms });
+    return result;
+  }));
+  return comparisonResult(prompt, models, results, started);
+}
+
+// Continues (or starts) a conversation owned by the current client. The model may
+// change from turn to turn; streamed turns don't fall back to other models.
+async function chat({ message, conversation_id, model, cache, ...input }, emit) {
+  const client = currentUsageClient();
+  const history = conversation_id ? (await getConversation(conversation_id, client))?.messages : [];
+  if (!history) {
+    throw new ToolError(`Conversation not found: ${conversation_id}`, { code: 'invalid_params', status: 404 });
+  }
+
+  const userMessage = { role: 'user', content: message, timestamp: new Date().toISOString() };
+  const messages = [...history, userMessage];
+  const options = { cache, params: generationParams(input) };
+  const started = Date.now();
+  const result = emit
+    ? { ...await streamChat(model, messages, text => emit('token', { model, text }), options), model }
+    : await generateChatWithFallback(model, messages, options);
+
+  const conversation = await appendMessages(conversation_id || newConversationId(), client, [
+    userMessage,
+    {
+      role: 'assistant',
+      content: result.text,
+      model: result.model,
+      usage: result.usage,
+      duration_ms: Date.now() - started,
+      timestamp: new Date().toISOString()
+    }
+  ]);
+
+  return {
+    conversation_id: conversation.id,
+    model: getModel(result.model).name,
+    ...(result.fallback_from && { fallback_from: getModel(result.fallback_from).name }),
+    response: result.text,
+    usage: result.usage,
+    cached: result.cached,
+    message_count: conversation.messages.length,
+    timestamp: new Date().toISOString()
+  };
+}
+
+const geminiModels = () => listModels({ capability: 'text', provider: 'gemini' });
+const configuredTextModels = () => listModels({ capability: 'text', configuredOnly: true });
+
+const PROMPT_PROPERTY = { type: 'string', minLength: 1 };
+
+// Generation parameters accepted by the text tools. Ranges are the tightest across
+// the providers a tool can reach (fallbacks included), so every model accepts them.
+const GENERATION_PARAMS = ['system', 'temperature', 'top_p', 'max_tokens', 'stop'];
+const MAX_STOP_SEQUENCES = 5;
+
+function generationProperties(providerNames) {
+  const limit = field => Math.min(...providerNames.map(name => providers[name].generationLimits[field]));
+  return {
+    system: { type: 'string', minLength: 1, description: 'System prompt - instructions that apply to the whole response' },
+    temperature: {
+      type: 'number',
+      minimum: 0,
+      maximum: limit('temperature'),
+      description: 'Sampling temperature; lower is more deterministic'
+    },
+    top_p: { type: 'number', minimum: 0, maximum: 1, description: 'Nucleus sampling probability mass' },
+    max_tokens: {
+      type: 'integer',
+      minimum: 1,
+      maximum: limit('max_tokens'),
+      description: 'Maximum number of tokens to generate'
+    },
+    stop: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      maxItems: MAX_STOP_SEQUENCES,
+      description: 'Sequences that end generation when produced'
+    }
+  };
+}
+
+function generationParams(input) {
+  return Object.fromEntries(GENERATION_PARAMS.filter(name => input[name] !== undefined).map(name => [name, input[name]]));
+}
+
+const TEXT_PROVIDERS = [...new Set(listModels({ capability: 'text' }).map(model => model.provider))];
+
+const CACHE_PROPERTY = {
+  type: 'boolean',
+  description: 'Set to false to bypass the response cache and call the model again',
+  default: true
+};
+
+// IMAGES - every image tool stores its output (lib/images.js) and answers in the same shape
+const IMAGE_PROPERTIES = {
+  negative_prompt: {
+    type: 'string',
+    description: 'What the image should not contain',
+    minLength: 1,
+    maxLength: 2000
+  },
+  style: {
+    type: 'string',
+    description: 'Art style for the image',
+    enum: IMAGE_STYLES,
+    default: 'photographic'
+  },
+  samples: {
+    type: 'integer',
+    description: 'Number of images to generate',
+    minimum: 1,
+    maximum: MAX_IMAGE_SAMPLES,
+    default: 1
+  },
+  steps: {
+    type: 'integer',
+    description: 'Diffusion steps; more steps add detail and take longer',
+    minimum: 10,
+    maximum: 50,
+    default: 30
+  },
+  cfg_scale: {
+    type: 'number',
+    description: 'How strictly the image follows the prompt',
+    minimum: 0,
+    maximum: 35,
+    default: 7
+  },
+  sampler: {
+    type: 'string',
+    description: 'Diffusion sampler; chosen by Stability when omitted',
+    enum: providers.stability.samplers
+  },
+  seed: {
+    type: 'integer',
+    description: 'Fixed seed for reproducible images; seeded requests are served from the response cache',
+    minimum: 1,
+    maximum: 4294967295
+  }
+};
+
+// A source image is either an earlier result (its asset id) or an upload
+function sourceImageProperties(field, description) {
+  return {
+    [`${field}_id`]: { type: 'string', description: `${description}: id of a stored image, e.g. from generate_image` },
+    [`${field}_base64`]: { type: 'string', minLength: 1, description: `${description}: uploaded PNG, JPEG or WebP, base64 or a data URI` }
+  };
+}
+
+function isSupportedImage(buffer) {
+  return pngDimensions(buffer)
+    || (buffer[0] === 0xff && buffer[1] === 0xd8)
+    || buffer.toString('ascii', 8, 12) === 'WEBP';
+}
+
+// Resolves with { buffer, id, record } for input[`${field}_id`] or input[`${field}_base64`],
+// or null when neither is given
+async function loadSourceImage(input, field) {
+  const id = input[`${field}_id`];
+  const upload = input[`${field}_base64`];
+  if (id && upload) {
+    throw new ToolError(`Send either ${field}_id or ${field}_base64, not both`, { code: 'invalid_params', status: 400 });
+  }
+  if (id) {
+    const buffer = await readImage(id);
+    if (!buffer) {
+      throw new ToolError(`Image not found: ${id}`, { code: 'invalid_params', status: 404 });
+    }
+    return { buffer, id, record: await getImage(id) };
+  }
+  if (upload) {
+    const buffer = Buffer.from(upload.replace(/^data:[^,]*,/, ''), 'base64');
+    if (!isSupportedImage(buffer)) {
+      throw new ToolError(`${field}_base64 must be a base64 PNG, JPEG or WebP image`, { code: 'invalid_params', status: 400 });
+    }
+    return { buffer, id: null, record: null };
+  }
+  return null;
+}
+
+async function requireSourceImage(input, field) {
+  const source = await loadSourceImage(input, field);
+  if (!source) {
+    throw new ToolError(`${field}_id or ${field}_base64 is required`, { code: 'invalid_params', status: 400 });
+  }
+  return source;
+}
+
+function dimensionsOf({ buffer, record }) {
+  const size = record?.width ? record : pngDimensions(buffer);
+  return size ? `${size.width}x${size.height}` : null;
+}
+
+// SDXL only accepts its own sizes, so source images are checked before the upload
+function checkSdxlDimensions(source, field) {
+  const dimensions = dimensionsOf(source);
+  const supported = getModel(DEFAULT_IMAGE_MODEL).dimensions;
+  if (dimensions && !supported.includes(dimensions)) {
+    throw new ToolError(`The ${field} is ${dimensions}; SDXL needs one of: ${supported.join(', ')}`, { code: 'invalid_params', status: 400 });
+  }
+  return dimensions;
+}
+
+// Saves each returned image and formats the response shared by every image tool
+async function imageResponse(result, { prompt, negative_prompt, style, model, source, metadata }) {
+  const client = currentUsageClient();
+  const images = [];
+  for (const { image, seed, finish_reason } of result.images) {
+    const stored = await saveImage(image, {
+      prompt, negative_prompt, style, seed, finish_reason, model, client,
+      ...(source && { source_image_id: source.id, operation: metadata.operation })
+    });
+    images.push({ id: stored.id, ...imageUrls(stored.id), seed, finish_reason, width: stored.width, height: stored.height });
+  }
+
+  return {
+    prompt,
+    ...(negative_prompt && { negative_prompt }),
+    style,
+    images,
+    // First image, for clients written against single-image responses
+    image_url: images[0]?.url,
+    seed: images[0]?.seed,
+    metadata: {
+      model: getModel(model).name,
+      ...metadata,
+      content_filtered: images.filter(image => image.finish_reason === 'CONTENT_FILTERED').length
+    },
+    usage: result.usage,
+    cached: result.cached,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// MCP clients get the stored images as image content next to the JSON result
+async function imageMcpContent({ images }) {
+  const files = await Promise.all(images.map(image => readImage(image.id)));
+  return files.filter(Boolean).map(file => ({ type: 'image', data: file.toString('base64'), mimeType: 'image/png' }));
+}
+
+// Email addresses are "a@example.com" or { email, name }
+const EMAIL_ADDRESS = {
+  type: ['string', 'object'],
+  pattern: EMAIL_PATTERN,
+  properties: {
+    email: { type: 'string', pattern: EMAIL_PATTERN },
+    name: { type: 'string', maxLength: 200 }
+  },
+  required: ['email']
+};
+
+function recipientsProperty(description) {
+  return { type: ['string', 'array'], pattern: EMAIL_PATTERN, items: EMAIL_ADDRESS, maxItems: MAX_RECIPIENTS, description };
+}
+
+// EMBEDDINGS AND VECTOR INDEX - the embedding model's provider must be configured
+const INDEX_PROPERTY = {
+  type: 'string',
+  pattern: INDEX_NAME_PATTERN,
+  default: 'default',
+  description: 'Index name: lowercase letters, digits, - and _'
+};
+
+function requireEmbeddingProvider(key) {
+  const model = getModel(key);
+  if (model && !isProviderConfigured(model.provider)) {
+    throw new ToolError(`${providers[model.provider].name} API key not configured`, { code: 'not_configured', status: 503 });
+  }
+}
+
+export const tools = [
+  {
+    name: 'compare_gemini_models',
+    route: '/api/compare',
+    scope: 'text',
+    description: () => `Compare responses from ${geminiModels().map(model => model.name).join(', ')}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT_PROPERTY, description: 'The prompt to send to each Gemini model for comparison' },
+        ...generationProperties(['gemini']),
+        cache: CACHE_PROPERTY
+      },
+      required: ['prompt']
+    },
+    handler: ({ prompt, cache, ...input }) => compare(geminiModels(), prompt, { cache, params: generationParams(input) }),
+    stream: ({ prompt, cache, ...input }, emit) => streamCompare(geminiModels(), prompt, emit, { cache, params: generationParams(input) })
+  },
+  {
+    name: 'multi_model_compare',
+    route: '/api/multi-compare',
+    scope: 'text',
+    description: () => 'Compare responses from every configured text model (Gemini and Claude)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT_PROPERTY, description: 'The prompt to send to every configured model' },
+        ...generationProperties(TEXT_PROVIDERS),
+        cache: CACHE_PROPERTY
+      },
+      required: ['prompt']
+    },
+    handler: ({ prompt, cache, ...input }) => compare(configuredTextModels(), prompt, { cache, params: generationParams(input) }),
+    stream: ({ prompt, cache, ...input }, emit) => streamCompare(configuredTextModels(), prompt, emit, { cache, params: generationParams(input) })
+  },
+  {
+    name: 'ask_claude',
+    route: '/api/claude-test',
+    scope: 'text',
+    description: () => 'Send a prompt to Claude Sonnet or Claude Haiku (falls back to Gemini if Claude is unavailable)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT_PROPERTY, description: 'The prompt to send to Claude' },
+        model: {
+          type: 'string',
+          description: 'Which Claude model to use',
+          enum: ['sonnet', 'haiku'],
+          default: 'sonnet'
+        },
+        ...generationProperties(['anthropic', 'gemini']),
+        cache: CACHE_PROPERTY
+      },
+      required: ['prompt']
+    },
+    async handler({ prompt, model, cache, ...input }) {
+      if (!process.env.CLAUDE_API_KEY) {
+        throw new ToolError('Claude API key not configured', { code: 'not_configured' });
+      }
+
+      const result = await generateTextWithFallback(`claude_${model}`, prompt, { cache, params: generationParams(input) });
+
+      return {
+        success: true,
+        model: getModel(result.model).name,
+        ...(result.fallback_from && { fallback_from: getModel(result.fallback_from).name }),
+        response: result.text,
+        usage: result.usage,
+        cached: result.cached,
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+  {
+    name: 'chat',
+    route: '/api/chat',
+    scope: 'text',
+    description: () => 'Multi-turn chat - the server keeps the history for each conversation_id, and any text model can answer any turn',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        message: { ...PROMPT_PROPERTY, description: 'The next user message' },
+        conversation_id: {
+          type: 'string',
+          pattern: CONVERSATION_ID_PATTERN,
+          description: 'Conversation to continue, as returned by an earlier chat call; omit to start a new one'
+        },
+        model: {
+          type: 'string',
+          description: 'Model to answer this turn; may differ from earlier turns',
+          enum: listModels({ capability: 'text' }).map(model => model.key),
+          default: 'gemini_flash'
+        },
+        ...generationProperties(TEXT_PROVIDERS),
+        cache: CACHE_PROPERTY
+      },
+      required: ['message']
+    },
+    handler: input => chat(input),
+    stream: (input, emit) => chat(input, emit)
+  },
+  {
+    name: 'generate_image',
+    route: '/api/generate-image',
+    scope: 'image',
+    description: () => 'Generate an image using Stable Diffusion XL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT_PROPERTY, description: 'Description of the image to generate' },
+        negative_prompt: IMAGE_PROPERTIES.negative_prompt,
+        style: IMAGE_PROPERTIES.style,
+        dimensions: {
+          type: 'string',
+          description: 'Width x height in pixels, from the sizes SDXL supports',
+          enum: getModel(DEFAULT_IMAGE_MODEL).dimensions,
+          default: '1024x1024'
+        },
+        samples: IMAGE_PROPERTIES.samples,
+        steps: IMAGE_PROPERTIES.steps,
+        cfg_scale: IMAGE_PROPERTIES.cfg_scale,
+        sampler: IMAGE_PROPERTIES.sampler,
+        seed: IMAGE_PROPERTIES.seed,
+        cache: CACHE_PROPERTY
+      },
+      required: ['prompt']
+    },
+    mcpContent: imageMcpContent,
+    async handler({ prompt, negative_prompt, style, dimensions, samples, steps, cfg_scale, sampler, seed, cache }) {
+      const [width, height] = dimensions.split('x').map(Number);
+      const result = await generateImage(prompt, DEFAULT_IMAGE_MODEL, {
+        params: { style, negative_prompt, width, height, samples, steps, cfg_scale, sampler, seed },
+        cache
+      });
+
+      return imageResponse(result, {
+        prompt,
+        negative_prompt,
+        style,
+        model: DEFAULT_IMAGE_MODEL,
+        metadata: { dimensions, samples, steps, cfg_scale, sampler: sampler || null }
+      });
+    }
+  },
+  {
+    name: 'transform_image',
+    route: '/api/image-to-image',
+    scope: 'image',
+    description: () => 'Generate variations of an existing image with Stable Diffusion XL image-to-image',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT_PROPERTY, description: 'How the image should change' },
+        ...sourceImageProperties('image', 'Image to start from, in one of the SDXL sizes'),
+        image_strength: {
+          type: 'number',
+          description: 'How much of the source image to keep: 0 ignores it, 1 returns it unchanged',
+          minimum: 0,
+          maximum: 1,
+          default: 0.35
+        },
+        ...IMAGE_PROPERTIES,
+        cache: CACHE_PROPERTY
+      },
+      required: ['prompt']
+    },
+    mcpContent: imageMcpContent,
+    async handler({ prompt, image_strength, negative_prompt, style, samples, steps, cfg_scale, sampler, seed, cache, ...input }) {
+      const source = await requireSourceImage(input, 'image');
+      const dimensions = checkSdxlDimensions(source, 'image');
+      const result = await transformImage(prompt, source.buffer, DEFAULT_IMAGE_MODEL, {
+        params: { image_strength, style, negative_prompt, samples, steps, cfg_scale, sampler, seed },
+        cache
+      });
+
+      return imageResponse(result, {
+        prompt,
+        negative_prompt,
+        style,
+        model: DEFAULT_IMAGE_MODEL,
+        source,
+        metadata: {
+          operation: 'image-to-image',
+          source_image_id: source.id,
+          dimensions,
+          image_strength,
+          samples,
+          steps,
+          cfg_scale,
+          sampler: sampler || null
+        }
+      });
+    }
+  },
+  {
+    name: 'inpaint_image',
+    route: '/api/inpaint',
+    scope: 'image',
+    description: () => 'Repaint the masked part of an image with Stable Diffusion XL',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT_PROPERTY, description: 'What to paint into the masked area' },
+        ...sourceImageProperties('image', 'Image to edit, in one of the SDXL sizes'),
+        ...sourceImageProperties('mask', 'Mask the same size as the image; not needed with INIT_IMAGE_ALPHA'),
+        mask_source: {
+          type: 'string',
+          description: 'MASK_IMAGE_WHITE repaints the white mask pixels, MASK_IMAGE_BLACK the black ones, INIT_IMAGE_ALPHA the transparent pixels of the image',
+          enum: providers.stability.maskSources,
+          default: 'MASK_IMAGE_WHITE'
+        },
+        ...IMAGE_PROPERTIES,
+        cache: CACHE_PROPERTY
+      },
+      required: ['prompt']
+    },
+    mcpContent: imageMcpContent,
+    async handler({ prompt, mask_source, negative_prompt, style, samples, steps, cfg_scale, sampler, seed, cache, ...input }) {
+      const source = await requireSourceImage(input, 'image');
+      const dimensions = checkSdxlDimensions(source, 'image');
+      const mask = mask_source === 'INIT_IMAGE_ALPHA' ? null : await requireSourceImage(input, 'mask');
+      if (mask && dimensionsOf(mask) && dimensions && dimensionsOf(mask) !== dimensions) {
+        throw new ToolError(`The mask is ${dimensionsOf(mask)} but the image is ${dimensions}`, { code: 'invalid_params', status: 400 });
+      }
+      const result = await inpaintImage(prompt, source.buffer, mask?.buffer, DEFAULT_IMAGE_MODEL, {
+        params: { mask_source, style, negative_prompt, samples, steps, cfg_scale, sampler, seed },
+        cache
+      });
+
+      return imageResponse(result, {
+        prompt,
+        negative_prompt,
+        style,
+        model: DEFAULT_IMAGE_MODEL,
+        source,
+        metadata: {
+          operation: 'inpaint',
+          source_image_id: source.id,
+          mask_image_id: mask?.id ?? null,
+          mask_source,
+          dimensions,
+          samples,
+          steps,
+          cfg_scale,
+          sampler: sampler || null
+        }
+      });
+    }
+  },
+  {
+    name: 'upscale_image',
+    route: '/api/upscale',
+    scope: 'image',
+    description: () => `Double the resolution of an image with ${getModel(DEFAULT_UPSCALE_MODEL).name}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...sourceImageProperties('image', 'Image to upscale'),
+        cache: CACHE_PROPERTY
+      }
+    },
+    mcpContent: imageMcpContent,
+    async handler({ cache, ...input }) {
+      const source = await requireSourceImage(input, 'image');
+      const result = await upscaleImage(source.buffer, DEFAULT_UPSCALE_MODEL, { cache });
+
+      // Upscaled images keep the prompt and style of a stored source image
+      return imageResponse(result, {
+        prompt: source.record?.prompt ?? null,
+        style: source.record?.style ?? null,
+        model: DEFAULT_UPSCALE_MODEL,
+        source,
+        metadata: {
+          operation: 'upscale',
+          source_image_id: source.id,
+          source_dimensions: dimensionsOf(source)
+        }
+      });
+    }
+  },
+  {
+    name: 'analyze_text',
+    route: '/api/analyze-text',
+    scope: 'text',
+    description: () => 'Analyze text with Gemini Pro for advanced reasoning tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', minLength: 1, description: 'Text to analyze' },
+        analysis_type: {
+          type: 'string',
+          description: 'Type of analysis to perform',
+          enum: ANALYSIS_TYPES,
+          default: 'summary'
+        },
+        prompt_version: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Version of the analyze_text.<analysis_type> prompt template to use; defaults to the latest'
+        },
+        ...generationProperties(['gemini', 'anthropic']),
+        cache: CACHE_PROPERTY
+      },
+      required: ['text']
+    },
+    async handler({ text, analysis_type, prompt_version, cache, ...input }) {
+      const prompt = await renderTemplate(`analyze_text.${analysis_type}`, { text }, { version: prompt_version });
+      const { text: analysis, usage, cached, model } = await generateTextWithFallback(
+        'gemini_pro',
+        prompt.text,
+        { cache, params: generationParams(input) }
+      );
+
+      return {
+        original_text: text,
+        analysis_type,
+        analysis,
+        metadata: {
+          model: getModel(model).name,
+          prompt_template: { name: prompt.name, version: prompt.version },
+          text_length: text.length,
+          analysis_length: analysis.length,
+          usage,
+          cached,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  },
+  {
+    name: 'send_email',
+    route: '/api/send-email',
+    scope: 'email',
+    description: () => 'Send an email through MailChannels to to/cc/bcc recipients, from a named template or an html/text body, with attachments. '
+      + 'Failed deliveries are retried from a durable queue; check progress with GET /api/emails/:id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        to: recipientsProperty('Recipient address or addresses'),
+        cc: recipientsProperty('Carbon copy recipients'),
+        bcc: recipientsProperty('Blind carbon copy recipients'),
+        from: { ...EMAIL_ADDRESS, description: 'Sender; defaults to EMAIL_FROM and must be on an allowed sender domain' },
+        reply_to: { ...EMAIL_ADDRESS, description: 'Reply-to address; defaults to EMAIL_REPLY_TO' },
+        subject: { type: 'string', minLength: 1, maxLength: 998, description: 'Subject line; overrides the template subject' },
+        message: { type: 'string', minLength: 1, description: 'Plain message, sent with the "message" template' },
+        html: { type: 'string', minLength: 1, description: 'HTML body' },
+        text: { type: 'string', minLength: 1, description: 'Plain-text body' },
+        template: { type: 'string', minLength: 1, description: 'Named email template, e.g. message or session_report (GET /api/email-templates)' },
+        variables: { type: 'object', description: 'Values for the template\'s {{variables}}' },
+        attachments: {
+          type: 'array',
+          maxItems: 20,
+          items: {
+            type: 'object',
+            properties: {
+              filename: { type: 'string', minLength: 1, maxLength: 255 },
+              content: { type: 'string', minLength: 1, description: 'Base64 file contents' },
+              type: { type: 'string', pattern: '^[\\w.+-]+/[\\w.+-]+$', description: 'MIME type; guessed from the filename when omitted' }
+            },
+            required: ['filename', 'content']
+          }
+        },
+        pdf_base64: { type: 'string', minLength: 1, description: 'Deprecated: a PDF attached as MCP_Session_Report.pdf; use attachments' },
+        idempotency_key: {
+          type: 'string',
+          pattern: IDEMPOTENCY_KEY_PATTERN,
+          description: 'Sending again with the same key returns the first email instead of sending a duplicate'
+        }
+      },
+      required: ['to']
+    },
+    async handler({ message, template, variables = {}, pdf_base64, attachments = [], idempotency_key, ...input }) {
+      if (!process.env.MAILCHANNELS_API_KEY) {
+        throw new ToolError('Email service not configured - API key missing', { code: 'not_configured' });
+      }
+      if (message && (template || input.html || input.text)) {
+        throw new ToolError('Send message on its own, not with template, html or text', { code: 'invalid_params', status: 400 });
+      }
+
+      const { email, duplicate, error } = await queueEmail({
+        ...input,
+        ...(message
+          ? { template: 'message', variables: { subject: input.subject, message } }
+          : { template, variables }),
+        attachments: pdf_base64
+          ? [...attachments, { filename: 'MCP_Session_Report.pdf', content: pdf_base64, type: 'application/pdf' }]
+          : attachments
+      }, { client: currentUsageClient(), idempotencyKey: idempotency_key });
+
+      // Failures that won't go away on a retry (bad key, unverified domain) fail the call
+      if (error) {
+        error.details = { ...error.details, email_id: email.id };
+        throw error;
+      }
+      return { ...describeEmail(email), duplicate };
+    }
+  },
+  {
+    name: 'hugging_face_inference',
+    route: '/api/hugging-face-test',
+    scope: 'huggingface',
+    description: () => `Run a Hugging Face model for one of these tasks: ${HUGGING_FACE_TASKS.join(', ')}. `
+      + 'Returns a normalized output per task and waits for models that are still loading',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task: { type: 'string', enum: HUGGING_FACE_TASKS, default: 'text-generation', description: 'Pipeline task the model performs' },
+        model: {
+          type: 'string',
+          pattern: '^[\\w.-]+(/[\\w.-]+)?$',
+          description: `Model id on the Hugging Face Hub; defaults per task (${HUGGING_FACE_TASKS.map(task => `${task}: ${HUGGING_FACE_TASK_DEFINITIONS[task].defaultModel}`).join(', ')})`
+        },
+        text: { type: 'string', minLength: 1, description: 'Input text for every task but question-answering; fill-mask text needs [MASK] or <mask>' },
+        prompt: { type: 'string', minLength: 1, description: 'Deprecated name for text' },
+        question: { type: 'string', minLength: 1, description: 'question-answering: the question' },
+        context: { type: 'string', minLength: 1, description: 'question-answering: text containing the answer' },
+        candidate_labels: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 20,
+          items: { type: 'string', minLength: 1 },
+          description: 'zero-shot-classification: labels to choose from'
+        },
+        multi_label: { type: 'boolean', description: 'zero-shot-classification: score each label independently' },
+        parameters: { type: 'object', description: 'Extra pipeline parameters passed to the model, e.g. max_new_tokens or top_k' },
+        cache: CACHE_PROPERTY
+      }
+    },
+    async handler({ prompt, text = prompt, ...input }) {
+      if (!process.env.HUGGING_FACE_API_KEY) {
+        throw new ToolError('Hugging Face API key not configured', { code: 'not_configured' });
+      }
+
+      return {
+        success: true,
+        ...await runInference({ ...input, text }),
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+  {
+    name: 'create_embeddings',
+    route: '/api/embeddings',
+    scope: 'embeddings',
+    description: () => 'Embed one or more texts and return the raw vectors, for clients with their own vector store; '
+      + 'index_documents and semantic_search keep them in a server-side index instead',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        input: {
+          type: ['string', 'array'],
+          minLength: 1,
+          maxLength: 100000,
+          minItems: 1,
+          maxItems: 256,
+          items: { type: 'string', minLength: 1, maxLength: 100000 },
+          description: 'A text or a list of texts'
+        },
+        model: {
+          type: 'string',
+          enum: listModels({ capability: 'embedding' }).map(model => model.key),
+          default: DEFAULT_EMBEDDING_MODEL
+        },
+        task_type: { type: 'string', enum: EMBEDDING_TASK_TYPES, description: 'What the vectors will be used for (Gemini models)' },
+        cache: CACHE_PROPERTY
+      },
+      required: ['input']
+    },
+    async handler(input) {
+      requireEmbeddingProvider(input.model);
+      const texts = [].concat(input.input);
+      const result = await embedTexts(texts, input.model, {
+        params: input.task_type ? { task_type: input.task_type } : {},
+        cache: input.cache
+      });
+      console.log(`🧮 Embedded ${texts.length} text(s) with ${getModel(input.model).name}`);
+      return { model: input.model, ...result, timestamp: new Date().toISOString() };
+    }
+  },
+  {
+    name: 'index_documents',
+    route: '/api/index-documents',
+    scope: 'embeddings',
+    description: () => 'Embed documents into a named vector index for semantic_search, replacing documents with the same id. '
+      + 'Long documents are split into chunks; metadata can be used to filter searches',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        index: INDEX_PROPERTY,
+        documents: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 100,
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', pattern: DOCUMENT_ID_PATTERN, description: 'Document id; derived from the text when omitted' },
+              text: { type: 'string', minLength: 1, maxLength: 100000 },
+              metadata: { type: 'object', description: 'Filterable fields: strings, numbers, booleans, null or lists of strings and numbers' }
+            },
+            required: ['text']
+          }
+        },
+        model: {
+          type: 'string',
+          enum: listModels({ capability: 'embedding' }).map(model => model.key),
+          description: `Embedding model for a new index (default ${DEFAULT_EMBEDDING_MODEL}); an existing index keeps its model`
+        },
+        chunk_size: {
+          type: 'integer',
+          minimum: 200,
+          maximum: 8000,
+          default: DEFAULT_CHUNK_SIZE,
+          description: 'Maximum characters per chunk'
+        }
+      },
+      required: ['documents']
+    },
+    async handler(input) {
+      const client = currentUsageClient();
+      requireEmbeddingProvider(input.model || await indexModel(input.index, client) || DEFAULT_EMBEDDING_MODEL);
+      return {
+        ...await indexDocuments(input, { client }),
+        timestamp: new Date().toISOString()
+      };
+    }
+  },
+  {
+    name: 'semantic_search',
+    route: '/api/semantic-search',
+    scope: 'embeddings',
+    description: () => 'Find the chunks of a vector index (see index_documents) closest in meaning to a query, '
+      + 'optionally only from documents whose metadata matches a filter',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        index: INDEX_PROPERTY,
+        query: { type: 'string', minLength: 1, maxLength: 10000 },
+        top_k: { type: 'integer', minimum: 1, maximum: 50, default: 5, description: 'Number of results' },
+        min_score: { type: 'number', minimum: -1, maximum: 1, description: 'Drop results with a lower cosine similarity' },
+        filter: {
+          type: 'object',
+          description: 'Metadata conditions that must all hold, as { field: value } or { field: { operator: value } } '
+            + `with operators ${FILTER_OPERATORS.join(', ')}, e.g. { "source": "faq", "year": { "gte": 2024 } }`
+        }
+      },
+      required: ['query']
+    },
+    async handler(input) {
+      const client = currentUsageClient();
+      requireEmbeddingProvider(await indexModel(input.index, client));
+      return {
+        ...await searchIndex(input, { client }),
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+];
+
+export function getTool(name) {
+  return tools.find(tool => tool.name === name);
+}
+
+// MCP tools/call result: the JSON result as text, plus any content the tool adds (see mcpContent)
+export async function mcpToolContent(name, result) {
+  const extra = await getTool(name)?.mcpContent?.(result) || [];
+  return [{ type: 'text', text: JSON.stringify(result, null, 2) }, ...extra];
+}
+
+// MCP-facing tool definitions
+export function listToolDefinitions() {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description(),
+    inputSchema: tool.inputSchema
+  }));
+}
+
+function toToolError(error) {
+  if (error instanceof ToolError) return error;
+  if (error instanceof ValidationError) {
+    return new ToolError(error.message, { code: 'invalid_params', status: 400 });
+  }
+  if (error instanceof PromptTemplateError || error instanceof EmailError || error instanceof VectorIndexError) {
+    return new ToolError(error.message, { code: 'invalid_params', status: error.status });
+  }
+  if (error instanceof ProviderError) {
+    return new ToolError(error.message, { code: 'provider_error', details: error.details });
+  }
+  return new ToolError(`Tool execution failed: ${error.message}`);
+}
+
+function findTool(name) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new ToolError(`Unknown tool: ${name}`, { code: 'not_found', status: 404 });
+  }
+  return tool;
+}
+
+// Returns args with schema defaults applied, or throws an invalid_params ToolError
+export function validateToolArgs(name, args) {
+  try {
+    return validateInput(findTool(name).inputSchema, args);
+  } catch (error) {
+    throw toToolError(error);
+  }
+}
+
+// Validates args against the tool's schema and runs it. With emit and a streaming
+// tool, partial output is emitted as it arrives. Always throws ToolError.
+export async function runTool(name, args, { emit } = {}) {
+  const tool = findTool(name);
+  const input = validateToolArgs(name, args);
+
+  try {
+    return emit && tool.stream ? await tool.stream(input, emit) : await tool.handler(input);
+  } catch (error) {
+    throw toToolError(error);
+  }
+}
@@ -0,0 +1,114 @@
+// lib/usage.js - Token and cost accounting for model calls, aggregated per day, model and client
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+
+export const ANONYMOUS_CLIENT = 'anonymous';
+
+// Estimated USD prices per catalog model: text models per million input/output
+// tokens, image and upscale models per output image, anything else per request.
+// MODEL_PRICES_PATH points at a JSON file with the same shape whose entries override these.
+export const DEFAULT_PRICES = {
+  gemini_flash: { input_per_million: 0.075, output_per_million: 0.3 },
+  gemini_pro: { input_per_million: 1.25, output_per_million: 5 },
+  claude_sonnet: { input_per_million: 3, output_per_million: 15 },
+  claude_haiku: { input_per_million: 0.25, output_per_million: 1.25 },
+  stable_diffusion_xl: { per_image: 0.006 },
+  esrgan_x2: { per_image: 0.002 },
+  // Serverless Hugging Face inference is free within the account's rate limits
+  hugging_face_inference: { per_request: 0 }
+};
+
+function loadPrices() {
+  if (!process.env.MODEL_PRICES_PATH) return DEFAULT_PRICES;
+  try {
+    const overrides = JSON.parse(fs.readFileSync(process.env.MODEL_PRICES_PATH, 'utf8'));
+    return { ...DEFAULT_PRICES, ...overrides };
+  } catch (error) {
+    console.error(`⚠️  Could not read MODEL_PRICES_PATH (${error.message}), using default prices`);
+    return DEFAULT_PRICES;
+  }
+}
+
+const prices = loadPrices();
+const usageFile = new JsonFile(process.env.USAGE_PATH || path.join(DATA_DIR, 'usage.json'), { days: {} }, { shared: true });
+
+// The client a model call is billed to follows the request through async calls
+const clientContext = new AsyncLocalStorage();
+
+export function runWithUsageClient(client, fn) {
+  return clientContext.run(client, fn);
+}
+
+export function currentUsageClient() {
+  return clientContext.getStore() || ANONYMOUS_CLIENT;
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// usage: { input_tokens, output_tokens }, { images } or {} for per-request models. Unknown models cost 0.
+export function estimateCost(modelKey, usage = {}) {
+  const price = prices[modelKey] || {};
+  const cost = (usage.input_tokens || 0) * (price.input_per_million || 0) / 1e6
+    + (usage.output_tokens || 0) * (price.output_per_million || 0) / 1e6
+    + (usage.images || 0) * (price.per_image || 0)
+    + (price.per_request || 0);
+  return roundCost(cost);
+}
+
+function emptyTotals() {
+  return { requests: 0, input_tokens: 0, output_tokens: 0, images: 0, cost_usd: 0 };
+}
+
+function addTotals(totals, usage, requests = 1) {
+  totals.requests += requests;
+  totals.input_tokens += usage.input_tokens || 0;
+  totals.output_tokens += usage.output_tokens || 0;
+  totals.images += usage.images || 0;
+  totals.cost_usd = roundCost(totals.cost_usd + (usage.cost_usd || 0));
+  return totals;
+}
+
+// Stored as days[date][client][model] = totals
+export async function recordUsage(modelKey, usage, client = currentUsageClient()) {
+  const date = new Date().toISOString().slice(0, 10);
+  await usageFile.update(data => {
+    const day = data.days[date] ||= {};
+    const clientModels = day[client] ||= {};
+    addTotals(clientModels[modelKey] ||= emptyTotals(), usage);
+  });
+}
+
+// Aggregates recorded usage between from and to (YYYY-MM-DD, inclusive), optionally for one client
+export async function getUsageSummary({ from, to, client } = {}) {
+  const { days } = await usageFile.load();
+  const summary = {
+    from: from || null,
+    to: to || null,
+    client: client || null,
+    totals: emptyTotals(),
+    by_day: {},
+    by_model: {},
+    by_client: {}
+  };
+
+  for (const [date, clients] of Object.entries(days).sort(([a], [b]) => a.localeCompare(b))) {
+    if ((from && date < from) || (to && date > to)) continue;
+    for (const [clientId, modelTotals] of Object.entries(clients)) {
+      if (client && clientId !== client) continue;
+      for (const [modelKey, totals] of Object.entries(modelTotals)) {
+        const buckets = [
+          summary.totals,
+          summary.by_day[date] ||= emptyTotals(),
+          summary.by_model[modelKey] ||= emptyTotals(),
+          summary.by_client[clientId] ||= emptyTotals()
+        ];
+        buckets.forEach(bucket => addTotals(bucket, totals, totals.requests));
+      }
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,336 @@
+// lib/vector-index.js - Named on-disk vector indexes of embedded documents, searched by meaning
+//
+// Documents are split into chunks of up to chunk_size characters, breaking at paragraph,
+// sentence or word boundaries, and each chunk is embedded (lib/providers.js embedTexts).
+// An index keeps the embedding model it was created with, since vectors from different
+// models can't be compared. Search embeds the query and ranks chunks by cosine similarity,
+// after filtering on document metadata with the workflow condition operators
+// (lib/workflows.js). Every search scans the whole index, which suits thousands of chunks,
+// not millions.
+//
+// An index belongs to the client that created it, like conversations, so two clients can
+// each have an index called "default". Each index is one compact JSON file in
+// VECTOR_INDEX_DIR; catalog.json lists them with their counts.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DATA_DIR, JsonFile } from './json-file.js';
+import { DEFAULT_EMBEDDING_MODEL, embedTexts, getModel } from './providers.js';
+
+export const INDEX_NAME_PATTERN = '^[a-z0-9][a-z0-9_-]{0,63}$';
+export const DOCUMENT_ID_PATTERN = '^[\\w.:/-]{1,200}$';
+export const FILTER_OPERATORS = ['equals', 'not_equals', 'in', 'contains', 'gt', 'gte', 'lt', 'lte', 'exists'];
+export const DEFAULT_CHUNK_SIZE = 1000;
+export const MAX_CHUNKS_PER_CALL = 1000;
+
+const MAX_METADATA_BYTES = 4096;
+
+export class VectorIndexError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VectorIndexError';
+    this.status = status;
+  }
+}
+
+const indexDir = process.env.VECTOR_INDEX_DIR || path.join(DATA_DIR, 'vector-index');
+// Both the REST server and the stdio MCP servers write these files. An index file is only
+// written inside a catalog update, so the catalog's lock also orders index writes.
+const catalogFile = new JsonFile(path.join(indexDir, 'catalog.json'), { indexes: {} }, { shared: true });
+const indexFiles = new Map();
+
+// Index names are only unique per client, so files are named by a hash of both
+function fileId(client, name) {
+  return crypto.createHash('sha256').update(`${client}\n${name}`).digest('hex').slice(0, 32);
+}
+
+function indexFile(id) {
+  if (!indexFiles.has(id)) {
+    indexFiles.set(id, new JsonFile(path.join(indexDir, `${id}.json`), { documents: {} }, { indent: 0, shared: true }));
+  }
+  return indexFiles.get(id);
+}
+
+async function findIndex(name, client) {
+  const { indexes } = await catalogFile.load();
+  const id = fileId(client, name);
+  return indexes[id] ? { id, entry: indexes[id] } : null;
+}
+
+async function requireIndex(name, client) {
+  const found = await findIndex(name, client);
+  if (!found) {
+    throw new VectorIndexError(`Vector index not found: ${name}`, 404);
+  }
+  return found;
+}
+
+// What clients see - everything but the owner
+function describeIndex({ client, ...entry }) {
+  return entry;
+}
+
+// The catalog model key of an existing index, or null
+export async function indexModel(name, client) {
+  return (await findIndex(name, client))?.entry.model ?? null;
+}
+
+function countDocuments(documents) {
+  const all = Object.values(documents);
+  return { document_count: all.length, chunk_count: all.reduce((sum, document) => sum + document.chunks.length, 0) };
+}
+
+// Position just past the last match of pattern in text, or -1
+function lastBreak(text, pattern) {
+  let end = -1;
+  for (const match of text.matchAll(pattern)) end = match.index + match[0].length;
+  return end;
+}
+
+export function chunkText(text, size = DEFAULT_CHUNK_SIZE) {
+  const chunks = [];
+  let rest = text.trim();
+  while (rest.length > size) {
+    const window = rest.slice(0, size + 1);
+    // The last paragraph, sentence or word break in the second half of the window
+    const cut = [/\n\s*\n/g, /[.!?]\s/g, /\s/g]
+      .map(pattern => lastBreak(window, pattern))
+      .find(end => end > size / 2) ?? size;
+    chunks.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+// Metadata values are strings, numbers, booleans, null or lists of strings and numbers
+function checkMetadata(metadata, documentId) {
+  for (const [field, value] of Object.entries(metadata)) {
+    const scalar = item => item === null || ['string', 'number', 'boolean'].includes(typeof item);
+    const valid = Array.isArray(value)
+      ? value.every(item => ['string', 'number'].includes(typeof item))
+      : scalar(value);
+    if (!valid) {
+      throw new VectorIndexError(`Metadata field ${field} of document ${documentId} must be a string, number, boolean, null or a list of strings and numbers`);
+    }
+  }
+  if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+    throw new VectorIndexError(`Metadata of document ${documentId} is over ${MAX_METADATA_BYTES} bytes`);
+  }
+}
+
+// Documents without an id are named after their text, so indexing the same text again replaces it
+function documentId({ id, text }) {
+  return id || `doc_${crypto.createHash('sha256').update(text).digest('hex').slice(0, 16)}`;
+}
+
+// Embeds and stores documents ([{ id, text, metadata }]), replacing any with the same id.
+// The first call creates the index with model (default DEFAULT_EMBEDDING_MODEL); later
+// calls must use the same model. Resolves with { index, documents: [{ id, chunks, replaced }],
+// usage, cached }.
+export async function indexDocuments({ index: name, documents, model, chunk_size = DEFAULT_CHUNK_SIZE }, { client }) {
+  const existing = await findIndex(name, client);
+  const modelKey = getModel(model || existing?.entry.model || DEFAULT_EMBEDDING_MODEL)?.key ?? model;
+  if (existing && existing.entry.model !== modelKey) {
+    throw new VectorIndexError(`Vector index ${name} uses ${existing.entry.model}; its documents can't be embedded with ${modelKey}`, 409);
+  }
+
+  const prepared = documents.map(document => ({
+    id: documentId(document),
+    metadata: document.metadata || {},
+    chunks: chunkText(document.text, chunk_size)
+  }));
+  const ids = prepared.map(document => document.id);
+  const duplicate = ids.find((id, idx) => ids.indexOf(id) !== idx);
+  if (duplicate) {
+    throw new VectorIndexError(`Document ${duplicate} appears more than once`);
+  }
+  prepared.forEach(document => checkMetadata(document.metadata, document.id));
+  const empty = prepared.find(document => document.chunks.length === 0);
+  if (empty) {
+    throw new VectorIndexError(`Document ${empty.id} has no text`);
+  }
+  const chunkCount = prepared.reduce((sum, document) => sum + document.chunks.length, 0);
+  if (chunkCount > MAX_CHUNKS_PER_CALL) {
+    throw new VectorIndexError(`These documents make ${chunkCount} chunks; index at most ${MAX_CHUNKS_PER_CALL} per call`, 413);
+  }
+
+  const { embeddings, dimensions, usage, cached } = await embedTexts(
+    prepared.flatMap(document => document.chunks),
+    modelKey,
+    { params: { task_type: 'retrieval_document' } }
+  );
+
+  // The model check and both writes happen under the catalog lock, so a concurrent call
+  // can't create the index with another model while these chunks are being embedded
+  const id = fileId(client, name);
+  const now = new Date().toISOString();
+  let stored;
+  const entry = await catalogFile.update(catalog => {
+    const current = catalog.indexes[id];
+    if (current && current.model !== modelKey) {
+      throw new VectorIndexError(`Vector index ${name} uses ${current.model}; its documents can't be embedded with ${modelKey}`, 409);
+    }
+    return indexFile(id).update(data => {
+      let offset = 0;
+      stored = prepared.map(document => {
+        const replaced = !!data.documents[document.id];
+        data.documents[document.id] = {
+          id: document.id,
+          metadata: document.metadata,
+          chunks: document.chunks.map(text => ({ text, vector: embeddings[offset++] })),
+          indexed_at: now
+        };
+        return { id: document.id, chunks: document.chunks.length, replaced };
+      });
+      catalog.indexes[id] = {
+        name,
+        model: modelKey,
+        dimensions,
+        ...countDocuments(data.documents),
+        client,
+        created_at: current?.created_at || now,
+        updated_at: now
+      };
+      return structuredClone(catalog.indexes[id]);
+    });
+  });
+
+  console.log(`🧭 Indexed ${stored.length} document(s) (${chunkCount} chunks) into ${name}`);
+  return { index: describeIndex(entry), documents: stored, usage, cached };
+}
+
+function compare(value, expected, test) {
+  if (value === undefined || value === null) return false;
+  return typeof expected === 'number' ? test(Number(value), expected) : test(String(value), String(expected));
+}
+
+// List values match when any item does, except for exists
+function matchesCondition(value, condition) {
+  const conditions = condition !== null && typeof condition === 'object' && !Array.isArray(condition)
+    ? condition
+    : { equals: condition };
+  const values = Array.isArray(value) ? value : [value];
+  const checks = {
+    equals: expected => values.includes(expected),
+    not_equals: expected => !values.includes(expected),
+    in: expected => [].concat(expected).some(item => values.includes(item)),
+    contains: expected => values.some(item => typeof item === 'string' && item.toLowerCase().includes(String(expected).toLowerCase())),
+    gt: expected => values.some(item => compare(item, expected, (a, b) => a > b)),
+    gte: expected => values.some(item => compare(item, expected, (a, b) => a >= b)),
+    lt: expected => values.some(item => compare(item, expected, (a, b) => a < b)),
+    lte: expected => values.some(item => compare(item, expected, (a, b) => a <= b)),
+    exists: expected => (value !== undefined && value !== null) === expected
+  };
+  return Object.entries(conditions).every(([operator, expected]) => {
+    if (!checks[operator]) {
+      throw new VectorIndexError(`Unknown filter operator: ${operator} (use ${FILTER_OPERATORS.join(', ')})`);
+    }
+    return checks[operator](expected);
+  });
+}
+
+// filter is { field: value } or { field: { operator: value } }; every field must match
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([field, condition]) => matchesCondition(metadata[field], condition));
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Resolves with { index, query, results: [{ document_id, chunk, text, score, metadata }],
+// searched, usage, cached }, best match first; searched counts the chunks that passed the filter
+export async function searchIndex({ index: name, query, top_k = 5, filter = {}, min_score }, { client }) {
+  const { id, entry } = await requireIndex(name, client);
+  const { documents } = await indexFile(id).load();
+  const candidates = Object.values(documents).filter(document => matchesFilter(document.metadata, filter));
+
+  const { embeddings: [vector], usage, cached } = await embedTexts([query], entry.model, { params: { task_type: 'retrieval_query' } });
+  const scored = candidates.flatMap(document => document.chunks.map((chunk, idx) => ({
+    document_id: document.id,
+    chunk: idx,
+    text: chunk.text,
+    score: Math.round(cosineSimilarity(vector, chunk.vector) * 1e6) / 1e6,
+    metadata: document.metadata
+  })));
+
+  const results = scored
+    .filter(result => min_score === undefined || result.score >= min_score)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, top_k);
+  console.log(`🔎 Searched ${scored.length} chunks in ${name}: ${results.length} result(s)`);
+  return { index: describeIndex(entry), query, results, searched: scored.length, usage, cached };
+}
+
+// Newest first
+export async function listIndexes({ client }) {
+  const { indexes } = await catalogFile.load();
+  return Object.values(indexes)
+    .filter(entry => entry.client === client)
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+    .map(describeIndex);
+}
+
+// The index with its documents, without their vectors
+export async function getIndex(name, { client }) {
+  const { id, entry } = await requireIndex(name, client);
+  const { documents } = await indexFile(id).load();
+  return {
+    ...describeIndex(entry),
+    documents: Object.values(documents).map(({ id: documentId, metadata, chunks, indexed_at }) => ({
+      id: documentId,
+      metadata,
+      chunks: chunks.length,
+      characters: chunks.reduce((sum, chunk) => sum + chunk.text.length, 0),
+      indexed_at
+    }))
+  };
+}
+
+// Resolves with { index, deleted: [ids], not_found: [ids] }
+export async function deleteDocuments(name, ids, { client }) {
+  const { id } = await requireIndex(name, client);
+  let deleted;
+  const entry = await catalogFile.update(catalog => {
+    if (!catalog.indexes[id]) {
+      throw new VectorIndexError(`Vector index not found: ${name}`, 404);
+    }
+    return indexFile(id).update(data => {
+      deleted = ids.filter(documentId => data.documents[documentId]);
+      deleted.forEach(documentId => delete data.documents[documentId]);
+      Object.assign(catalog.indexes[id], countDocuments(data.documents), { updated_at: new Date().toISOString() });
+      return structuredClone(catalog.indexes[id]);
+    });
+  });
+
+  console.log(`🧭 Deleted ${deleted.length} document(s) from ${name}`);
+  return { index: describeIndex(entry), deleted, not_found: ids.filter(documentId => !deleted.includes(documentId)) };
+}
+
+// Resolves with the deleted index's description
+export async function deleteIndex(name, { client }) {
+  const { id } = await requireIndex(name, client);
+  const entry = await catalogFile.update(async (data) => {
+    // Another request may have deleted it since requireIndex
+    const removed = data.indexes[id];
+    if (!removed) {
+      throw new VectorIndexError(`Vector index not found: ${name}`, 404);
+    }
+    delete data.indexes[id];
+    // Removed under the catalog lock, so no index write can put the file back
+    await fs.rm(path.join(indexDir, `${id}.json`), { force: true });
+    return removed;
+  });
+  indexFiles.delete(id);
+  console.log(`🧭 Deleted vector index ${name}`);
+  return describeIndex(entry);
+}
@@ -0,0 +1,322 @@
+// lib/workflows.js - Declarative workflow loading and execution
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+
+const DEFAULT_WORKFLOWS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'workflows');
+const WORKFLOW_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const STEP_TYPES = ['model', 'tool', 'decision', 'template'];
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+
+export const EXECUTION_MODES = ['sequential', 'parallel', 'adaptive'];
+
+export class WorkflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkflowError';
+  }
+}
+
+function workflowsDir() {
+  return process.env.WORKFLOWS_DIR || DEFAULT_WORKFLOWS_DIR;
+}
+
+export async function listWorkflows() {
+  const files = await fs.readdir(workflowsDir()).catch(() => []);
+  return files
+    .filter(file => WORKFLOW_EXTENSIONS.includes(path.extname(file)))
+    .map(file => path.basename(file, path.extname(file)))
+    .sort();
+}
+
+export async function loadWorkflow(name) {
+  if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+    throw new WorkflowError(`Invalid workflow name: ${name}`);
+  }
+
+  for (const extension of WORKFLOW_EXTENSIONS) {
+    let raw;
+    try {
+      raw = await fs.readFile(path.join(workflowsDir(), `${name}${extension}`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    const definition = extension === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+    return compileWorkflow({ name, ...definition });
+  }
+
+  const available = await listWorkflows();
+  throw new WorkflowError(`Unknown workflow: ${name}. Available workflows: ${available.join(', ') || 'none'}`);
+}
+
+// TEMPLATES - {{input.topic}}, {{steps.draft.output}}, {{steps.a.output || steps.b.output || 'n/a'}}
+function templateReferences(value, refs = new Set()) {
+  if (typeof value === 'string') {
+    for (const [, expression] of value.matchAll(TEMPLATE_PATTERN)) {
+      expression.split('||').forEach(part => {
+        const segments = part.trim().split('.');
+        if (segments[0] === 'steps' && segments[1]) refs.add(segments[1]);
+      });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => templateReferences(item, refs));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => templateReferences(item, refs));
+  }
+  return refs;
+}
+
+function lookup(expression, context) {
+  for (const part of expression.split('||').map(item => item.trim())) {
+    const literal = part.match(/^(['"])(.*)\1$/);
+    if (literal) return literal[2];
+
+    const value = part.split('.').reduce((current, key) => current?.[key], context);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+export function resolveTemplate(value, context) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([^}]+?)\s*\}\}$/);
+    if (whole) return lookup(whole[1], context);
+
+    return value.replace(TEMPLATE_PATTERN, (match, expression) => {
+      const resolved = lookup(expression, context);
+      if (resolved === undefined) return '';
+      return typeof resolved === 'string' ? resolved : JSON.stringify(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplate(item, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, context)]));
+  }
+  return value;
+}
+
+// DECISIONS - every operator present on a condition must hold
+function evaluateCondition(condition, context) {
+  const value = resolveTemplate(condition.value, context);
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  const checks = {
+    equals: expected => value === resolveTemplate(expected, context),
+    not_equals: expected => value !== resolveTemplate(expected, context),
+    contains: expected => text.toLowerCase().includes(String(resolveTemplate(expected, context)).toLowerCase()),
+    matches: expected => new RegExp(expected, 'i').test(text),
+    gt: expected => Number(value) > Number(expected),
+    gte: expected => Number(value) >= Number(expected),
+    lt: expected => Number(value) < Number(expected),
+    lte: expected => Number(value) <= Number(expected),
+    exists: expected => (value !== undefined && value !== null && value !== '') === expected
+  };
+
+  const operators = Object.keys(condition).filter(key => key !== 'value');
+  if (operators.length === 0) {
+    return Boolean(value);
+  }
+  return operators.every(operator => {
+    if (!checks[operator]) throw new WorkflowError(`Unknown condition operator: ${operator}`);
+    return checks[operator](condition[operator]);
+  });
+}
+
+// COMPILATION - validates a definition and works out each step's dependencies.
+// Steps may only depend on steps declared before them, so declaration order is
+// always a valid sequential schedule and cycles cannot occur.
+export function compileWorkflow(definition) {
+  const { name, description = '', steps, output, next_steps = [] } = definition;
+
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new WorkflowError(`Workflow ${name} must define at least one step`);
+  }
+
+  const declared = new Map();
+  const branchOf = new Map();
+  const compiled = steps.map((step, index) => {
+    const id = step.id;
+    if (!id || typeof id !== 'string') {
+      throw new WorkflowError(`Step ${index + 1} of workflow ${name} needs an id`);
+    }
+    if (declared.has(id)) {
+      throw new WorkflowError(`Duplicate step id in workflow ${name}: ${id}`);
+    }
+    if (!STEP_TYPES.includes(step.type)) {
+      throw new WorkflowError(`Step ${id} has unknown type "${step.type}". Expected one of: ${STEP_TYPES.join(', ')}`);
+    }
+    if (step.type === 'model' && (!step.model || !step.prompt)) {
+      throw new WorkflowError(`Model step ${id} needs "model" and "prompt"`);
+    }
+    if (step.type === 'tool' && !step.tool) {
+      throw new WorkflowError(`Tool step ${id} needs "tool"`);
+    }
+    // A workflow that starts workflows could recurse without end
+    if (step.type === 'tool' && step.tool === 'workflow_orchestration') {
+      throw new WorkflowError(`Step ${id} of workflow ${name} cannot call workflow_orchestration`);
+    }
+    if (step.type === 'decision' && !Array.isArray(step.conditions)) {
+      throw new WorkflowError(`Decision step ${id} needs a "conditions" list`);
+    }
+
+    const deps = new Set([...(step.needs || []), ...templateReferences(step)]);
+    (branchOf.get(id) || []).forEach(decisionId => deps.add(decisionId));
+    deps.forEach(dep => {
+      if (!declared.has(dep)) {
+        throw new WorkflowError(`Step ${id} depends on "${dep}", which must be declared before it`);
+      }
+    });
+
+    if (step.type === 'decision') {
+      const targets = [...step.conditions.map(condition => condition.then), step.else].filter(Boolean);
+      targets.forEach(target => branchOf.set(target, [...(branchOf.get(target) || []), id]));
+    }
+
+    const compiledStep = { ...step, deps: [...deps], branch_of: branchOf.get(id) || [] };
+    declared.set(id, compiledStep);
+    return compiledStep;
+  });
+
+  const missingTargets = [...branchOf.keys()].filter(target => !declared.has(target));
+  if (missingTargets.length > 0) {
+    throw new WorkflowError(`Decision targets must be declared after their decision step: ${missingTargets.join(', ')}`);
+  }
+
+  return { name, description, steps: compiled, output, next_steps };
+}
+
+// EXECUTION
+function parseJsonOutput(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+// handlers: { callModel(model, prompt), callTool(name, args) }
+export async function executeWorkflow(workflow, input, mode, handlers) {
+  if (!EXECUTION_MODES.includes(mode)) {
+    throw new WorkflowError(`Unknown execution mode: ${mode}. Expected one of: ${EXECUTION_MODES.join(', ')}`);
+  }
+
+  const startedAt = Date.now();
+  const context = { input, steps: {} };
+  const trace = new Map();
+  const chosenBranches = new Map();
+  const decisions = [];
+  let failure = null;
+
+  const skip = (step, reason) => {
+    const entry = { id: step.id, type: step.type, status: 'skipped', reason };
+    trace.set(step.id, entry);
+    context.steps[step.id] = { status: 'skipped' };
+  };
+
+  const runStep = async (step) => {
+    if (failure) {
+      return skip(step, `Workflow stopped after step ${failure.id} failed`);
+    }
+    if (step.branch_of.length > 0 && !step.branch_of.some(decisionId => chosenBranches.get(decisionId) === step.id)) {
+      return skip(step, 'Branch not taken');
+    }
+    if (step.deps.length > 0 && step.deps.every(dep => trace.get(dep)?.status === 'skipped')) {
+      return skip(step, 'All dependencies were skipped');
+    }
+
+    const entry = { id: step.id, type: step.type, status: 'running', started_at: new Date().toISOString() };
+    trace.set(step.id, entry);
+    const stepStart = Date.now();
+
+    try {
+      let output;
+      switch (step.type) {
+        case 'model': {
+          const prompt = resolveTemplate(step.prompt, context);
+          entry.model = resolveTemplate(step.model, context);
+          entry.input = prompt;
+          const text = await handlers.callModel(entry.model, prompt);
+          output = step.parse === 'json' ? parseJsonOutput(text) : text;
+          break;
+        }
+        case 'tool': {
+          const args = resolveTemplate(step.arguments || {}, context);
+          entry.tool = step.tool;
+          entry.input = args;
+          output = await handlers.callTool(step.tool, args);
+          break;
+        }
+        case 'template':
+          output = resolveTemplate(step.value, context);
+          break;
+        case 'decision': {
+          const matched = step.conditions.find(condition => evaluateCondition(condition.if || {}, context));
+          output = matched ? matched.then : (step.else || null);
+          chosenBranches.set(step.id, output);
+          decisions.push({
+            step: step.id,
+            chosen: output,
+            reason: matched ? `Condition ${step.conditions.indexOf(matched) + 1} matched` : 'No condition matched'
+          });
+          break;
+        }
+      }
+
+      Object.assign(entry, { status: 'completed', output });
+      context.steps[step.id] = { status: 'completed', output };
+    } catch (error) {
+      Object.assign(entry, { status: 'failed', error: error.message });
+      context.steps[step.id] = { status: 'failed', error: error.message };
+      if (step.on_error !== 'continue') {
+        failure = failure || entry;
+      }
+    } finally {
+      entry.duration_ms = Date.now() - stepStart;
+    }
+  };
+
+  const byId = new Map(workflow.steps.map(step => [step.id, step]));
+
+  if (mode === 'sequential') {
+    // One step at a time, in declaration order
+    for (const step of workflow.steps) {
+      await runStep(step);
+    }
+  } else if (mode === 'parallel') {
+    // Waves: every step whose dependencies are settled runs together, then the next wave starts
+    const pending = [...workflow.steps];
+    while (pending.length > 0) {
+      const wave = pending.filter(step => step.deps.every(dep => trace.has(dep) && trace.get(dep).status !== 'running'));
+      await Promise.all(wave.map(runStep));
+      wave.forEach(step => pending.splice(pending.indexOf(step), 1));
+    }
+  } else {
+    // Adaptive: each step starts as soon as its own dependencies finish
+    const running = new Map();
+    const start = (step) => {
+      if (!running.has(step.id)) {
+        running.set(step.id, Promise.all(step.deps.map(dep => start(byId.get(dep)))).then(() => runStep(step)));
+      }
+      return running.get(step.id);
+    };
+    await Promise.all(workflow.steps.map(start));
+  }
+
+  const orderedTrace = workflow.steps.map(step => trace.get(step.id));
+  const executionMs = Date.now() - startedAt;
+  const outputs = workflow.output
+    ? resolveTemplate(workflow.output, context)
+    : Object.fromEntries(orderedTrace.filter(entry => entry.status === 'completed').map(entry => [entry.id, entry.output]));
+
+  return {
+    status: failure ? 'failed' : 'completed',
+    completed_steps: orderedTrace.filter(entry => entry.status === 'completed').length,
+    total_steps: workflow.steps.length,
+    execution_time: `${(executionMs / 1000).toFixed(1)}s`,
+    execution_time_ms: executionMs,
+    outputs,
+    decisions,
+    trace: orderedTrace,
+    next_steps: failure ? [`Fix step "${failure.id}": ${failure.error}`] : workflow.next_steps
+  };
+}
@@ -1,326 +1,163 @@
 // mcp-server.js - ACTUAL MCP Protocol Implementation
+import 'dotenv/config';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import axios from 'axios';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-// Create MCP server instance
-const server = new Server(
-  {
-    name: 'curam-ai-mcp-server',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+import { listToolDefinitions, mcpToolContent, runTool } from './lib/tools.js';
+import { runWithUsageClient } from './lib/usage.js';
+import { getImage, imageUrls, listImages, readImage } from './lib/images.js';
+import { startEmailWorker } from './lib/email-queue.js';
+import { isMainModule } from './lib/main-module.js';
+
+// Usage and stored data from the stdio server belong to this client; over HTTP they belong to the caller's API key
+const MCP_CLIENT = 'mcp';
+const IMAGE_URI_PATTERN = /^images:\/\/([^/]+)(\/thumbnail)?$/;
+
+// Tool errors map onto MCP error codes
+const MCP_ERROR_CODES = {
+  invalid_params: ErrorCode.InvalidParams,
+  not_found: ErrorCode.MethodNotFound
+};
 
-// AI API Functions
-async function callGeminiFlash(prompt) {
-  try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [{ parts: [{ text: prompt }] }]
-      },
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    return response.data.candidates[0].content.parts[0].text;
-  } catch (error) {
-    throw new McpError(
-      ErrorCode.InternalError,
-      `Gemini Flash Error: ${error.response?.data?.error?.message || error.message}`
-    );
-  }
+// MCP Tool Definitions - shared with the REST routes in server.js via lib/tools.js
+async function listTools() {
+  return {
+    tools: listToolDefinitions()
+  };
 }
 
-async function callGeminiPro(prompt) {
-  try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [{ parts: [{ text: prompt }] }]
-      },
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    return response.data.candidates[0].content.parts[0].text;
-  } catch (error) {
-    throw new McpError(
-      ErrorCode.InternalError,
-      `Gemini Pro Error: ${error.response?.data?.error?.message || error.message}`
-    );
-  }
-}
+// MCP Tool Handlers
+async function handleToolCall(request, client) {
+  const { name, arguments: args } = request.params;
 
-async function generateImage(prompt, style = 'photographic') {
   try {
-    const response = await axios.post(
-      'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-      {
-        text_prompts: [{ text: prompt, weight: 1 }],
-        cfg_scale: 7,
-        height: 1024,
-        width: 1024,
-        samples: 1,
-        steps: 30,
-        style_preset: style
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.STABILITY_API_KEY}`,
-          'Accept': 'application/json'
-        }
-      }
-    );
-    
+    const result = await runWithUsageClient(client, () => runTool(name, args));
+
     return {
-      image: response.data.artifacts[0].base64,
-      seed: response.data.artifacts[0].seed
+      content: await mcpToolContent(name, result)
     };
   } catch (error) {
-    throw new McpError(
-      ErrorCode.InternalError,
-      `Stability Error: ${error.response?.data?.message || error.message}`
-    );
+    throw new McpError(MCP_ERROR_CODES[error.code] || ErrorCode.InternalError, error.message);
   }
 }
 
-// MCP Tool Definitions
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+// MCP Resources - one images:// resource per image generated through this server
+async function listResources(client) {
+  const images = await listImages({ client });
   return {
-    tools: [
-      {
-        name: 'compare_gemini_models',
-        description: 'Compare responses from Gemini 1.5 Flash and Gemini 1.5 Pro models',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            prompt: {
-              type: 'string',
-              description: 'The prompt to send to both models for comparison'
-            }
-          },
-          required: ['prompt']
-        }
-      },
+    resources: images.map(image => ({
+      uri: imageUrls(image.id).resource_uri,
+      name: image.id,
+      description: `${image.prompt} (seed ${image.seed}, ${image.created_at})`,
+      mimeType: image.mime_type
+    }))
+  };
+}
+
+async function listResourceTemplates() {
+  return {
+    resourceTemplates: [
       {
-        name: 'generate_image',
-        description: 'Generate an image using Stable Diffusion XL',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            prompt: {
-              type: 'string',
-              description: 'Description of the image to generate'
-            },
-            style: {
-              type: 'string',
-              description: 'Art style for the image',
-              enum: ['photographic', 'digital-art', 'cinematic', 'anime', 'fantasy-art'],
-              default: 'photographic'
-            }
-          },
-          required: ['prompt']
-        }
+        uriTemplate: 'images://{id}',
+        name: 'Generated image',
+        description: 'A generated PNG image by id',
+        mimeType: 'image/png'
       },
       {
-        name: 'analyze_text',
-        description: 'Analyze text with Gemini Pro for advanced reasoning tasks',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            text: {
-              type: 'string',
-              description: 'Text to analyze'
-            },
-            analysis_type: {
-              type: 'string',
-              description: 'Type of analysis to perform',
-              enum: ['sentiment', 'summary', 'technical', 'creative', 'logical'],
-              default: 'summary'
-            }
-          },
-          required: ['text']
-        }
+        uriTemplate: 'images://{id}/thumbnail',
+        name: 'Generated image thumbnail',
+        description: 'A thumbnail of a generated PNG image',
+        mimeType: 'image/png'
       }
     ]
   };
-});
-
-// MCP Tool Handlers
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case 'compare_gemini_models': {
-        const { prompt } = args;
-        
-        if (!prompt || typeof prompt !== 'string') {
-          throw new McpError(ErrorCode.InvalidParams, 'Prompt is required and must be a string');
-        }
-
-        // Call both models in parallel
-        const [flashResponse, proResponse] = await Promise.all([
-          callGeminiFlash(prompt),
-          callGeminiPro(prompt)
-        ]);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                prompt,
-                comparison: {
-                  gemini_flash: {
-                    model: 'Gemini 1.5 Flash',
-                    response: flashResponse,
-                    characteristics: 'Fast, cost-effective, good for simple tasks'
-                  },
-                  gemini_pro: {
-                    model: 'Gemini 1.5 Pro',
-                    response: proResponse,
-                    characteristics: 'Advanced reasoning, better for complex tasks'
-                  }
-                },
-                analysis: {
-                  flash_length: flashResponse.length,
-                  pro_length: proResponse.length,
-                  difference: 'Pro model typically provides more detailed and nuanced responses'
-                },
-                timestamp: new Date().toISOString()
-              }, null, 2)
-            }
-          ]
-        };
-      }
-
-      case 'generate_image': {
-        const { prompt, style = 'photographic' } = args;
-        
-        if (!prompt || typeof prompt !== 'string') {
-          throw new McpError(ErrorCode.InvalidParams, 'Prompt is required and must be a string');
-        }
-
-        const result = await generateImage(prompt, style);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                prompt,
-                style,
-                image_data: `data:image/png;base64,${result.image}`,
-                seed: result.seed,
-                metadata: {
-                  model: 'Stable Diffusion XL 1024',
-                  dimensions: '1024x1024',
-                  timestamp: new Date().toISOString()
-                }
-              }, null, 2)
-            }
-          ]
-        };
-      }
+}
 
-      case 'analyze_text': {
-        const { text, analysis_type = 'summary' } = args;
-        
-        if (!text || typeof text !== 'string') {
-          throw new McpError(ErrorCode.InvalidParams, 'Text is required and must be a string');
-        }
+async function readResource(request) {
+  const { uri } = request.params;
+  const match = uri.match(IMAGE_URI_PATTERN);
+  const image = match && await getImage(match[1]);
+  const file = image && await readImage(image.id, { thumbnail: !!match[2] });
+  if (!file) {
+    throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+  }
 
-        let analysisPrompt;
-        switch (analysis_type) {
-          case 'sentiment':
-            analysisPrompt = `Analyze the sentiment of this text. Provide sentiment score (-1 to 1), emotional tone, and key sentiment indicators:\n\n${text}`;
-            break;
-          case 'summary':
-            analysisPrompt = `Provide a concise summary of this text, highlighting the main points:\n\n${text}`;
-            break;
-          case 'technical':
-            analysisPrompt = `Analyze this text from a technical perspective. Identify technical concepts, accuracy, and complexity level:\n\n${text}`;
-            break;
-          case 'creative':
-            analysisPrompt = `Analyze the creative elements of this text. Look at literary devices, creativity, and artistic merit:\n\n${text}`;
-            break;
-          case 'logical':
-            analysisPrompt = `Analyze the logical structure of this text. Identify arguments, reasoning patterns, and logical fallacies:\n\n${text}`;
-            break;
-          default:
-            analysisPrompt = `Analyze this text:\n\n${text}`;
-        }
+  return {
+    contents: [{
+      uri,
+      mimeType: image.mime_type,
+      blob: file.toString('base64')
+    }]
+  };
+}
 
-        const analysis = await callGeminiPro(analysisPrompt);
+// Create MCP server instance - one per connection, since each server holds a single transport.
+// lib/mcp-http.js passes the connection's API key; its id becomes the usage client.
+export function createServer({ apiKey } = {}) {
+  const client = apiKey?.id || MCP_CLIENT;
+  const server = new Server(
+    {
+      name: 'curam-ai-mcp-server',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {},
+      },
+    }
+  );
 
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                original_text: text,
-                analysis_type,
-                analysis,
-                metadata: {
-                  model: 'Gemini 1.5 Pro',
-                  text_length: text.length,
-                  analysis_length: analysis.length,
-                  timestamp: new Date().toISOString()
-                }
-              }, null, 2)
-            }
-          ]
-        };
-      }
+  server.setRequestHandler(ListToolsRequestSchema, listTools);
+  server.setRequestHandler(CallToolRequestSchema, request => handleToolCall(request, client));
+  server.setRequestHandler(ListResourcesRequestSchema, () => listResources(client));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, listResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, readResource);
 
-      default:
-        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
-    }
-  } catch (error) {
-    if (error instanceof McpError) {
-      throw error;
-    }
-    throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
-  }
-});
+  // Error handling
+  server.onerror = (error) => {
+    console.error('[MCP Server Error]', error);
+  };
 
-// Error handling
-server.onerror = (error) => {
-  console.error('[MCP Server Error]', error);
-};
+  return server;
+}
 
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down MCP server...');
-  await server.close();
-  process.exit(0);
-});
+const server = createServer();
 
 // Start the MCP server
 async function main() {
   const transport = new StdioServerTransport();
+
+  process.on('SIGINT', async () => {
+    console.log('\n🛑 Shutting down MCP server...');
+    await server.close();
+    process.exit(0);
+  });
+
+  // Handle uncaught errors
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
   
   console.log('🚀 Starting Curam AI MCP Server...');
   console.log('📋 Available tools:');
-  console.log('   • compare_gemini_models - Compare Gemini Flash vs Pro');
-  console.log('   • generate_image - Create images with Stable Diffusion XL');
-  console.log('   • analyze_text - Advanced text analysis with Gemini Pro');
+  listToolDefinitions().forEach(tool => {
+    console.log(`   • ${tool.name} - ${tool.description}`);
+  });
   console.log('💡 This server follows the MCP protocol specification');
   
   if (!process.env.GEMINI_API_KEY) {
@@ -330,22 +167,17 @@ async function main() {
     console.warn('⚠️  STABILITY_API_KEY not found - image generation will fail');
   }
   
+  // send_email queues messages; server.js retries them. Set EMAIL_WORKER=true to retry from
+  // this process instead when no REST server shares the queue.
+  if (process.env.EMAIL_WORKER === 'true') {
+    startEmailWorker();
+  }
+
   await server.connect(transport);
   console.log('✅ MCP Server connected and ready!');
 }
 
-// Handle uncaught errors
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
-
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
   main().catch(console.error);
 }
 
@@ -0,0 +1,11 @@
+// mock-providers.js - Run the local provider stand-in for offline development and CI
+import 'dotenv/config';
+import { createMockProviderApp } from './lib/mock-providers.js';
+
+const PORT = process.env.MOCK_PROVIDERS_PORT || 4010;
+
+createMockProviderApp().listen(PORT, () => {
+  console.log(`🎭 Mock providers running on port ${PORT}`);
+  console.log(`💡 Point the agent at it with PROVIDER_BASE_URL=http://localhost:${PORT}`);
+  console.log('   Add "[mock:429]", "[mock:503]", ... to a prompt to get that error back');
+});
@@ -1,10 +1,34 @@
 // server.js - MCP Agent with Gemini + Stability.AI + Email + Claude API
+// Loaded first: lib modules read their configuration from the environment on import
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { listModels } from './lib/providers.js';
+import { getTool, runTool, tools, validateToolArgs } from './lib/tools.js';
+import { SCOPES, authenticate, chargeRequest, createApiKey, listApiKeys, requireAdmin, requireScope, revokeApiKey } from './lib/auth.js';
+import { validateInput } from './lib/schema.js';
+import { ANONYMOUS_CLIENT, currentUsageClient, getUsageSummary, runWithUsageClient } from './lib/usage.js';
+import { CONVERSATION_ID_PATTERN, deleteConversation, getConversation } from './lib/conversations.js';
+import { MAX_REPORT_IMAGES, ReportError, buildReport } from './lib/reports.js';
+import { describeImage, getImage, readImage } from './lib/images.js';
+import { EmailError, defaultSender, listEmailTemplates } from './lib/email.js';
+import { EMAIL_STATUSES, describeEmail, getEmail, listEmails, retryEmail, startEmailWorker } from './lib/email-queue.js';
+import { VectorIndexError, deleteDocuments, deleteIndex, getIndex, listIndexes } from './lib/vector-index.js';
+import {
+  PromptTemplateError,
+  TEMPLATE_NAME_PATTERN,
+  addVersion,
+  createTemplate,
+  deleteTemplate,
+  getTemplate,
+  listTemplates,
+  renderTemplate
+} from './lib/prompts.js';
+import { circuitStatus } from './lib/recovery.js';
+import { mountMcpServer } from './lib/mcp-http.js';
+import { isMainModule } from './lib/main-module.js';
+import { createServer as createMcpServer } from './mcp-server.js';
+import { createServer as createAdvancedMcpServer, toolScope as advancedToolScope } from './advanced-mcp-server.js';
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -23,156 +47,84 @@ app.use(cors({
     'http://localhost:3000',
     'http://localhost:8080'
   ],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   credentials: false,
   optionsSuccessStatus: 200
 }));
 
-// Add CORS debugging
+// Add CORS debugging - the cors() allow-list above is the only place CORS headers are set
 app.use((req, res, next) => {
   console.log(`🌐 CORS Request: ${req.method} ${req.path} from ${req.headers.origin}`);
-  res.header('Access-Control-Allow-Origin', req.headers.origin);
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
   next();
 });
-app.use(express.json());
+// Image uploads to the image-to-image, inpaint and upscale routes arrive as base64 JSON
+app.use(express.json({ limit: '25mb' }));
 
-// AI API Functions
-async function callGeminiFlash(prompt) {
+// Generated images - served without an API key so image URLs work in <img> tags;
+// the unguessable id is the access check (see lib/images.js)
+async function sendImage(req, res, { thumbnail = false } = {}) {
   try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [{ parts: [{ text: prompt }] }]
-      },
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    return response.data.candidates[0].content.parts[0].text;
+    const file = await readImage(req.params.id, { thumbnail });
+    if (!file) {
+      return res.status(404).json({ error: `Image not found: ${req.params.id}` });
+    }
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type('png').send(file);
   } catch (error) {
-    console.error('Gemini Flash Error:', error.response?.data || error.message);
-    return `Gemini Flash Error: ${error.response?.data?.error?.message || error.message}`;
+    console.error('Image read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 }
 
-async function callGeminiPro(prompt) {
-  try {
-    const response = await axios.post(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${process.env.GEMINI_API_KEY}`,
-      {
-        contents: [{ parts: [{ text: prompt }] }]
-      },
-      {
-        headers: { 'Content-Type': 'application/json' }
-      }
-    );
-    return response.data.candidates[0].content.parts[0].text;
-  } catch (error) {
-    console.error('Gemini Pro Error:', error.response?.data || error.message);
-    return `Gemini Pro Error: ${error.response?.data?.error?.message || error.message}`;
-  }
-}
+app.get('/api/images/:id', (req, res) => sendImage(req, res));
+app.get('/api/images/:id/thumbnail', (req, res) => sendImage(req, res, { thumbnail: true }));
 
-// NEW: Claude API Functions
-async function callClaudeSonnet(prompt) {
+app.get('/api/images/:id/metadata', async (req, res) => {
   try {
-    console.log('🤖 Calling Claude Sonnet...');
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 30000
-      }
-    );
-    
-    console.log('✅ Claude Sonnet response received');
-    return response.data.content[0].text;
+    const image = await getImage(req.params.id);
+    if (!image) {
+      return res.status(404).json({ error: `Image not found: ${req.params.id}` });
+    }
+    res.json(describeImage(image));
   } catch (error) {
-    console.error('❌ Claude Sonnet Error:', error.response?.data || error.message);
-    return `Claude Sonnet Error: ${error.response?.data?.error?.message || error.message}`;
+    console.error('Image read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
 
-async function callClaudeHaiku(prompt) {
-  try {
-    console.log('⚡ Calling Claude Haiku...');
-    const response = await axios.post(
-      'https://api.anthropic.com/v1/messages',
-      {
-        model: 'claude-3-haiku-20240307',
-        max_tokens: 1024,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': process.env.CLAUDE_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 30000
-      }
-    );
-    
-    console.log('✅ Claude Haiku response received');
-    return response.data.content[0].text;
-  } catch (error) {
-    console.error('❌ Claude Haiku Error:', error.response?.data || error.message);
-    return `Claude Haiku Error: ${error.response?.data?.error?.message || error.message}`;
-  }
+// Every other /api/* route needs an issued client API key; each route then checks its scope and the key's daily quota
+app.use('/api', authenticate);
+
+// Model usage during the request is recorded against the caller's key
+app.use('/api', (req, res, next) => runWithUsageClient(req.apiKey?.id || ANONYMOUS_CLIENT, next));
+
+// MCP over HTTP - remote MCP clients connect to the same tools the stdio servers expose,
+// with the same API keys, scopes and daily quotas as the REST routes
+app.use('/mcp', authenticate);
+mountMcpServer(app, '/mcp', createMcpServer, { label: 'MCP', toolScope: name => getTool(name)?.scope });
+mountMcpServer(app, '/mcp/advanced', createAdvancedMcpServer, { label: 'Advanced MCP', toolScope: advancedToolScope });
+
+function wantsStream(req) {
+  return req.body.stream === true || req.headers.accept === 'text/event-stream';
 }
 
-async function generateImage(prompt, style = 'photographic') {
+// Server-Sent Events: the tool emits `token`, `error` and `model_complete` events
+// as output arrives, and `complete` carries the same payload the JSON route returns
+async function streamTool(res, tool, args) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
   try {
-    const response = await axios.post(
-      'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-      {
-        text_prompts: [{ text: prompt, weight: 1 }],
-        cfg_scale: 7,
-        height: 1024,
-        width: 1024,
-        samples: 1,
-        steps: 30,
-        style_preset: style
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.STABILITY_API_KEY}`,
-          'Accept': 'application/json'
-        }
-      }
-    );
-    
-    return {
-      image: response.data.artifacts[0].base64,
-      seed: response.data.artifacts[0].seed
-    };
+    send('complete', await runTool(tool.name, args, { emit: send }));
   } catch (error) {
-    console.error('Stability Error:', error.response?.data || error.message);
-    return `Stability Error: ${error.response?.data?.message || error.message}`;
+    send('error', { error: error.message, details: error.details });
   }
+  res.end();
 }
 
 // Routes
@@ -182,17 +134,28 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     description: 'MCP agent with Gemini models, Claude API, Stability.AI, and Email',
     models: {
-      text: ['Gemini 1.5 Flash', 'Gemini 1.5 Pro', 'Claude Sonnet', 'Claude Haiku'],
-      image: ['Stable Diffusion XL']
+      text: listModels({ capability: 'text' }).map(model => model.name),
+      image: listModels({ capability: 'image' }).map(model => model.name),
+      embedding: listModels({ capability: 'embedding' }).map(model => model.name)
     },
     endpoints: {
       health: '/health',
-      compare: 'POST /api/compare',
-      claude_test: 'POST /api/claude-test',
-      multi_compare: 'POST /api/multi-compare',
-      generate_image: 'POST /api/generate-image',
-      send_email: 'POST /api/send-email',
-      hugging_face_test: 'POST /api/hugging-face-test'
+      ...Object.fromEntries(tools.map(tool => [
+        tool.name,
+        `POST ${tool.route}${tool.stream ? ' (send "stream": true for Server-Sent Events)' : ''}`
+      ])),
+      chat_history: 'GET|DELETE /api/chat/:conversation_id',
+      images: 'GET /api/images/:id, GET /api/images/:id/thumbnail, GET /api/images/:id/metadata',
+      prompt_templates: 'GET|POST /api/prompts, GET|DELETE /api/prompts/:name, POST /api/prompts/:name/versions, POST /api/prompts/:name/render',
+      usage: 'GET /api/usage?from=YYYY-MM-DD&to=YYYY-MM-DD',
+      reports: 'POST /api/reports',
+      vector_indexes: 'GET /api/vector-indexes, GET|DELETE /api/vector-indexes/:name, DELETE /api/vector-indexes/:name/documents/:id',
+      email_templates: 'GET /api/email-templates',
+      emails: 'GET /api/emails?status=<status>, GET /api/emails/:id, POST /api/emails/:id/retry',
+      admin_api_keys: 'GET|POST /admin/api-keys, DELETE /admin/api-keys/:id',
+      admin_usage: 'GET /admin/usage?client=<key id>&from=YYYY-MM-DD&to=YYYY-MM-DD',
+      mcp: 'GET /mcp/sse + POST /mcp/messages',
+      mcp_advanced: 'GET /mcp/advanced/sse + POST /mcp/advanced/messages'
     },
     status: 'running'
   });
@@ -209,342 +172,466 @@ app.get('/health', (req, res) => {
       stability: !!process.env.STABILITY_API_KEY,
       mailchannels: !!process.env.MAILCHANNELS_API_KEY,
       huggingface: !!process.env.HUGGING_FACE_API_KEY
+    },
+    circuit_breakers: circuitStatus()
+  });
+});
+
+// Tool routes - generated from the shared tool registry (lib/tools.js), which also backs the MCP tools
+tools.forEach(tool => {
+  app.post(tool.route, requireScope(tool.scope), async (req, res) => {
+    const { stream, ...args } = req.body;
+    console.log(`🛠️  ${tool.name} request on ${tool.route}`);
+
+    try {
+      if (tool.stream && wantsStream(req)) {
+        // Validate before switching the response over to an event stream
+        validateToolArgs(tool.name, args);
+        return await streamTool(res, tool, args);
+      }
+      res.json(await runTool(tool.name, args));
+    } catch (error) {
+      console.error(`${tool.name} error:`, error.message);
+      if (res.headersSent) return res.end();
+      res.status(error.status || 500).json({
+        error: error.message,
+        ...(error.details && { details: error.details })
+      });
     }
   });
 });
 
-// Compare Gemini Models
-app.post('/api/compare', async (req, res) => {
+// Chat history - POST /api/chat is a tool route above; clients only see their own conversations
+function describeConversation({ id, messages, created_at, updated_at }) {
+  return { conversation_id: id, messages, created_at, updated_at };
+}
+
+app.get('/api/chat/:id', async (req, res) => {
   try {
-    const { prompt } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
+    const conversation = await getConversation(req.params.id, currentUsageClient());
+    if (!conversation) {
+      return res.status(404).json({ error: `Conversation not found: ${req.params.id}` });
     }
-
-    console.log(`📝 Processing compare request for prompt: "${prompt.substring(0, 50)}..."`);
-
-    const [flashResponse, proResponse] = await Promise.all([
-      callGeminiFlash(prompt),
-      callGeminiPro(prompt)
-    ]);
-    
-    res.json({
-      prompt,
-      responses: {
-        gemini_flash: {
-          model: 'Gemini 1.5 Flash',
-          response: flashResponse,
-          characteristics: 'Fast, cost-effective'
-        },
-        gemini_pro: {
-          model: 'Gemini 1.5 Pro',
-          response: proResponse,
-          characteristics: 'Higher quality, better reasoning'
-        }
-      },
-      timestamp: new Date().toISOString()
-    });
+    res.json(describeConversation(conversation));
   } catch (error) {
-    console.error('Compare error:', error);
+    console.error('Get conversation error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// NEW: Claude API Test Endpoint
-app.post('/api/claude-test', async (req, res) => {
+app.delete('/api/chat/:id', async (req, res) => {
   try {
-    const { prompt, model = 'sonnet' } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
+    const conversation = await deleteConversation(req.params.id, currentUsageClient());
+    if (!conversation) {
+      return res.status(404).json({ error: `Conversation not found: ${req.params.id}` });
     }
+    console.log(`💬 Deleted conversation ${conversation.id}`);
+    res.json(describeConversation(conversation));
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (!process.env.CLAUDE_API_KEY) {
-      return res.status(500).json({ error: 'Claude API key not configured' });
+// Prompt templates - shared by every client; changing them needs the "prompts" scope
+const TEMPLATE_TEXT = { type: 'string', minLength: 1, maxLength: 20000 };
+const NOTES = { type: 'string', maxLength: 500 };
+
+const CREATE_TEMPLATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: TEMPLATE_NAME_PATTERN },
+    description: { type: 'string', maxLength: 500 },
+    template: TEMPLATE_TEXT,
+    notes: NOTES
+  },
+  required: ['name', 'template']
+};
+
+const ADD_VERSION_SCHEMA = {
+  type: 'object',
+  properties: {
+    template: TEMPLATE_TEXT,
+    description: { type: 'string', maxLength: 500 },
+    notes: NOTES
+  },
+  required: ['template']
+};
+
+const RENDER_TEMPLATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    variables: { type: 'object', default: {} },
+    version: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Validates the body (400), runs the handler, and maps template errors to their status
+function promptRoute(schema, handler, successStatus = 200) {
+  return async (req, res) => {
+    let input;
+    try {
+      input = schema ? validateInput(schema, req.body) : undefined;
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
 
-    console.log(`🤖 Testing Claude ${model} with prompt: "${prompt.substring(0, 50)}..."`);
-
-    let response;
-    if (model.toLowerCase() === 'haiku') {
-      response = await callClaudeHaiku(prompt);
-    } else {
-      response = await callClaudeSonnet(prompt);
+    try {
+      res.status(successStatus).json(await handler(req, input));
+    } catch (error) {
+      if (error instanceof PromptTemplateError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Prompt template error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  };
+}
 
-    res.json({
-      success: true,
-      model: model.toLowerCase() === 'haiku' ? 'Claude Haiku' : 'Claude Sonnet',
-      response: response,
-      timestamp: new Date().toISOString()
-    });
+app.get('/api/prompts', promptRoute(null, async () => ({ templates: await listTemplates() })));
 
-  } catch (error) {
-    console.error('🤖 Claude Test Error:', error);
-    res.status(500).json({
-      error: 'Claude API call failed',
-      details: error.message
-    });
-  }
-});
+app.post('/api/prompts', requireScope('prompts'), promptRoute(CREATE_TEMPLATE_SCHEMA, async (req, input) => {
+  const template = await createTemplate(input);
+  console.log(`📝 Created prompt template ${template.name}`);
+  return template;
+}, 201));
 
-// NEW: Multi-Model Compare (Gemini + Claude)
-app.post('/api/multi-compare', async (req, res) => {
-  try {
-    const { prompt } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
+app.get('/api/prompts/:name', promptRoute(null, req => getTemplate(req.params.name)));
 
-    console.log(`🔄 Processing multi-model compare for prompt: "${prompt.substring(0, 50)}..."`);
+app.post('/api/prompts/:name/versions', requireScope('prompts'), promptRoute(ADD_VERSION_SCHEMA, async (req, input) => {
+  const template = await addVersion(req.params.name, input);
+  console.log(`📝 Prompt template ${template.name} is now at version ${template.versions.length}`);
+  return template;
+}, 201));
 
-    // Call all available models
-    const promises = [
-      callGeminiFlash(prompt),
-      callGeminiPro(prompt)
-    ];
+app.post('/api/prompts/:name/render', promptRoute(RENDER_TEMPLATE_SCHEMA, (req, { variables, version }) =>
+  renderTemplate(req.params.name, variables, { version })));
 
-    // Add Claude models if API key is available
-    if (process.env.CLAUDE_API_KEY) {
-      promises.push(callClaudeSonnet(prompt));
-      promises.push(callClaudeHaiku(prompt));
-    }
+app.delete('/api/prompts/:name', requireScope('prompts'), promptRoute(null, async (req) => {
+  const template = await deleteTemplate(req.params.name);
+  console.log(`📝 Deleted prompt template ${template.name}`);
+  return template;
+}));
 
-    const responses = await Promise.all(promises);
-    
-    const responseObj = {
-      gemini_flash: {
-        model: 'Gemini 1.5 Flash',
-        response: responses[0],
-        characteristics: 'Fast, cost-effective'
-      },
-      gemini_pro: {
-        model: 'Gemini 1.5 Pro',
-        response: responses[1],
-        characteristics: 'Higher quality, better reasoning'
-      }
-    };
+// Usage - tokens and estimated cost per day, model and client
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-    // Add Claude responses if available
-    if (process.env.CLAUDE_API_KEY) {
-      responseObj.claude_sonnet = {
-        model: 'Claude Sonnet',
-        response: responses[2],
-        characteristics: 'Balanced performance and capability'
-      };
-      responseObj.claude_haiku = {
-        model: 'Claude Haiku',
-        response: responses[3],
-        characteristics: 'Fast, lightweight responses'
-      };
+function usageQuery(query) {
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && !DATE_PATTERN.test(query[field])) {
+      throw new Error(`${field} must be a date in YYYY-MM-DD format`);
     }
-    
-    res.json({
-      prompt,
-      responses: responseObj,
-      timestamp: new Date().toISOString()
-    });
+  }
+  return { from: query.from, to: query.to };
+}
+
+// Clients only see their own usage
+app.get('/api/usage', async (req, res) => {
+  let range;
+  try {
+    range = usageQuery(req.query);
   } catch (error) {
-    console.error('Multi-compare error:', error);
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await getUsageSummary({ ...range, client: req.apiKey?.id }));
+  } catch (error) {
+    console.error('Usage summary error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Generate Image
-app.post('/api/generate-image', async (req, res) => {
+// Email templates - POST /api/send-email is a tool route above
+app.get('/api/email-templates', requireScope('email'), async (req, res) => {
   try {
-    const { prompt, style = 'photographic' } = req.body;
-    
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
-    }
+    res.json({ templates: await listEmailTemplates(), defaults: defaultSender() });
+  } catch (error) {
+    console.error('Email templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    console.log(`🎨 Generating image for prompt: "${prompt.substring(0, 50)}..." with style: ${style}`);
+// Email delivery log - clients only see the emails they queued
+const EMAIL_LIST_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: EMAIL_STATUSES },
+    limit: { type: 'integer', minimum: 1, maximum: 200, default: 50 }
+  }
+};
 
-    const imageResult = await generateImage(prompt, style);
-    
-    if (typeof imageResult === 'string') {
-      return res.status(500).json({ error: imageResult });
-    }
-    
-    res.json({
-      prompt,
-      style,
-      image_base64: imageResult.image,
-      seed: imageResult.seed,
-      timestamp: new Date().toISOString()
+app.get('/api/emails', requireScope('email'), async (req, res) => {
+  let query;
+  try {
+    query = validateInput(EMAIL_LIST_SCHEMA, {
+      ...req.query,
+      ...(req.query.limit !== undefined && { limit: Number(req.query.limit) })
     });
   } catch (error) {
-    console.error('Image generation error:', error);
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const emails = await listEmails({ ...query, client: currentUsageClient() });
+    res.json({ emails: emails.map(describeEmail), count: emails.length });
+  } catch (error) {
+    console.error('List emails error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Send Email with MailChannels
-app.post('/api/send-email', async (req, res) => {
+app.get('/api/emails/:id', requireScope('email'), async (req, res) => {
   try {
-    const { to, subject, message, pdf_base64 } = req.body;
-    
-    if (!to || !subject || !message) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: to, subject, message' 
-      });
+    const email = await getEmail(req.params.id, currentUsageClient());
+    if (!email) {
+      return res.status(404).json({ error: `Email not found: ${req.params.id}` });
     }
+    res.json(describeEmail(email));
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    console.log(`📧 Sending email to: ${to} with subject: "${subject.substring(0, 30)}..."`);
-
-    if (!process.env.MAILCHANNELS_API_KEY) {
-      console.error('📧 MAILCHANNELS_API_KEY not found in environment variables');
-      return res.status(500).json({ 
-        error: 'Email service not configured - API key missing' 
-      });
+// Dead-lettered emails can be put back in the queue once the cause is fixed
+app.post('/api/emails/:id/retry', requireScope('email'), async (req, res) => {
+  try {
+    res.json(describeEmail(await retryEmail(req.params.id, currentUsageClient())));
+  } catch (error) {
+    if (error instanceof EmailError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Retry email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const emailData = {
-      personalizations: [{
-        to: [{ email: to }]
-      }],
-      from: { 
-        email: 'michael@curam-ai.com.au',
-        name: 'Curam AI MCP Agent'
+// Session reports - the PDF is returned, or with "email" sent as an attachment through send_email
+const REPORT_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    notes: { type: 'string', maxLength: 20000 },
+    comparison: {
+      type: 'object',
+      properties: {
+        prompt: { type: 'string', minLength: 1, maxLength: 20000 },
+        // One entry per model, as returned by compare_gemini_models
+        responses: {
+          type: 'object',
+          maxProperties: 10,
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              model: { type: 'string', maxLength: 200 },
+              characteristics: { type: 'string', maxLength: 500 },
+              response: { type: ['string', 'null'], maxLength: 50000 }
+            }
+          }
+        },
+        analysis: { type: 'object' },
+        timestamp: { type: 'string', maxLength: 100 }
       },
-      subject: subject,
-      content: [{
-        type: 'text/html',
-        value: message.replace(/\n/g, '<br>')
-      }]
-    };
+      required: ['prompt', 'responses']
+    },
+    conversation_id: { type: 'string', pattern: CONVERSATION_ID_PATTERN },
+    image_ids: { type: 'array', maxItems: MAX_REPORT_IMAGES, items: { type: 'string', minLength: 1 } },
+    // send_email arguments; "message" becomes the email's summary text
+    email: { type: 'object', properties: { message: { type: 'string', maxLength: 20000 } }, required: ['to'] }
+  }
+};
 
-    if (pdf_base64) {
-      emailData.attachments = [{
-        content: pdf_base64,
-        filename: 'MCP_Session_Report.pdf',
-        type: 'application/pdf'
-      }];
+app.post('/api/reports', requireScope('reports'), async (req, res) => {
+  let input;
+  try {
+    input = validateInput(REPORT_SCHEMA, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  // Emailing the report sends an email, so it is checked and counted like POST /api/send-email
+  if (input.email && req.apiKey) {
+    const charge = await chargeRequest(req.apiKey, 'email');
+    if (!charge.allowed) {
+      if (charge.retryAfter) res.set('Retry-After', String(charge.retryAfter));
+      return res.status(charge.status).json({ error: charge.error });
     }
+  }
 
-    console.log('📧 API Key present:', !!process.env.MAILCHANNELS_API_KEY);
+  try {
+    const { email, ...content } = input;
+    const report = await buildReport(content, { client: currentUsageClient() });
+    console.log(`📄 Built report "${report.title}" (${report.pages} pages, ${report.pdf.length} bytes)`);
+    const description = { filename: report.filename, title: report.title, pages: report.pages, bytes: report.pdf.length, summary: report.summary };
+
+    if (!email) {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${report.filename}"`,
+        'X-Report-Pages': String(report.pages)
+      });
+      return res.send(report.pdf);
+    }
 
-    const response = await axios.post(
-      'https://api.mailchannels.net/tx/v1/send',
-      emailData,
-      {
-        headers: {
-          'X-API-Key': process.env.MAILCHANNELS_API_KEY,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
-
-    console.log(`✅ Email sent successfully to ${to}`);
-    
-    res.json({ 
-      status: 'sent', 
-      message: 'Email sent successfully!',
-      message_id: response.data.message_id || 'sent',
-      timestamp: new Date().toISOString()
+    const { message, ...recipients } = email;
+    const sent = await runTool('send_email', {
+      ...recipients,
+      template: 'session_report',
+      variables: {
+        title: report.title,
+        summary: message || `The ${report.title} is attached (${report.pages} pages).`
+      },
+      attachments: [{ filename: report.filename, content: report.pdf.toString('base64'), type: 'application/pdf' }]
     });
-
+    res.json({ report: description, email: sent });
   } catch (error) {
-    console.error('📧 Email error:', error.response?.data || error.message);
-    
-    let errorMessage = 'Email sending failed';
-    if (error.response?.status === 401) {
-      errorMessage = 'Authentication failed - check API key or domain verification';
-    } else if (error.response?.status === 403) {
-      errorMessage = 'Forbidden - domain not verified or sending limit reached';
-    } else if (error.code === 'ECONNABORTED') {
-      errorMessage = 'Request timeout - email service unavailable';
+    if (error instanceof ReportError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    res.status(500).json({ 
-      error: errorMessage,
-      details: error.response?.data || error.message,
-      status_code: error.response?.status
+    console.error('Report error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.message,
+      ...(error.details && { details: error.details })
     });
   }
 });
 
-// Hugging Face API endpoint
-app.post('/api/hugging-face-test', async (req, res) => {
-  try {
-    const { prompt, model } = req.body;
-    const modelId = model || 'gpt2';
-
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt is required' });
+// Vector indexes - index_documents and semantic_search are tool routes above; clients only
+// see their own indexes
+function vectorIndexRoute(label, handler) {
+  return async (req, res) => {
+    try {
+      res.json(await handler(req, { client: currentUsageClient() }));
+    } catch (error) {
+      if (error instanceof VectorIndexError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error(`${label} error:`, error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  };
+}
 
-    if (!process.env.HUGGING_FACE_API_KEY) {
-      return res.status(500).json({ error: 'Hugging Face API key not configured' });
-    }
+app.get('/api/vector-indexes', requireScope('embeddings'), vectorIndexRoute('List vector indexes', async (req, options) => {
+  const indexes = await listIndexes(options);
+  return { indexes, count: indexes.length };
+}));
 
-    console.log(`🤗 Testing Hugging Face with prompt: "${prompt.substring(0, 50)}..." using model: ${modelId}`);
+app.get('/api/vector-indexes/:name', requireScope('embeddings'), vectorIndexRoute('Get vector index', (req, options) =>
+  getIndex(req.params.name, options)));
 
-    const response = await axios.post(
-      `https://api-inference.huggingface.co/models/${modelId}`,
-      { inputs: prompt },
-      {
-        headers: {
-          'Authorization': `Bearer ${process.env.HUGGING_FACE_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000
-      }
-    );
+app.delete('/api/vector-indexes/:name', requireScope('embeddings'), vectorIndexRoute('Delete vector index', (req, options) =>
+  deleteIndex(req.params.name, options)));
 
-    console.log('✅ Hugging Face API call successful');
+app.delete('/api/vector-indexes/:name/documents/:id', requireScope('embeddings'), vectorIndexRoute('Delete document', async (req, options) => {
+  const result = await deleteDocuments(req.params.name, [req.params.id], options);
+  if (result.deleted.length === 0) {
+    throw new VectorIndexError(`Document not found: ${req.params.id}`, 404);
+  }
+  return result;
+}));
 
-    res.json({
-      success: true,
-      model: modelId,
-      response: response.data[0]?.generated_text || response.data[0]?.answer || response.data,
-      timestamp: new Date().toISOString()
-    });
+// Admin: client API key management (authenticated with ADMIN_API_KEY)
+const API_KEY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    scopes: {
+      type: 'array',
+      items: { type: 'string', enum: [...SCOPES, '*'] },
+      minItems: 1,
+      default: ['*']
+    },
+    daily_quota: { type: 'integer', minimum: 1, default: 1000 }
+  },
+  required: ['name']
+};
+
+app.get('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys() });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/admin/api-keys', requireAdmin, async (req, res) => {
+  let input;
+  try {
+    input = validateInput(API_KEY_SCHEMA, req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
+  try {
+    const key = await createApiKey(input);
+    console.log(`🔑 Created API key ${key.id} (${key.name}) with scopes: ${key.scopes.join(', ')}`);
+    res.status(201).json(key);
   } catch (error) {
-    console.error('🤗 Hugging Face Error:', error.response?.data || error.message);
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    let errorMessage = 'Hugging Face API call failed';
-    if (error.response?.status === 401) {
-      errorMessage = 'Authentication failed - check Hugging Face API key';
-    } else if (error.response?.status === 503) {
-      errorMessage = 'Model is loading - try again in a few seconds';
+app.delete('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
     }
+    console.log(`🔑 Revoked API key ${key.id} (${key.name})`);
+    res.json(key);
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.status(500).json({
-      error: errorMessage,
-      details: error.response?.data || error.message
-    });
+app.get('/admin/usage', requireAdmin, async (req, res) => {
+  let range;
+  try {
+    range = usageQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await getUsageSummary({ ...range, client: req.query.client }));
+  } catch (error) {
+    console.error('Usage summary error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Curam AI MCP Agent running on port ${PORT}`);
-  console.log(`📊 Health check available at /health`);
-  console.log(`🌐 API endpoints ready at https://curam-ai-agent-mcp-production.up.railway.app`);
-  
-  // Environment variable checks
-  const apiKeys = {
-    GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
-    CLAUDE_API_KEY: !!process.env.CLAUDE_API_KEY,
-    STABILITY_API_KEY: !!process.env.STABILITY_API_KEY,
-    MAILCHANNELS_API_KEY: !!process.env.MAILCHANNELS_API_KEY,
-    HUGGING_FACE_API_KEY: !!process.env.HUGGING_FACE_API_KEY
-  };
+// Start server - only when run directly, so tests can import the app
+if (isMainModule(import.meta.url)) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Curam AI MCP Agent running on port ${PORT}`);
+    console.log(`📊 Health check available at /health`);
+    console.log(`🔌 MCP over HTTP available at /mcp/sse and /mcp/advanced/sse`);
+    startEmailWorker();
+    console.log(`🌐 API endpoints ready at https://curam-ai-agent-mcp-production.up.railway.app`);
+
+    // Environment variable checks
+    const apiKeys = {
+      GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
+      CLAUDE_API_KEY: !!process.env.CLAUDE_API_KEY,
+      STABILITY_API_KEY: !!process.env.STABILITY_API_KEY,
+      MAILCHANNELS_API_KEY: !!process.env.MAILCHANNELS_API_KEY,
+      HUGGING_FACE_API_KEY: !!process.env.HUGGING_FACE_API_KEY,
+      ADMIN_API_KEY: !!process.env.ADMIN_API_KEY
+    };
 
-  console.log('🔑 API Keys Status:');
-  Object.entries(apiKeys).forEach(([key, present]) => {
-    if (present) {
-      console.log(`✅ ${key} configured`);
-    } else {
-      console.warn(`⚠️  ${key} not found`);
-    }
+    console.log('🔑 API Keys Status:');
+    Object.entries(apiKeys).forEach(([key, present]) => {
+      if (present) {
+        console.log(`✅ ${key} configured`);
+      } else {
+        console.warn(`⚠️  ${key} not found`);
+      }
+    });
   });
-});
+}
 
 export default app;
@@ -1,30 +1,23 @@
 // test-mcp.js - Test Client for MCP Server
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
-import { spawn } from 'child_process';
+import { CallToolResultSchema, ListToolsResultSchema } from '@modelcontextprotocol/sdk/types.js';
+import { isMainModule } from './lib/main-module.js';
 
 async function testMCPServer() {
   console.log('🧪 Testing Curam AI MCP Server\n');
   
-  // Start the MCP server process
-  const serverProcess = spawn('node', ['mcp-server.js'], {
-    stdio: ['pipe', 'pipe', 'inherit']
-  });
-  
-  // Create MCP client
+  // The transport starts the MCP server process and talks to it over stdio
   const transport = new StdioClientTransport({
-    spawn: () => serverProcess
+    command: process.execPath,
+    args: ['mcp-server.js'],
+    env: process.env
   });
   
-  const client = new Client(
-    {
-      name: 'curam-ai-test-client',
-      version: '1.0.0'
-    },
-    {
-      capabilities: {}
-    }
-  );
+  const client = new Client({
+    name: 'curam-ai-test-client',
+    version: '1.0.0'
+  });
   
   try {
     // Connect to server
@@ -35,7 +28,7 @@ async function testMCPServer() {
     console.log('📋 Testing tool discovery...');
     const toolsResponse = await client.request(
       { method: 'tools/list' },
-      {}
+      ListToolsResultSchema
     );
     
     console.log('Available tools:');
@@ -47,32 +40,38 @@ async function testMCPServer() {
     // Test 2: Compare Gemini models
     console.log('🔄 Testing model comparison...');
     const compareResult = await client.request(
-      { method: 'tools/call' },
       {
-        name: 'compare_gemini_models',
-        arguments: {
-          prompt: 'What is the future of AI in healthcare?'
+        method: 'tools/call',
+        params: {
+          name: 'compare_gemini_models',
+          arguments: {
+            prompt: 'What is the future of AI in healthcare?'
+          }
         }
-      }
+      },
+      CallToolResultSchema
     );
     
     const compareData = JSON.parse(compareResult.content[0].text);
     console.log('Comparison results:');
-    console.log(`Flash response length: ${compareData.comparison.gemini_flash.response.length} chars`);
-    console.log(`Pro response length: ${compareData.comparison.gemini_pro.response.length} chars`);
+    console.log(`Flash response length: ${compareData.responses.gemini_flash.response.length} chars`);
+    console.log(`Pro response length: ${compareData.responses.gemini_pro.response.length} chars`);
     console.log('✅ Model comparison successful\n');
     
     // Test 3: Text Analysis
     console.log('📊 Testing text analysis...');
     const analysisResult = await client.request(
-      { method: 'tools/call' },
       {
-        name: 'analyze_text',
-        arguments: {
-          text: 'Artificial intelligence is revolutionizing healthcare by enabling predictive diagnostics, personalized treatment plans, and efficient drug discovery processes.',
-          analysis_type: 'technical'
+        method: 'tools/call',
+        params: {
+          name: 'analyze_text',
+          arguments: {
+            text: 'Artificial intelligence is revolutionizing healthcare by enabling predictive diagnostics, personalized treatment plans, and efficient drug discovery processes.',
+            analysis_type: 'technical'
+          }
         }
-      }
+      },
+      CallToolResultSchema
     );
     
     const analysisData = JSON.parse(analysisResult.content[0].text);
@@ -96,15 +95,15 @@ async function testMCPServer() {
     
   } catch (error) {
     console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
   } finally {
     // Clean up
     await client.close();
-    serverProcess.kill();
     console.log('\n🛑 Test completed');
   }
 }
 
 // Run tests
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isMainModule(import.meta.url)) {
   testMCPServer().catch(console.error);
 }
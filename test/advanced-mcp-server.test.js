@@ -0,0 +1,376 @@
+// test/advanced-mcp-server.test.js - Advanced MCP server tools, resources and sessions, over an in-memory transport
+import { TEST_DIR, connectClient, startMockProviders, toolJson } from './helpers.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer } from '../advanced-mcp-server.js';
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockProviders();
+  client = await connectClient(createServer());
+});
+
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+
+const call = async (name, args) => toolJson(await client.callTool({ name, arguments: args }));
+
+async function readJson(uri) {
+  const { contents } = await client.readResource({ uri });
+  assert.equal(contents[0].mimeType, 'application/json');
+  return JSON.parse(contents[0].text);
+}
+
+async function assertInvalidParams(promise, pattern) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.code, ErrorCode.InvalidParams);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+// Points Claude at a path the mock providers don't serve, so every Claude call fails
+async function withClaudeDown(fn) {
+  process.env.CLAUDE_BASE_URL = `${mock.url}/unavailable`;
+  try {
+    return await fn();
+  } finally {
+    delete process.env.CLAUDE_BASE_URL;
+  }
+}
+
+describe('resources', () => {
+  test('resources/list scopes context resources to the session', async () => {
+    const { resources } = await client.listResources({ _meta: { session_id: 'alice' } });
+    assert.deepEqual(resources.map(resource => resource.uri), [
+      'context://conversation/alice',
+      'context://user-preferences/alice',
+      'tools://available',
+      'usage://summary'
+    ]);
+  });
+
+  test('resources/templates/list describes the per-session resources', async () => {
+    const { resourceTemplates } = await client.listResourceTemplates();
+    assert.deepEqual(resourceTemplates.map(template => template.uriTemplate), [
+      'context://conversation/{session}',
+      'context://user-preferences/{session}'
+    ]);
+  });
+
+  test('context://conversation records each tool call for its session', async () => {
+    await call('intelligent_model_selection', { task_description: 'remember me', session_id: 'history-test' });
+    const history = await readJson('context://conversation/history-test');
+    assert.equal(history.length, 1);
+    assert.equal(history[0].tool, 'intelligent_model_selection');
+    assert.deepEqual(history[0].arguments, { task_description: 'remember me' });
+
+    assert.deepEqual(await readJson('context://conversation/someone-else'), []);
+  });
+
+  test('tools://available and usage://summary return JSON', async () => {
+    assert.equal((await readJson('tools://available')).totalTools, 11);
+    const usage = await readJson('usage://summary');
+    assert.ok(usage.totals);
+    assert.ok(usage.by_client);
+  });
+
+  test('usage://summary only shows the session\'s own usage', async () => {
+    await call('multi_model_consensus', { prompt: 'Whose usage is this?', models: ['gemini-flash'], session_id: 'usage-owner' });
+    const { contents } = await client.readResource({ uri: 'usage://summary', _meta: { session_id: 'usage-owner' } });
+    const own = JSON.parse(contents[0].text);
+    assert.deepEqual(Object.keys(own.by_client), ['mcp:usage-owner']);
+    assert.ok(own.totals.requests >= 2);
+
+    const other = await readJson('usage://summary');
+    assert.equal(other.by_client['mcp:usage-owner'], undefined);
+  });
+
+  test('unknown resources and malformed session ids are InvalidParams', async () => {
+    await assertInvalidParams(client.readResource({ uri: 'context://secrets' }), /Unknown resource/);
+    await assertInvalidParams(
+      client.listResources({ _meta: { session_id: '../../etc' } }),
+      /session_id must be/
+    );
+  });
+});
+
+describe('tools', () => {
+  test('tools/list adds session_id to every tool', async () => {
+    const { tools } = await client.listTools();
+    assert.equal(tools.length, 11);
+    for (const tool of tools) {
+      assert.equal(tool.inputSchema.properties.session_id.type, 'string');
+    }
+  });
+
+  test('intelligent_model_selection recommends a model', async () => {
+    const result = await call('intelligent_model_selection', { task_description: 'Explain quantum tunnelling' });
+    assert.equal(result.recommended_model, 'gemini-pro');
+    assert.deepEqual(Object.keys(result.estimated_performance), ['speed', 'quality', 'cost']);
+  });
+
+  test('multi_model_consensus synthesizes an answer with the judge model', async () => {
+    const result = await call('multi_model_consensus', { prompt: 'Is water wet?', models: ['gemini-flash', 'claude-haiku'] });
+    assert.deepEqual(result.responses.map(response => response.model), ['gemini-flash', 'claude-haiku']);
+    assert.equal(typeof result.consensus.agreement_score, 'number');
+    assert.match(result.consensus.synthesized_response, /gemini-1.5-pro/);
+    assert.equal(result.consensus.judge_model, 'gemini-pro');
+  });
+
+  test('multi_model_consensus reports a failed model instead of answering with its fallback', async () => {
+    const result = await withClaudeDown(() => call('multi_model_consensus', { prompt: 'Is fire hot?', models: ['gemini-flash', 'claude-haiku'] }));
+    assert.match(result.responses[0].response, /gemini-1.5-flash/);
+    assert.equal(result.responses[1].model, 'claude-haiku');
+    assert.ok(result.responses[1].error);
+    assert.equal(result.responses[1].response, undefined);
+    assert.equal(typeof result.responses[0].confidence, 'number');
+  });
+
+  test('multi_model_consensus validates the prompt, models and threshold', async () => {
+    const consensus = args => client.callTool({ name: 'multi_model_consensus', arguments: { prompt: 'x', ...args } });
+    await assertInvalidParams(client.callTool({ name: 'multi_model_consensus', arguments: {} }), /Prompt is required/);
+    await assertInvalidParams(consensus({ models: ['gpt-4'] }), /Models\[0\] must be one of/);
+    await assertInvalidParams(consensus({ models: 'gemini-flash' }), /Models must be a array/);
+    await assertInvalidParams(consensus({ models: [] }), /Models must have at least 1 items/);
+    await assertInvalidParams(consensus({ models: ['gemini-flash', 'gemini_flash'] }), /same model twice/);
+    await assertInvalidParams(consensus({ consensus_threshold: 2 }), /Consensus_threshold must be at most 1/);
+    await assertInvalidParams(consensus({ judge_model: 'stable_diffusion_xl' }), /Judge_model must be one of/);
+  });
+
+  test('workflow_orchestration runs a workflow definition', async () => {
+    const result = await call('workflow_orchestration', {
+      workflow_name: 'research-answer',
+      input_data: { question: 'Why is the sky blue?' },
+      execution_mode: 'sequential'
+    });
+    assert.equal(result.status, 'completed');
+    assert.equal(result.results.question, 'Why is the sky blue?');
+    assert.ok(result.steps_completed >= 4);
+    assert.ok(result.trace.length > 0);
+  });
+
+  test('workflow_orchestration can call the server\'s own tools', async () => {
+    const result = await call('workflow_orchestration', {
+      workflow_name: 'model-shootout',
+      input_data: { question: 'Tabs or spaces?' }
+    });
+    assert.equal(result.results.recommended_model, 'gemini-pro');
+    assert.ok(result.results.verdict);
+  });
+
+  test('workflow_orchestration rejects unknown workflows and modes', async () => {
+    await assertInvalidParams(
+      client.callTool({ name: 'workflow_orchestration', arguments: { workflow_name: 'missing', input_data: {} } }),
+      /missing/
+    );
+    await assertInvalidParams(
+      client.callTool({ name: 'workflow_orchestration', arguments: { workflow_name: 'research-answer', input_data: {}, execution_mode: 'random' } }),
+      /execution_mode must be one of/
+    );
+  });
+
+  test('workflow_orchestration rejects workflows that start workflows', async () => {
+    const dir = path.join(TEST_DIR, 'workflows');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'forever.json'), JSON.stringify({
+      steps: [{ id: 'again', type: 'tool', tool: 'workflow_orchestration', arguments: { workflow_name: 'forever', input_data: {} } }]
+    }));
+    process.env.WORKFLOWS_DIR = dir;
+    try {
+      await assertInvalidParams(
+        client.callTool({ name: 'workflow_orchestration', arguments: { workflow_name: 'forever', input_data: {} } }),
+        /Step again of workflow forever cannot call workflow_orchestration/
+      );
+    } finally {
+      delete process.env.WORKFLOWS_DIR;
+    }
+  });
+
+  test('learn_user_patterns stores preferences for the session', async () => {
+    const result = await call('learn_user_patterns', {
+      interaction_data: { style: 'concise' },
+      feedback_type: 'positive',
+      session_id: 'learner'
+    });
+    assert.equal(result.learning_applied, true);
+    assert.equal(result.session_id, 'learner');
+    assert.deepEqual(result.updated_preferences.last_feedback.data, { style: 'concise' });
+
+    const preferences = await readJson('context://user-preferences/learner');
+    assert.equal(preferences.last_feedback.feedback, 'positive');
+  });
+
+  test('analyze_conversation_context reports on the session history', async () => {
+    await call('intelligent_model_selection', { task_description: 'one', session_id: 'analyst' });
+    const result = await call('analyze_conversation_context', { lookback_messages: 5, session_id: 'analyst' });
+    assert.equal(result.session_id, 'analyst');
+    assert.equal(result.messages_analyzed, 2);
+    assert.ok(result.user_behavior_profile);
+  });
+
+  test('tools without an implementation say so', async () => {
+    const result = await call('context_aware_generation', {});
+    assert.equal(result.error, 'Tool context_aware_generation not implemented yet');
+  });
+});
+
+describe('prompt templates', () => {
+  test('prompts/list and prompts/get expose the template library', async () => {
+    await call('save_prompt_template', { name: 'haiku', template: 'Write a haiku about {{subject}} in {{language || \'English\'}}.' });
+
+    const { prompts } = await client.listPrompts();
+    const haiku = prompts.find(prompt => prompt.name === 'haiku');
+    assert.deepEqual(haiku.arguments, [{ name: 'subject', required: true }, { name: 'language', required: false }]);
+    assert.ok(prompts.some(prompt => prompt.name === 'analyze_text.sentiment'));
+
+    const { messages } = await client.getPrompt({ name: 'haiku', arguments: { subject: 'rain' } });
+    assert.deepEqual(messages, [{ role: 'user', content: { type: 'text', text: 'Write a haiku about rain in English.' } }]);
+
+    await assertInvalidParams(client.getPrompt({ name: 'haiku' }), /Missing variables .*: subject/);
+    await assertInvalidParams(client.getPrompt({ name: 'nope' }), /not found/);
+  });
+
+  test('save_prompt_template adds versions and delete_prompt_template removes the template', async () => {
+    const created = await call('save_prompt_template', { name: 'versions', template: 'One {{x}}' });
+    assert.equal(created.created, true);
+    const updated = await call('save_prompt_template', { name: 'versions', template: 'Two {{x}}', notes: 'second' });
+    assert.equal(updated.created, false);
+    assert.equal(updated.version.version, 2);
+
+    assert.equal((await call('get_prompt_template', { name: 'versions' })).versions.length, 2);
+    assert.equal((await call('delete_prompt_template', { name: 'versions' })).versions_deleted, 2);
+    await assertInvalidParams(client.callTool({ name: 'get_prompt_template', arguments: { name: 'versions' } }), /not found/);
+  });
+
+  test('adaptive_prompt_optimization stores a rewrite of the best-rated version', async () => {
+    const first = await call('adaptive_prompt_optimization', {
+      template_name: 'explain',
+      base_prompt: 'Explain {{topic}} simply.',
+      target_model: 'claude-sonnet',
+      optimization_goal: 'brevity'
+    });
+    assert.equal(first.base_version, 1);
+    assert.equal(first.new_version, 2);
+    assert.equal(first.model_used, 'claude_sonnet');
+    assert.match(first.optimized_prompt, /Rewrite the prompt template below so that Claude Sonnet gives short answers/);
+    // The mock model drops the placeholder, so it is put back
+    assert.deepEqual(first.restored_variables, ['topic']);
+    assert.match(first.optimized_prompt, /\{\{topic\}\}$/);
+
+    const second = await call('adaptive_prompt_optimization', {
+      template_name: 'explain',
+      target_model: 'gemini-flash',
+      user_feedback_history: [
+        { version: 1, feedback: 'positive' },
+        { version: 2, feedback: 'negative' },
+        { version: 2, feedback: 'correction', weight: 2 }
+      ]
+    });
+    assert.equal(second.base_version, 1);
+    assert.equal(second.new_version, 3);
+    assert.deepEqual(second.version_scores.map(score => score.score), [1, -1]);
+
+    const { versions } = await call('get_prompt_template', { name: 'explain' });
+    assert.deepEqual(versions[2].metadata, {
+      based_on: 1,
+      target_model: 'gemini_flash',
+      optimization_goal: 'accuracy',
+      optimized_by: 'gemini_flash'
+    });
+  });
+
+  test('adaptive_prompt_optimization validates its arguments', async () => {
+    const optimize = (args) => client.callTool({ name: 'adaptive_prompt_optimization', arguments: args });
+    await assertInvalidParams(optimize({ template_name: 'absent', target_model: 'gemini-pro' }), /pass base_prompt/);
+    await assertInvalidParams(optimize({ template_name: 'absent', base_prompt: 'x', target_model: 'gpt-4' }), /known text model/);
+    await assertInvalidParams(
+      optimize({ template_name: 'analyze_text.summary', base_prompt: 'x', target_model: 'gemini-pro' }),
+      /already exists/
+    );
+    await assertInvalidParams(
+      optimize({ template_name: 'analyze_text.summary', target_model: 'gemini-pro', optimization_goal: 'speed' }),
+      /optimization_goal must be one of/
+    );
+    await assertInvalidParams(
+      optimize({ template_name: 'analyze_text.summary', target_model: 'gemini-pro', user_feedback_history: [{ version: 5, feedback: 'positive' }] }),
+      /unknown versions .*: 5/
+    );
+  });
+});
+
+describe('intelligent_error_recovery', () => {
+  const recover = (args) => call('intelligent_error_recovery', args);
+
+  test('retry re-runs the same model', async () => {
+    const result = await recover({
+      error_context: { model: 'claude-sonnet', prompt: 'retry this', status: 503 },
+      recovery_strategy: 'retry'
+    });
+    assert.equal(result.recovered, true);
+    assert.equal(result.model_used, 'claude_sonnet');
+    assert.equal(result.diagnosis.category, 'unavailable');
+  });
+
+  test('alternative_model skips the failed model', async () => {
+    const result = await recover({ error_context: { model: 'claude-sonnet', prompt: 'use another model' } });
+    assert.equal(result.strategy, 'alternative_model');
+    assert.equal(result.recovered, true);
+    assert.equal(result.model_used, 'gemini_pro');
+    assert.deepEqual(result.failed_attempts, []);
+  });
+
+  test('fallback tries the model, then its fallback chain', async () => {
+    const result = await withClaudeDown(() => recover({
+      error_context: { model: 'claude-sonnet', prompt: 'fall back please' },
+      recovery_strategy: 'fallback'
+    }));
+    assert.equal(result.recovered, true);
+    assert.equal(result.model_used, 'gemini_pro');
+    assert.deepEqual(result.failed_attempts.map(attempt => attempt.model), ['claude_sonnet']);
+    assert.ok(result.circuit_breakers.anthropic);
+  });
+
+  test('reports unrecoverable failures instead of throwing', async () => {
+    const result = await recover({
+      error_context: { model: 'gemini-flash', prompt: 'always rejected [mock:400]' },
+      recovery_strategy: 'fallback'
+    });
+    assert.equal(result.recovered, false);
+    assert.equal(result.failed_attempts.length, 2);
+    assert.equal(result.diagnosis.category, 'invalid_request');
+  });
+
+  test('user_input diagnoses without calling a model', async () => {
+    const result = await recover({
+      error_context: { model: 'gemini-pro', status: 429, error: 'Too many requests' },
+      recovery_strategy: 'user_input'
+    });
+    assert.equal(result.recovered, false);
+    assert.equal(result.diagnosis.category, 'rate_limited');
+    assert.deepEqual(result.alternatives, ['claude_sonnet']);
+    assert.match(result.question, /claude_sonnet/);
+  });
+
+  test('validates the strategy, model and prompt', async () => {
+    const invalid = (args) => client.callTool({ name: 'intelligent_error_recovery', arguments: args });
+    await assertInvalidParams(
+      invalid({ error_context: { model: 'gemini-pro', prompt: 'x' }, recovery_strategy: 'pray' }),
+      /recovery_strategy must be one of/
+    );
+    await assertInvalidParams(invalid({ error_context: { model: 'gpt-4', prompt: 'x' } }), /known text model/);
+    await assertInvalidParams(invalid({ error_context: { model: 'stable-diffusion-xl', prompt: 'x' } }), /known text model/);
+    await assertInvalidParams(invalid({ error_context: { model: 'gemini-pro' }, recovery_strategy: 'retry' }), /prompt is required/);
+    await assertInvalidParams(
+      invalid({ error_context: { model: 'gemini-pro', prompt: 'x' }, recovery_strategy: 'retry', max_retries: 1000 }),
+      /max_retries must be an integer from 0 to 5/
+    );
+  });
+});
@@ -0,0 +1,53 @@
+// test/cache.test.js - Response cache backends and their bounds
+import { TEST_DIR } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { FileCache, MemoryCache } from '../lib/cache.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('memory cache evicts the least recently used entry', async () => {
+  const cache = new MemoryCache({ maxEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+  assert.equal(await cache.get('b'), undefined);
+  assert.equal(await cache.get('a'), 1);
+});
+
+test('file cache keeps at most maxFiles entries on disk, oldest dropped first', async () => {
+  const dir = path.join(TEST_DIR, 'cache-bounded');
+  const cache = new FileCache({ dir, maxFiles: 2 });
+  for (const key of ['first', 'second', 'third']) {
+    await cache.set(key, key);
+    await sleep(5);
+  }
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['second.json', 'third.json']);
+});
+
+test('file cache sweeps expired entries and stale temp files', async () => {
+  const dir = path.join(TEST_DIR, 'cache-expired');
+  const cache = new FileCache({ dir, ttlSeconds: 60 });
+  await cache.set('old', 'stale');
+  await fs.writeFile(path.join(dir, 'crashed.json.123.abc.tmp'), '{');
+  const past = new Date(Date.now() - 120000);
+  await fs.utimes(path.join(dir, 'old.json'), past, past);
+  await fs.utimes(path.join(dir, 'crashed.json.123.abc.tmp'), past, past);
+
+  await cache.set('fresh', 'value');
+  await cache.sweep();
+  assert.deepEqual(await fs.readdir(dir), ['fresh.json']);
+});
+
+test('file cache writers in different processes never share a temp file', async () => {
+  const dir = path.join(TEST_DIR, 'cache-shared');
+  const stdio = new FileCache({ dir });
+  const http = new FileCache({ dir });
+  await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? stdio : http).set('same', { writer: i })));
+
+  assert.deepEqual(await fs.readdir(dir), ['same.json']);
+  assert.ok(JSON.parse(await fs.readFile(path.join(dir, 'same.json'), 'utf8')).value.writer >= 0);
+});
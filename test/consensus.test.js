@@ -0,0 +1,30 @@
+// test/consensus.test.js - Claim-level agreement between model answers
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeAgreement } from '../lib/consensus.js';
+
+const answer = (model, response) => ({ model, response });
+
+test('short identical answers agree', () => {
+  const agreement = analyzeAgreement([answer('gemini_flash', 'Paris.'), answer('claude_haiku', 'Paris')], 0.7);
+  assert.equal(agreement.score, 1);
+  assert.equal(agreement.achieved, true);
+  assert.deepEqual(agreement.confidences, [1, 1]);
+});
+
+test('short conflicting answers disagree', () => {
+  const agreement = analyzeAgreement([answer('gemini_flash', 'Yes.'), answer('claude_haiku', 'No.')], 0.7);
+  assert.equal(agreement.score, 0);
+  assert.deepEqual(agreement.disagreements.map(point => point.claim), ['Yes.', 'No.']);
+});
+
+test('claims are backed by answers sharing most of their key terms', () => {
+  const agreement = analyzeAgreement([
+    answer('gemini_flash', 'Water boils at 100 degrees Celsius at sea level.'),
+    answer('claude_haiku', 'At sea level water boils at 100 degrees Celsius.'),
+    answer('gemini_pro', 'Mercury melts at minus 39 degrees.')
+  ], 0.7);
+  assert.deepEqual(agreement.confidences, [0.5, 0.5, 0]);
+  assert.equal(agreement.achieved, false);
+});
@@ -0,0 +1,134 @@
+// test/helpers.js - Shared test setup: isolated environment, mock providers, HTTP and MCP clients
+//
+// Import this before any application module: lib modules read their configuration
+// from the environment when they are first imported.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { createMockProviderApp } from '../lib/mock-providers.js';
+
+export const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'curam-ai-test-'));
+process.on('exit', () => fs.rmSync(TEST_DIR, { recursive: true, force: true }));
+export const ADMIN_API_KEY = 'test-admin-key';
+
+for (const name of ['PROVIDER_FIXTURES', 'PROVIDER_BASE_URL', 'GEMINI_BASE_URL', 'CLAUDE_BASE_URL',
+  'STABILITY_BASE_URL', 'MAILCHANNELS_BASE_URL', 'HUGGING_FACE_BASE_URL', 'API_AUTH_DISABLED', 'FALLBACK_CHAINS',
+  'EMAIL_FROM', 'EMAIL_FROM_NAME', 'EMAIL_REPLY_TO', 'EMAIL_SENDER_DOMAINS']) {
+  delete process.env[name];
+}
+
+Object.assign(process.env, {
+  ADMIN_API_KEY,
+  API_KEYS_PATH: path.join(TEST_DIR, 'api-keys.json'),
+  USAGE_PATH: path.join(TEST_DIR, 'usage.json'),
+  CONVERSATIONS_PATH: path.join(TEST_DIR, 'conversations.json'),
+  PROMPTS_PATH: path.join(TEST_DIR, 'prompts.json'),
+  IMAGE_STORE_DIR: path.join(TEST_DIR, 'images'),
+  EMAIL_TEMPLATES_PATH: path.join(TEST_DIR, 'email-templates.json'),
+  EMAIL_QUEUE_DIR: path.join(TEST_DIR, 'email-queue'),
+  EMAIL_MAX_ATTEMPTS: '3',
+  HUGGING_FACE_LOAD_TIMEOUT_SECONDS: '0.2',
+  VECTOR_INDEX_DIR: path.join(TEST_DIR, 'vector-index'),
+  CONTEXT_STORAGE: 'memory',
+  RESPONSE_CACHE: 'memory',
+  PROVIDER_MAX_RETRIES: '1',
+  PROVIDER_RETRY_BASE_MS: '1',
+  PROVIDER_RETRY_MAX_MS: '5',
+  CIRCUIT_FAILURE_THRESHOLD: '1000',
+  GEMINI_API_KEY: 'test-gemini-key',
+  CLAUDE_API_KEY: 'test-claude-key',
+  STABILITY_API_KEY: 'test-stability-key',
+  MAILCHANNELS_API_KEY: 'test-mailchannels-key',
+  HUGGING_FACE_API_KEY: 'test-hugging-face-key'
+});
+
+// Test output stays readable: the servers log every request
+if (!process.env.TEST_VERBOSE) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// Listens on a free port; close() also drops open SSE connections
+export async function listen(app) {
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Starts the bundled mock providers and points every provider base URL at them
+export async function startMockProviders() {
+  const mock = await listen(createMockProviderApp());
+  process.env.PROVIDER_BASE_URL = mock.url;
+  return mock;
+}
+
+// fetch() wrapper returning { status, headers, body } with JSON bodies parsed
+export async function request(baseUrl, route, { method = 'GET', body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {}
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+// Splits a text/event-stream body into [{ event, data }]
+export function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.includes('data:'))
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+// A linked pair of in-process MCP transports
+class InMemoryTransport {
+  static createPair() {
+    const client = new InMemoryTransport();
+    const server = new InMemoryTransport();
+    client.peer = server;
+    server.peer = client;
+    return [client, server];
+  }
+
+  async start() {}
+
+  async send(message) {
+    queueMicrotask(() => this.peer.onmessage?.(message));
+  }
+
+  async close() {
+    this.onclose?.();
+    this.peer.onclose?.();
+  }
+}
+
+export async function connectClient(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createPair();
+  await server.connect(serverTransport);
+  const client = new Client({ name: 'curam-ai-test-client', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+// Parses the JSON text content returned by our tools
+export function toolJson(result) {
+  return JSON.parse(result.content[0].text);
+}
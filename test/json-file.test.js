@@ -0,0 +1,42 @@
+// test/json-file.test.js - JSON documents shared between processes
+import { TEST_DIR } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { JsonFile } from '../lib/json-file.js';
+
+// Two instances on one path stand in for server.js and a stdio MCP server
+const twoProcesses = (name, options) => {
+  const filePath = path.join(TEST_DIR, name);
+  return [new JsonFile(filePath, { count: 0 }, options), new JsonFile(filePath, { count: 0 }, options)];
+};
+
+test('shared files keep updates from every writer', async () => {
+  const [first, second] = twoProcesses('shared.json', { shared: true });
+  const increment = data => { data.count += 1; };
+  await Promise.all(Array.from({ length: 10 }, (_, i) => (i % 2 ? first : second).update(increment)));
+
+  assert.equal((await first.load()).count, 10);
+  assert.equal((await second.load()).count, 10);
+  await assert.rejects(fs.access(`${first.filePath}.lock`));
+});
+
+test('shared files break a lock left by a crashed writer', async () => {
+  const [file] = twoProcesses('stale.json', { shared: true });
+  const lockPath = `${file.filePath}.lock`;
+  await fs.writeFile(lockPath, '');
+  const stale = new Date(Date.now() - 60000);
+  await fs.utimes(lockPath, stale, stale);
+
+  await file.update(data => { data.count = 1; });
+  assert.equal((await file.load()).count, 1);
+});
+
+test('unshared files keep their first read', async () => {
+  const [first, second] = twoProcesses('cached.json');
+  await first.update(data => { data.count = 1; });
+  assert.equal((await second.load()).count, 1);
+  await first.update(data => { data.count = 2; });
+  assert.equal((await second.load()).count, 1);
+});
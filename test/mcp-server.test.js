@@ -0,0 +1,241 @@
+// test/mcp-server.test.js - The stdio MCP server's tools and error mapping, over an in-memory transport
+import { connectClient, startMockProviders, toolJson } from './helpers.js';
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createServer } from '../mcp-server.js';
+import { getUsageSummary } from '../lib/usage.js';
+
+let mock;
+let client;
+
+before(async () => {
+  mock = await startMockProviders();
+  client = await connectClient(createServer());
+});
+
+after(async () => {
+  await client.close();
+  await mock.close();
+});
+
+async function assertMcpError(promise, code, pattern) {
+  await assert.rejects(promise, (error) => {
+    assert.equal(error.code, code);
+    assert.match(error.message, pattern);
+    return true;
+  });
+}
+
+test('tools/list exposes every shared tool with its schema', async () => {
+  const { tools } = await client.listTools();
+  assert.deepEqual(tools.map(tool => tool.name), [
+    'compare_gemini_models', 'multi_model_compare', 'ask_claude', 'chat',
+    'generate_image', 'transform_image', 'inpaint_image', 'upscale_image', 'analyze_text', 'send_email',
+    'hugging_face_inference', 'create_embeddings', 'index_documents', 'semantic_search'
+  ]);
+  for (const tool of tools) {
+    assert.equal(typeof tool.description, 'string');
+    assert.equal(tool.inputSchema.type, 'object');
+    assert.ok(['send_email', 'hugging_face_inference', 'index_documents', 'semantic_search'].includes(tool.name)
+      || tool.inputSchema.properties.cache);
+  }
+});
+
+test('compare_gemini_models returns both Gemini responses', async () => {
+  const result = toolJson(await client.callTool({ name: 'compare_gemini_models', arguments: { prompt: 'mcp compare' } }));
+  assert.deepEqual(Object.keys(result.responses).sort(), ['gemini_flash', 'gemini_pro']);
+  assert.match(result.responses.gemini_flash.response, /mcp compare/);
+});
+
+test('multi_model_compare covers every configured model', async () => {
+  const result = toolJson(await client.callTool({ name: 'multi_model_compare', arguments: { prompt: 'mcp multi' } }));
+  assert.equal(Object.keys(result.responses).length, 4);
+  assert.ok(result.analysis.total_usage.input_tokens > 0);
+});
+
+test('ask_claude returns the Claude response', async () => {
+  const result = toolJson(await client.callTool({ name: 'ask_claude', arguments: { prompt: 'mcp claude', model: 'haiku' } }));
+  assert.equal(result.model, 'Claude Haiku');
+  assert.match(result.response, /mcp claude/);
+});
+
+test('chat keeps history across calls', async () => {
+  const first = toolJson(await client.callTool({ name: 'chat', arguments: { message: 'mcp chat one' } }));
+  const second = toolJson(await client.callTool({
+    name: 'chat',
+    arguments: { message: 'mcp chat two', conversation_id: first.conversation_id, model: 'claude_haiku' }
+  }));
+  assert.equal(second.conversation_id, first.conversation_id);
+  assert.equal(second.model, 'Claude Haiku');
+  assert.equal(second.message_count, 4);
+});
+
+test('generate_image returns image content and an images:// resource per image', async () => {
+  const response = await client.callTool({ name: 'generate_image', arguments: { prompt: 'mcp image', seed: 7, samples: 2 } });
+  const result = toolJson(response);
+  assert.equal(result.seed, 7);
+  assert.equal(result.style, 'photographic');
+  assert.deepEqual(response.content.slice(1).map(item => [item.type, item.mimeType]), [
+    ['image', 'image/png'], ['image', 'image/png']
+  ]);
+  assert.equal(Buffer.from(response.content[1].data, 'base64').subarray(1, 4).toString(), 'PNG');
+
+  const { resources } = await client.listResources();
+  for (const image of result.images) {
+    assert.ok(resources.some(resource => resource.uri === image.resource_uri && resource.mimeType === 'image/png'));
+  }
+
+  const { contents } = await client.readResource({ uri: result.images[0].resource_uri });
+  assert.equal(contents[0].blob, response.content[1].data);
+  const thumbnail = await client.readResource({ uri: `${result.images[0].resource_uri}/thumbnail` });
+  assert.equal(thumbnail.contents[0].mimeType, 'image/png');
+
+  await assertMcpError(client.readResource({ uri: 'images://img_missing' }), ErrorCode.InvalidParams, /Unknown resource/);
+});
+
+test('upscale_image works from a stored image and returns image content', async () => {
+  const generated = toolJson(await client.callTool({ name: 'generate_image', arguments: { prompt: 'to upscale', dimensions: '640x1536' } }));
+  const response = await client.callTool({ name: 'upscale_image', arguments: { image_id: generated.images[0].id } });
+  const result = toolJson(response);
+  assert.equal(result.prompt, 'to upscale');
+  assert.deepEqual([result.images[0].width, result.images[0].height], [1280, 3072]);
+  assert.equal(result.metadata.model, 'Real-ESRGAN x2');
+  assert.equal(response.content[1].type, 'image');
+
+  await assertMcpError(
+    client.callTool({ name: 'upscale_image', arguments: {} }),
+    ErrorCode.InvalidParams,
+    /image_id or image_base64 is required/
+  );
+});
+
+test('send_email sends templated email with attachments', async () => {
+  const result = toolJson(await client.callTool({
+    name: 'send_email',
+    arguments: {
+      to: ['a@example.com', 'b@example.com'],
+      template: 'session_report',
+      variables: { summary: 'Sent from MCP' },
+      attachments: [{ filename: 'notes.txt', content: Buffer.from('notes').toString('base64') }]
+    }
+  }));
+  assert.equal(result.status, 'sent');
+  assert.deepEqual(result.recipients.to, ['a@example.com', 'b@example.com']);
+  assert.deepEqual(result.attachments, [{ filename: 'notes.txt', type: 'text/plain', bytes: 5 }]);
+
+  await assertMcpError(
+    client.callTool({ name: 'send_email', arguments: { to: 'a@example.com', template: 'session_report' } }),
+    ErrorCode.InvalidParams,
+    /Missing variables/
+  );
+});
+
+test('hugging_face_inference runs the requested task', async () => {
+  const result = toolJson(await client.callTool({
+    name: 'hugging_face_inference',
+    arguments: { task: 'question-answering', question: 'Who wrote it?', context: 'Ada wrote it. Then she left.' }
+  }));
+  assert.equal(result.model, 'deepset/roberta-base-squad2');
+  assert.equal(result.output.answer, 'Ada wrote it');
+
+  await assertMcpError(
+    client.callTool({ name: 'hugging_face_inference', arguments: { task: 'question-answering', question: 'Who?' } }),
+    ErrorCode.InvalidParams,
+    /Context is required/
+  );
+});
+
+test('create_embeddings returns one vector per text', async () => {
+  const result = toolJson(await client.callTool({ name: 'create_embeddings', arguments: { input: ['one', 'two'], cache: false } }));
+  assert.equal(result.model, 'text_embedding_004');
+  assert.equal(result.embeddings.length, 2);
+  assert.equal(result.embeddings[0].length, result.dimensions);
+});
+
+test('index_documents and semantic_search share an index owned by the mcp client', async () => {
+  const indexed = toolJson(await client.callTool({
+    name: 'index_documents',
+    arguments: {
+      index: 'notes',
+      documents: [
+        { id: 'kettle', text: 'Boil the kettle before making tea', metadata: { room: 'kitchen' } },
+        { id: 'plants', text: 'Water the garden plants every morning', metadata: { room: 'garden' } }
+      ]
+    }
+  }));
+  assert.equal(indexed.index.document_count, 2);
+
+  const result = toolJson(await client.callTool({ name: 'semantic_search', arguments: { index: 'notes', query: 'making tea', top_k: 1 } }));
+  assert.deepEqual(result.results.map(item => item.document_id), ['kettle']);
+
+  const filtered = toolJson(await client.callTool({
+    name: 'semantic_search',
+    arguments: { index: 'notes', query: 'making tea', filter: { room: { not_equals: 'kitchen' } } }
+  }));
+  assert.deepEqual(filtered.results.map(item => item.document_id), ['plants']);
+
+  await assertMcpError(
+    client.callTool({ name: 'semantic_search', arguments: { index: 'nothing-here', query: 'tea' } }),
+    ErrorCode.InvalidParams,
+    /Vector index not found: nothing-here/
+  );
+});
+
+test('text tools advertise generation parameters with provider ranges', async () => {
+  const { tools } = await client.listTools();
+  const schema = name => tools.find(tool => tool.name === name).inputSchema.properties;
+  assert.equal(schema('compare_gemini_models').temperature.maximum, 2);
+  assert.equal(schema('ask_claude').temperature.maximum, 1);
+  assert.equal(schema('ask_claude').max_tokens.maximum, 4096);
+  assert.equal(schema('analyze_text').stop.maxItems, 5);
+  assert.equal(schema('generate_image').temperature, undefined);
+});
+
+test('analyze_text passes generation parameters to the model', async () => {
+  const result = toolJson(await client.callTool({
+    name: 'analyze_text',
+    arguments: { text: 'short please', max_tokens: 3, system: 'Be brief' }
+  }));
+  assert.equal(result.metadata.usage.output_tokens, 3);
+});
+
+test('analyze_text applies the default analysis type', async () => {
+  const result = toolJson(await client.callTool({ name: 'analyze_text', arguments: { text: 'mcp analysis' } }));
+  assert.equal(result.analysis_type, 'summary');
+  assert.equal(result.metadata.model, 'Gemini 1.5 Pro');
+});
+
+test('usage from tool calls is billed to the mcp client', async () => {
+  const summary = await getUsageSummary({ client: 'mcp' });
+  assert.ok(summary.totals.requests > 0);
+});
+
+test('invalid arguments map to InvalidParams', async () => {
+  await assertMcpError(
+    client.callTool({ name: 'analyze_text', arguments: {} }),
+    ErrorCode.InvalidParams,
+    /Text is required/
+  );
+  await assertMcpError(
+    client.callTool({ name: 'generate_image', arguments: { prompt: 'x', style: 'oil' } }),
+    ErrorCode.InvalidParams,
+    /Style must be one of/
+  );
+});
+
+test('unknown tools map to MethodNotFound', async () => {
+  await assertMcpError(
+    client.callTool({ name: 'summon_model', arguments: {} }),
+    ErrorCode.MethodNotFound,
+    /Unknown tool: summon_model/
+  );
+});
+
+test('provider failures map to InternalError', async () => {
+  await assertMcpError(
+    client.callTool({ name: 'analyze_text', arguments: { text: 'broken [mock:401]' } }),
+    ErrorCode.InternalError,
+    /All models in the fallback chain failed/
+  );
+});
@@ -0,0 +1,90 @@
+// test/recovery.test.js - Retry, circuit breaker and error diagnosis behaviour
+import './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, diagnoseError, isRetryable, retryDelay, withRetry } from '../lib/recovery.js';
+
+const failure = (status, extra = {}) => Object.assign(new Error(`status ${status}`), { status, ...extra });
+
+test('isRetryable covers rate limits, server errors and network failures', () => {
+  assert.equal(isRetryable(failure(429)), true);
+  assert.equal(isRetryable(failure(503)), true);
+  assert.equal(isRetryable(failure(400)), false);
+  assert.equal(isRetryable({ code: 'ECONNRESET', message: '' }), true);
+  assert.equal(isRetryable({ message: 'timeout of 30000ms exceeded' }), true);
+  assert.equal(isRetryable({ code: 'circuit_open', status: 503, message: '' }), false);
+});
+
+test('retryDelay never undercuts Retry-After', () => {
+  assert.equal(retryDelay(0, { retryAfterMs: 5000 }, { baseDelayMs: 10, maxDelayMs: 100 }), 5000);
+  assert.ok(retryDelay(3, {}, { baseDelayMs: 10, maxDelayMs: 50 }) <= 50);
+});
+
+test('withRetry retries retryable failures and records the attempts', async () => {
+  let calls = 0;
+  const result = await withRetry(async () => {
+    calls += 1;
+    if (calls < 3) throw failure(503);
+    return 'ok';
+  }, { retries: 2, baseDelayMs: 1 });
+  assert.equal(result, 'ok');
+
+  await assert.rejects(withRetry(async () => { throw failure(400); }, { retries: 2 }), (error) => {
+    assert.equal(error.attempts, 1);
+    return true;
+  });
+  await assert.rejects(withRetry(async () => { throw failure(500); }, { retries: 1, baseDelayMs: 1 }), (error) => {
+    assert.equal(error.attempts, 2);
+    return true;
+  });
+});
+
+test('withRetry gives up when Retry-After is longer than maxDelayMs', async () => {
+  let calls = 0;
+  const started = Date.now();
+  await assert.rejects(withRetry(async () => {
+    calls += 1;
+    throw failure(429, { retryAfterMs: 3600000 });
+  }, { retries: 5, baseDelayMs: 1, maxDelayMs: 100 }), (error) => {
+    assert.equal(error.attempts, 1);
+    return true;
+  });
+  assert.equal(calls, 1);
+  assert.ok(Date.now() - started < 1000);
+
+  calls = 0;
+  const result = await withRetry(async () => {
+    calls += 1;
+    if (calls < 2) throw failure(429, { retryAfterMs: 20 });
+    return 'ok';
+  }, { retries: 2, baseDelayMs: 1, maxDelayMs: 100 });
+  assert.equal(result, 'ok');
+});
+
+test('CircuitBreaker opens after consecutive failures and closes after a good trial', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 20 });
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(breaker.run(async () => { throw failure(503); }));
+  }
+  assert.equal(breaker.status().state, 'open');
+  await assert.rejects(breaker.run(async () => 'skipped'), { code: 'circuit_open' });
+
+  await new Promise(resolve => setTimeout(resolve, 25));
+  assert.equal(await breaker.run(async () => 'recovered'), 'recovered');
+  assert.equal(breaker.status().state, 'closed');
+});
+
+test('CircuitBreaker ignores client errors', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 1000 });
+  await assert.rejects(breaker.run(async () => { throw failure(400); }));
+  assert.equal(breaker.status().state, 'closed');
+});
+
+test('diagnoseError classifies failures', () => {
+  assert.equal(diagnoseError({ status: 429 }).category, 'rate_limited');
+  assert.equal(diagnoseError({ status: 401 }).category, 'authentication');
+  assert.equal(diagnoseError({ status: 422 }).category, 'invalid_request');
+  assert.equal(diagnoseError({ status: 502 }).category, 'unavailable');
+  assert.equal(diagnoseError({ code: 'circuit_open' }).category, 'circuit_open');
+  assert.equal(diagnoseError({}).category, 'unknown');
+});
@@ -0,0 +1,1468 @@
+// test/server.test.js - REST routes, auth, usage and MCP over HTTP against the mock providers
+import { ADMIN_API_KEY, TEST_DIR, listen, parseEvents, request, startMockProviders } from './helpers.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import app from '../server.js';
+import { encodePng } from '../lib/png.js';
+import { renderEmailTemplate } from '../lib/email.js';
+import { processEmailQueue } from '../lib/email-queue.js';
+import { saveImage } from '../lib/images.js';
+
+let mock;
+let api;
+let apiKey;
+
+const admin = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+const auth = (key = apiKey) => ({ Authorization: `Bearer ${key}` });
+const post = (route, body, headers = auth()) => request(api.url, route, { method: 'POST', body, headers });
+
+const pngBase64 = (width, height) => encodePng({ width, height, data: Buffer.alloc(width * height * 4, 200) }).toString('base64');
+
+async function createKey(body) {
+  const { status, body: key } = await request(api.url, '/admin/api-keys', { method: 'POST', body, headers: admin });
+  assert.equal(status, 201);
+  return key;
+}
+
+before(async () => {
+  mock = await startMockProviders();
+  api = await listen(app);
+  apiKey = (await createKey({ name: 'test suite' })).api_key;
+});
+
+after(async () => {
+  await api.close();
+  await mock.close();
+});
+
+describe('public routes', () => {
+  test('GET / describes the models and endpoints', async () => {
+    const { status, body } = await request(api.url, '/');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'running');
+    assert.deepEqual(body.models.text, ['Gemini 1.5 Flash', 'Gemini 1.5 Pro', 'Claude Sonnet', 'Claude Haiku']);
+    assert.deepEqual(body.models.image, ['Stable Diffusion XL 1024']);
+    assert.deepEqual(body.models.embedding, ['Gemini Text Embedding 004', 'all-MiniLM-L6-v2']);
+    assert.match(body.endpoints.compare_gemini_models, /^POST \/api\/compare/);
+    assert.equal(body.endpoints.mcp, 'GET /mcp/sse + POST /mcp/messages');
+  });
+
+  test('GET /health reports configured providers and circuit breakers', async () => {
+    const { status, body } = await request(api.url, '/health');
+    assert.equal(status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.deepEqual(body.models, { gemini: true, claude: true, stability: true, mailchannels: true, huggingface: true });
+    assert.equal(typeof body.circuit_breakers, 'object');
+  });
+});
+
+describe('API key authentication', () => {
+  test('rejects requests without a key', async () => {
+    const { status, body } = await post('/api/compare', { prompt: 'hi' }, {});
+    assert.equal(status, 401);
+    assert.match(body.error, /API key required/);
+  });
+
+  test('rejects unknown keys', async () => {
+    const { status } = await post('/api/compare', { prompt: 'hi' }, auth('cam_not-a-real-key'));
+    assert.equal(status, 401);
+  });
+
+  test('accepts the key in X-API-Key', async () => {
+    const { status } = await post('/api/analyze-text', { text: 'x-api-key header' }, { 'X-API-Key': apiKey });
+    assert.equal(status, 200);
+  });
+
+  test('rejects keys without the route scope', async () => {
+    const { api_key } = await createKey({ name: 'images only', scopes: ['image'] });
+    const { status, body } = await post('/api/compare', { prompt: 'hi' }, auth(api_key));
+    assert.equal(status, 403);
+    assert.match(body.error, /"text" scope/);
+  });
+
+  test('enforces the daily quota with rate limit headers', async () => {
+    const { api_key } = await createKey({ name: 'one a day', daily_quota: 1 });
+    const first = await post('/api/analyze-text', { text: 'quota check' }, auth(api_key));
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-limit'), '1');
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '0');
+
+    const second = await post('/api/analyze-text', { text: 'quota check' }, auth(api_key));
+    assert.equal(second.status, 429);
+    assert.equal(second.body.daily_quota, 1);
+    assert.ok(Number(second.headers.get('retry-after')) > 0);
+  });
+
+  test('rejects revoked keys', async () => {
+    const key = await createKey({ name: 'short lived' });
+    const revoked = await request(api.url, `/admin/api-keys/${key.id}`, { method: 'DELETE', headers: admin });
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.revoked_at);
+
+    const { status } = await post('/api/analyze-text', { text: 'revoked' }, auth(key.api_key));
+    assert.equal(status, 401);
+  });
+});
+
+describe('admin routes', () => {
+  test('require the admin key', async () => {
+    assert.equal((await request(api.url, '/admin/api-keys')).status, 401);
+    assert.equal((await request(api.url, '/admin/api-keys', { headers: auth() })).status, 401);
+    assert.equal((await request(api.url, '/admin/usage', { headers: auth('wrong') })).status, 401);
+  });
+
+  test('POST /admin/api-keys applies defaults and returns the raw key once', async () => {
+    const key = await createKey({ name: 'defaults' });
+    assert.match(key.api_key, /^cam_/);
+    assert.deepEqual(key.scopes, ['*']);
+    assert.equal(key.daily_quota, 1000);
+    assert.equal(key.revoked_at, null);
+
+    const { body } = await request(api.url, '/admin/api-keys', { headers: admin });
+    const listed = body.keys.find(candidate => candidate.id === key.id);
+    assert.equal(listed.name, 'defaults');
+    assert.equal(listed.api_key, undefined);
+    assert.equal(listed.hash, undefined);
+  });
+
+  test('POST /admin/api-keys validates its input', async () => {
+    for (const body of [{}, { name: '' }, { name: 'x', scopes: ['root'] }, { name: 'x', daily_quota: 0 }]) {
+      const { status, body: error } = await request(api.url, '/admin/api-keys', { method: 'POST', body, headers: admin });
+      assert.equal(status, 400, JSON.stringify(body));
+      assert.ok(error.error);
+    }
+  });
+
+  test('DELETE /admin/api-keys/:id returns 404 for unknown keys', async () => {
+    const { status } = await request(api.url, '/admin/api-keys/key_missing', { method: 'DELETE', headers: admin });
+    assert.equal(status, 404);
+  });
+});
+
+describe('tool routes', () => {
+  test('POST /api/compare returns each Gemini response with usage', async () => {
+    const { status, body } = await post('/api/compare', { prompt: 'compare these models' });
+    assert.equal(status, 200);
+    assert.equal(body.prompt, 'compare these models');
+    assert.deepEqual(Object.keys(body.responses).sort(), ['gemini_flash', 'gemini_pro']);
+    for (const response of Object.values(body.responses)) {
+      assert.match(response.response, /compare these models/);
+      assert.ok(response.usage.input_tokens > 0);
+      assert.equal(response.cached, false);
+    }
+    assert.ok(body.analysis.total_usage.cost_usd > 0);
+  });
+
+  test('POST /api/compare serves repeats from the cache unless cache is false', async () => {
+    const prompt = 'cache me once';
+    await post('/api/compare', { prompt });
+    const cached = await post('/api/compare', { prompt });
+    assert.equal(cached.body.responses.gemini_flash.cached, true);
+    assert.equal(cached.body.analysis.total_usage.cost_usd, 0);
+
+    const fresh = await post('/api/compare', { prompt, cache: false });
+    assert.equal(fresh.body.responses.gemini_flash.cached, false);
+  });
+
+  test('POST /api/compare streams Server-Sent Events', async () => {
+    const response = await fetch(`${api.url}/api/compare`, {
+      method: 'POST',
+      headers: { ...auth(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt: 'stream these words', stream: true })
+    });
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const events = parseEvents(await response.text());
+
+    const tokens = events.filter(({ event }) => event === 'token');
+    assert.ok(tokens.length > 1);
+    assert.equal(events.filter(({ event }) => event === 'model_complete').length, 2);
+    const complete = events.at(-1);
+    assert.equal(complete.event, 'complete');
+    assert.equal(
+      tokens.filter(({ data }) => data.model === 'gemini_pro').map(({ data }) => data.text).join(''),
+      complete.data.responses.gemini_pro.response
+    );
+  });
+
+  test('POST /api/compare validates before streaming', async () => {
+    const { status, headers } = await post('/api/compare', { stream: true });
+    assert.equal(status, 400);
+    assert.match(headers.get('content-type'), /application\/json/);
+  });
+
+  test('POST /api/multi-compare includes Claude and reports per-model failures', async () => {
+    const { status, body } = await post('/api/multi-compare', { prompt: 'all models [mock:400]' });
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.responses).sort(), ['claude_haiku', 'claude_sonnet', 'gemini_flash', 'gemini_pro']);
+    for (const response of Object.values(body.responses)) {
+      assert.equal(response.usage, null);
+      assert.match(response.response, /400/);
+    }
+  });
+
+  test('POST /api/claude-test uses the requested Claude model', async () => {
+    const { status, body } = await post('/api/claude-test', { prompt: 'hello claude', model: 'haiku' });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.model, /Haiku/);
+    assert.match(body.response, /hello claude/);
+    assert.equal(body.fallback_from, undefined);
+  });
+
+  test('POST /api/claude-test falls back to Gemini when Claude is unavailable', async () => {
+    process.env.CLAUDE_BASE_URL = `${mock.url}/unavailable`;
+    let response;
+    try {
+      response = await post('/api/claude-test', { prompt: 'fall back' });
+    } finally {
+      delete process.env.CLAUDE_BASE_URL;
+    }
+    const { status, body } = response;
+    assert.equal(status, 200);
+    assert.match(body.model, /Gemini/);
+    assert.match(body.fallback_from, /Sonnet/);
+  });
+
+  test('POST /api/claude-test maps provider failures to 500 with details', async () => {
+    const { status, body } = await post('/api/claude-test', { prompt: 'everyone fails [mock:503]' });
+    assert.equal(status, 500);
+    assert.ok(Array.isArray(body.details));
+    assert.ok(body.details.length >= 2);
+  });
+
+  test('POST /api/claude-test rejects unknown models', async () => {
+    const { status, body } = await post('/api/claude-test', { prompt: 'hi', model: 'opus' });
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Model must be one of: sonnet, haiku');
+  });
+
+  test('POST /api/generate-image returns the image URL, seed and usage', async () => {
+    const { status, body } = await post('/api/generate-image', { prompt: 'a lighthouse', style: 'anime', seed: 42 });
+    assert.equal(status, 200);
+    assert.equal(body.style, 'anime');
+    assert.equal(body.seed, 42);
+    assert.equal(body.image_base64, undefined);
+    assert.match(body.image_url, /^\/api\/images\/img_[a-f0-9]{32}$/);
+    assert.deepEqual(body.usage, { images: 1, cost_usd: 0.006 });
+
+    const repeat = await post('/api/generate-image', { prompt: 'a lighthouse', style: 'anime', seed: 42 });
+    assert.equal(repeat.body.cached, true);
+  });
+
+  test('POST /api/generate-image returns every sample with its finish reason', async () => {
+    const { status, body } = await post('/api/generate-image', {
+      prompt: 'a harbour at dusk',
+      negative_prompt: 'people',
+      dimensions: '1344x768',
+      samples: 3,
+      steps: 20,
+      cfg_scale: 9.5,
+      sampler: 'K_EULER',
+      seed: 100
+    });
+    assert.equal(status, 200);
+    assert.equal(body.negative_prompt, 'people');
+    assert.deepEqual(body.images.map(image => [image.seed, image.finish_reason]), [
+      [100, 'SUCCESS'], [101, 'SUCCESS'], [102, 'SUCCESS']
+    ]);
+    assert.equal(body.image_url, body.images[0].url);
+    assert.deepEqual([body.images[0].width, body.images[0].height], [1344, 768]);
+    assert.deepEqual(body.metadata, {
+      model: 'Stable Diffusion XL 1024',
+      dimensions: '1344x768',
+      samples: 3,
+      steps: 20,
+      cfg_scale: 9.5,
+      sampler: 'K_EULER',
+      content_filtered: 0
+    });
+    assert.deepEqual(body.usage, { images: 3, cost_usd: 0.018 });
+  });
+
+  test('POST /api/generate-image reports content-filtered images', async () => {
+    const { body } = await post('/api/generate-image', { prompt: 'something [mock:filtered]', samples: 2 });
+    assert.deepEqual(body.images.map(image => image.finish_reason), ['CONTENT_FILTERED', 'CONTENT_FILTERED']);
+    assert.equal(body.metadata.content_filtered, 2);
+  });
+
+  test('GET /api/images/:id serves stored images, thumbnails and metadata without an API key', async () => {
+    const { body } = await post('/api/generate-image', { prompt: 'a tall tower', dimensions: '640x1536', seed: 5 });
+    const [image] = body.images;
+
+    const full = await fetch(`${api.url}${image.url}`);
+    assert.equal(full.status, 200);
+    assert.equal(full.headers.get('content-type'), 'image/png');
+    assert.equal((await full.arrayBuffer()).byteLength > 0, true);
+
+    const thumbnail = await fetch(`${api.url}${image.thumbnail_url}`);
+    assert.equal(thumbnail.status, 200);
+    assert.equal(thumbnail.headers.get('content-type'), 'image/png');
+
+    const metadata = await request(api.url, `${image.url}/metadata`);
+    assert.equal(metadata.status, 200);
+    assert.equal(metadata.body.prompt, 'a tall tower');
+    assert.equal(metadata.body.style, 'photographic');
+    assert.equal(metadata.body.seed, 5);
+    assert.deepEqual([metadata.body.width, metadata.body.height], [640, 1536]);
+    assert.deepEqual(metadata.body.thumbnail, { width: 107, height: 256 });
+    assert.equal(metadata.body.resource_uri, `images://${image.id}`);
+    assert.equal(metadata.body.client, undefined);
+
+    assert.equal((await request(api.url, '/api/images/img_00000000000000000000000000000000')).status, 404);
+    assert.equal((await request(api.url, '/api/images/..%2Fapi-keys.json')).status, 404);
+  });
+
+  test('serves images stored by another process', async () => {
+    // A second copy of the module has its own state, like the stdio MCP server
+    const other = await import('../lib/images.js?process=stdio');
+    const image = await other.saveImage(pngBase64(8, 8), { prompt: 'from stdio' });
+    assert.equal((await request(api.url, `/api/images/${image.id}/metadata`)).body.prompt, 'from stdio');
+
+    const { saveImage: saveHere } = await import('../lib/images.js');
+    const local = await saveHere(pngBase64(8, 8), { prompt: 'from server' });
+    assert.equal((await other.getImage(local.id)).prompt, 'from server');
+  });
+
+  test('GET /api/images/:id/thumbnail answers 404 for images that fail to decode', async () => {
+    const png = Buffer.from(pngBase64(4, 4), 'base64');
+    const idat = png.indexOf('IDAT');
+    png.fill(0xff, idat + 4, idat + 4 + png.readUInt32BE(idat - 4));
+    const image = await saveImage(png.toString('base64'), { prompt: 'corrupt' });
+    assert.equal(image.thumbnail, null);
+    assert.deepEqual([image.width, image.height], [4, 4]);
+
+    assert.equal((await request(api.url, `/api/images/${image.id}/thumbnail`)).status, 404);
+    assert.equal((await request(api.url, `/api/images/${image.id}/metadata`)).body.thumbnail, false);
+    assert.equal((await request(api.url, `/api/images/${image.id}/thumbnail`)).status, 404);
+  });
+
+  test('POST /api/image-to-image transforms a stored image', async () => {
+    const { body: source } = await post('/api/generate-image', { prompt: 'a red barn', dimensions: '1216x832' });
+    const { status, body } = await post('/api/image-to-image', {
+      prompt: 'the same barn in winter',
+      image_id: source.images[0].id,
+      image_strength: 0.6,
+      samples: 2,
+      seed: 9
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.images.map(image => [image.width, image.height, image.seed]), [[1216, 832, 9], [1216, 832, 10]]);
+    assert.equal(body.metadata.operation, 'image-to-image');
+    assert.equal(body.metadata.source_image_id, source.images[0].id);
+    assert.equal(body.metadata.image_strength, 0.6);
+    assert.equal(body.metadata.dimensions, '1216x832');
+    assert.deepEqual(body.usage, { images: 2, cost_usd: 0.012 });
+
+    const metadata = await request(api.url, `${body.images[0].url}/metadata`);
+    assert.equal(metadata.body.source_image_id, source.images[0].id);
+    assert.equal(metadata.body.operation, 'image-to-image');
+  });
+
+  test('POST /api/image-to-image accepts uploads and checks their size', async () => {
+    const upload = pngBase64(832, 1216);
+    const { status, body } = await post('/api/image-to-image', { prompt: 'uploaded', image_base64: `data:image/png;base64,${upload}` });
+    assert.equal(status, 200);
+    assert.equal(body.metadata.source_image_id, null);
+    assert.deepEqual([body.images[0].width, body.images[0].height], [832, 1216]);
+
+    const wrongSize = await post('/api/image-to-image', { prompt: 'x', image_base64: pngBase64(64, 64) });
+    assert.equal(wrongSize.status, 400);
+    assert.match(wrongSize.body.error, /The image is 64x64; SDXL needs one of/);
+    assert.equal((await post('/api/image-to-image', { prompt: 'x', image_base64: 'bm90IGFuIGltYWdl' })).status, 400);
+    assert.equal((await post('/api/image-to-image', { prompt: 'x' })).status, 400);
+    assert.equal((await post('/api/image-to-image', { prompt: 'x', image_id: 'img_missing' })).status, 404);
+    assert.equal((await post('/api/image-to-image', { prompt: 'x', image_id: 'img_a', image_base64: upload })).status, 400);
+    assert.equal((await post('/api/image-to-image', { prompt: 'x', image_base64: upload, image_strength: 1.5 })).status, 400);
+  });
+
+  test('POST /api/inpaint repaints with a mask or the image alpha channel', async () => {
+    const image = pngBase64(1024, 1024);
+    const masked = await post('/api/inpaint', { prompt: 'a window', image_base64: image, mask_base64: pngBase64(1024, 1024) });
+    assert.equal(masked.status, 200);
+    assert.equal(masked.body.metadata.operation, 'inpaint');
+    assert.equal(masked.body.metadata.mask_source, 'MASK_IMAGE_WHITE');
+
+    const alpha = await post('/api/inpaint', { prompt: 'a door', image_base64: image, mask_source: 'INIT_IMAGE_ALPHA' });
+    assert.equal(alpha.status, 200);
+    assert.equal(alpha.body.metadata.mask_image_id, null);
+
+    assert.match((await post('/api/inpaint', { prompt: 'x', image_base64: image })).body.error, /mask_id or mask_base64 is required/);
+    const mismatched = await post('/api/inpaint', { prompt: 'x', image_base64: image, mask_base64: pngBase64(640, 1536) });
+    assert.equal(mismatched.status, 400);
+    assert.match(mismatched.body.error, /mask is 640x1536 but the image is 1024x1024/);
+  });
+
+  test('POST /api/upscale doubles an uploaded image', async () => {
+    const { status, body } = await post('/api/upscale', { image_base64: pngBase64(64, 48) });
+    assert.equal(status, 200);
+    assert.deepEqual([body.images[0].width, body.images[0].height], [128, 96]);
+    assert.equal(body.prompt, null);
+    assert.equal(body.metadata.source_dimensions, '64x48');
+    assert.deepEqual(body.usage, { images: 1, cost_usd: 0.002 });
+
+    const repeat = await post('/api/upscale', { image_base64: pngBase64(64, 48) });
+    assert.equal(repeat.body.cached, true);
+  });
+
+  test('POST /api/generate-image validates style and seed', async () => {
+    assert.equal((await post('/api/generate-image', { prompt: 'x', style: 'oil' })).status, 400);
+    assert.equal((await post('/api/generate-image', { prompt: 'x', seed: 0 })).status, 400);
+    assert.equal((await post('/api/generate-image', { prompt: 'x', dimensions: '512x512' })).status, 400);
+    assert.equal((await post('/api/generate-image', { prompt: 'x', samples: 11 })).status, 400);
+    assert.equal((await post('/api/generate-image', { prompt: 'x', steps: 5 })).status, 400);
+    assert.equal((await post('/api/generate-image', { prompt: 'x', cfg_scale: 40 })).status, 400);
+    assert.equal((await post('/api/generate-image', { prompt: 'x', sampler: 'K_MAGIC' })).status, 400);
+    assert.equal((await post('/api/generate-image', {})).status, 400);
+  });
+
+  test('POST /api/analyze-text returns the analysis with metadata', async () => {
+    const { status, body } = await post('/api/analyze-text', { text: 'The sky is blue.', analysis_type: 'sentiment' });
+    assert.equal(status, 200);
+    assert.equal(body.analysis_type, 'sentiment');
+    assert.match(body.analysis, /Analyze the sentiment/);
+    assert.equal(body.metadata.text_length, 16);
+    assert.ok(body.metadata.usage.output_tokens > 0);
+  });
+
+  test('POST /api/analyze-text validates its input', async () => {
+    assert.equal((await post('/api/analyze-text', { text: '' })).status, 400);
+    assert.equal((await post('/api/analyze-text', { text: 'x', analysis_type: 'poetic' })).status, 400);
+  });
+});
+
+describe('generation parameters', () => {
+  test('max_tokens and stop sequences reach every Gemini model', async () => {
+    const { status, body } = await post('/api/compare', { prompt: 'one two three four five six', max_tokens: 4, temperature: 1.5 });
+    assert.equal(status, 200);
+    for (const response of Object.values(body.responses)) {
+      assert.equal(response.usage.output_tokens, 4);
+    }
+
+    const stopped = await post('/api/compare', { prompt: 'alpha beta STOP gamma', stop: ['STOP'] });
+    for (const response of Object.values(stopped.body.responses)) {
+      assert.match(response.response, /alpha beta $/);
+    }
+  });
+
+  test('system prompts are sent to Claude and Gemini', async () => {
+    const plain = await post('/api/multi-compare', { prompt: 'system prompt check' });
+    const withSystem = await post('/api/multi-compare', { prompt: 'system prompt check', system: 'Answer like a pirate' });
+    for (const key of Object.keys(plain.body.responses)) {
+      assert.equal(
+        withSystem.body.responses[key].usage.input_tokens,
+        plain.body.responses[key].usage.input_tokens + 4,
+        key
+      );
+    }
+  });
+
+  test('POST /api/claude-test maps stop sequences and max_tokens to Claude', async () => {
+    const { status, body } = await post('/api/claude-test', {
+      prompt: 'red green blue END yellow',
+      stop: ['END'],
+      max_tokens: 100,
+      top_p: 0.9,
+      temperature: 0.2
+    });
+    assert.equal(status, 200);
+    assert.match(body.model, /Sonnet/);
+    assert.match(body.response, /red green blue $/);
+  });
+
+  test('streamed comparisons honour the parameters', async () => {
+    const response = await fetch(`${api.url}/api/multi-compare`, {
+      method: 'POST',
+      headers: { ...auth(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ prompt: 'a b c d e f g', max_tokens: 2, stream: true })
+    });
+    const complete = parseEvents(await response.text()).at(-1);
+    for (const result of Object.values(complete.data.responses)) {
+      assert.equal(result.usage.output_tokens, 2);
+    }
+  });
+
+  test('ranges follow the providers each route can reach', async () => {
+    // Gemini accepts temperatures up to 2, Claude only up to 1
+    assert.equal((await post('/api/compare', { prompt: 'x', temperature: 2 })).status, 200);
+    assert.equal((await post('/api/claude-test', { prompt: 'x', temperature: 1.5 })).status, 400);
+    assert.equal((await post('/api/multi-compare', { prompt: 'x', temperature: 1.5 })).status, 400);
+    assert.equal((await post('/api/chat', { message: 'x', temperature: 1.5 })).status, 400);
+    assert.equal((await post('/api/compare', { prompt: 'x', temperature: 2.5 })).status, 400);
+    assert.equal((await post('/api/compare', { prompt: 'x', max_tokens: 8192 })).status, 200);
+    assert.equal((await post('/api/claude-test', { prompt: 'x', max_tokens: 8192 })).status, 400);
+  });
+
+  test('invalid parameters are rejected', async () => {
+    const invalid = [
+      { top_p: 1.5 },
+      { temperature: -0.1 },
+      { max_tokens: 0 },
+      { max_tokens: 1.5 },
+      { stop: 'END' },
+      { stop: ['a', 'b', 'c', 'd', 'e', 'f'] },
+      { stop: [''] },
+      { system: '' }
+    ];
+    for (const params of invalid) {
+      const { status, body } = await post('/api/analyze-text', { text: 'x', ...params });
+      assert.equal(status, 400, JSON.stringify(params));
+      assert.ok(body.error);
+    }
+  });
+});
+
+describe('chat', () => {
+  test('POST /api/chat starts a conversation and continues it with history', async () => {
+    const first = await post('/api/chat', { message: 'My name is Ada.' });
+    assert.equal(first.status, 200);
+    assert.match(first.body.conversation_id, /^conv_/);
+    assert.equal(first.body.model, 'Gemini 1.5 Flash');
+    assert.match(first.body.response, /My name is Ada/);
+    assert.equal(first.body.message_count, 2);
+
+    const second = await post('/api/chat', { message: 'What is my name?', conversation_id: first.body.conversation_id });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.conversation_id, first.body.conversation_id);
+    assert.match(second.body.response, /What is my name\?/);
+    assert.equal(second.body.message_count, 4);
+    // The history is sent along with the new message
+    assert.ok(second.body.usage.input_tokens > first.body.usage.input_tokens + first.body.usage.output_tokens);
+  });
+
+  test('POST /api/chat can switch models mid-conversation', async () => {
+    const { body: { conversation_id } } = await post('/api/chat', { message: 'Start with Gemini', model: 'gemini_pro' });
+    const claude = await post('/api/chat', { message: 'Now Claude', conversation_id, model: 'claude_sonnet' });
+    assert.equal(claude.status, 200);
+    assert.equal(claude.body.model, 'Claude Sonnet');
+    assert.equal(claude.body.fallback_from, undefined);
+    const gemini = await post('/api/chat', { message: 'Back to Gemini', conversation_id, model: 'gemini_flash' });
+    assert.equal(gemini.status, 200);
+    assert.equal(gemini.body.model, 'Gemini 1.5 Flash');
+
+    const { status, body } = await request(api.url, `/api/chat/${conversation_id}`, { headers: auth() });
+    assert.equal(status, 200);
+    assert.deepEqual(body.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+    assert.deepEqual(
+      body.messages.filter(message => message.role === 'assistant').map(message => message.model),
+      ['gemini_pro', 'claude_sonnet', 'gemini_flash']
+    );
+  });
+
+  test('POST /api/chat streams the reply and saves it', async () => {
+    const { body: { conversation_id } } = await post('/api/chat', { message: 'Hello' });
+    const response = await fetch(`${api.url}/api/chat`, {
+      method: 'POST',
+      headers: { ...auth(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'Stream a reply', conversation_id, model: 'claude_haiku', stream: true })
+    });
+    const events = parseEvents(await response.text());
+    const complete = events.at(-1);
+    assert.equal(complete.event, 'complete');
+    assert.equal(
+      events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join(''),
+      complete.data.response
+    );
+    assert.equal(complete.data.message_count, 4);
+  });
+
+  test('conversations are private to the key that started them', async () => {
+    const { body: { conversation_id } } = await post('/api/chat', { message: 'Secret plans' });
+    const { api_key } = await createKey({ name: 'other client' });
+
+    assert.equal((await request(api.url, `/api/chat/${conversation_id}`, { headers: auth(api_key) })).status, 404);
+    const { status, body } = await post('/api/chat', { message: 'Peek', conversation_id }, auth(api_key));
+    assert.equal(status, 404);
+    assert.equal(body.error, `Conversation not found: ${conversation_id}`);
+  });
+
+  test('DELETE /api/chat/:id removes the conversation', async () => {
+    const { body: { conversation_id } } = await post('/api/chat', { message: 'Forget this' });
+    const deleted = await request(api.url, `/api/chat/${conversation_id}`, { method: 'DELETE', headers: auth() });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.messages.length, 2);
+    assert.equal((await request(api.url, `/api/chat/${conversation_id}`, { headers: auth() })).status, 404);
+    assert.equal((await request(api.url, `/api/chat/${conversation_id}`, { method: 'DELETE', headers: auth() })).status, 404);
+  });
+
+  test('POST /api/chat validates its input', async () => {
+    assert.equal((await post('/api/chat', {})).status, 400);
+    assert.equal((await post('/api/chat', { message: 'hi', model: 'gpt-4' })).status, 400);
+    assert.equal((await post('/api/chat', { message: 'hi', conversation_id: 'no spaces allowed' })).status, 400);
+    assert.equal((await post('/api/chat', { message: 'hi', conversation_id: 'conv_unknown' })).status, 404);
+  });
+});
+
+describe('prompt templates', () => {
+  const get = (route, headers = auth()) => request(api.url, route, { headers });
+  const remove = (route, headers = auth()) => request(api.url, route, { method: 'DELETE', headers });
+
+  test('GET /api/prompts lists the built-in templates', async () => {
+    const { status, body } = await get('/api/prompts');
+    assert.equal(status, 200);
+    const summary = body.templates.find(template => template.name === 'analyze_text.summary');
+    assert.equal(summary.builtin, true);
+    assert.equal(summary.latest_version, 1);
+    assert.deepEqual(summary.variables, ['text']);
+  });
+
+  test('templates are created, versioned and rendered', async () => {
+    const created = await post('/api/prompts', {
+      name: 'greeting',
+      description: 'Says hello',
+      template: 'Say hello to {{name}} in a {{tone || \'friendly\'}} way.'
+    });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.versions[0].variables, ['name', 'tone']);
+
+    const updated = await post('/api/prompts/greeting/versions', { template: 'Greet {{name}}.', notes: 'shorter' });
+    assert.equal(updated.status, 201);
+    assert.deepEqual(updated.body.versions.map(version => version.version), [1, 2]);
+
+    const latest = await post('/api/prompts/greeting/render', { variables: { name: 'Ada' } });
+    assert.deepEqual(latest.body, { name: 'greeting', version: 2, text: 'Greet Ada.' });
+    const first = await post('/api/prompts/greeting/render', { variables: { name: 'Ada' }, version: 1 });
+    assert.equal(first.body.text, 'Say hello to Ada in a friendly way.');
+
+    const { body } = await get('/api/prompts/greeting');
+    assert.equal(body.versions[1].notes, 'shorter');
+  });
+
+  test('errors map to 400, 404 and 409', async () => {
+    await post('/api/prompts', { name: 'errors', template: 'About {{topic}}' });
+    assert.equal((await post('/api/prompts', { name: 'errors', template: 'again' })).status, 409);
+    assert.equal((await post('/api/prompts', { name: 'bad name!', template: 'x' })).status, 400);
+    assert.equal((await post('/api/prompts', { name: 'empty', template: '' })).status, 400);
+    assert.equal((await get('/api/prompts/missing')).status, 404);
+    assert.equal((await post('/api/prompts/missing/versions', { template: 'x' })).status, 404);
+    assert.equal((await post('/api/prompts/errors/render', { variables: {}, version: 7 })).status, 404);
+
+    const missingVariable = await post('/api/prompts/errors/render', {});
+    assert.equal(missingVariable.status, 400);
+    assert.match(missingVariable.body.error, /Missing variables .*: topic/);
+  });
+
+  test('changes need the prompts scope', async () => {
+    const { api_key } = await createKey({ name: 'text only', scopes: ['text'] });
+    assert.equal((await get('/api/prompts', auth(api_key))).status, 200);
+    assert.equal((await post('/api/prompts', { name: 'scoped', template: 'x' }, auth(api_key))).status, 403);
+    assert.equal((await remove('/api/prompts/greeting', auth(api_key))).status, 403);
+  });
+
+  test('analyze_text renders its template, and deleting a changed built-in restores it', async () => {
+    await post('/api/prompts/analyze_text.summary/versions', { template: 'Summarize in one line: {{text}}' });
+
+    const custom = await post('/api/analyze-text', { text: 'template check', analysis_type: 'summary' });
+    assert.match(custom.body.analysis, /Summarize in one line: template check/);
+    assert.deepEqual(custom.body.metadata.prompt_template, { name: 'analyze_text.summary', version: 2 });
+
+    const pinned = await post('/api/analyze-text', { text: 'template check', analysis_type: 'summary', prompt_version: 1 });
+    assert.match(pinned.body.analysis, /Provide a concise summary/);
+    assert.equal((await post('/api/analyze-text', { text: 'x', prompt_version: 9 })).status, 404);
+
+    assert.equal((await remove('/api/prompts/analyze_text.summary')).status, 200);
+    assert.equal((await get('/api/prompts/analyze_text.summary')).body.versions.length, 1);
+    assert.equal((await remove('/api/prompts/analyze_text.summary')).status, 400);
+  });
+});
+
+describe('POST /api/send-email', () => {
+  test('sends a plain message through MailChannels', async () => {
+    const { status, body } = await post('/api/send-email', { to: 'a@example.com', subject: 'Hi', message: 'Line one\nLine two' });
+    assert.equal(status, 200);
+    assert.equal(body.status, 'sent');
+    assert.match(body.message_id, /^mock-/);
+    assert.equal(body.template, 'message');
+    assert.deepEqual(body.from, { email: 'michael@curam-ai.com.au', name: 'Curam AI MCP Agent' });
+  });
+
+  test('sends to several to, cc and bcc recipients with a reply-to', async () => {
+    const { status, body } = await post('/api/send-email', {
+      to: ['a@example.com', { email: 'b@example.com', name: 'B' }],
+      cc: 'c@example.com',
+      bcc: ['d@example.com'],
+      reply_to: 'support@example.com',
+      subject: 'Team update',
+      html: '<p>Hello team</p>',
+      text: 'Hello team'
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.recipients, { to: ['a@example.com', 'b@example.com'], cc: ['c@example.com'], bcc: ['d@example.com'] });
+    assert.deepEqual(body.reply_to, { email: 'support@example.com' });
+    assert.equal(body.template, null);
+  });
+
+  test('renders named templates with variables', async () => {
+    const { status, body } = await post('/api/send-email', {
+      to: 'a@example.com',
+      template: 'session_report',
+      variables: { title: 'Weekly', summary: 'All good' }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.subject, 'MCP Session Report - Weekly');
+
+    const missing = await post('/api/send-email', { to: 'a@example.com', template: 'session_report' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /Missing variables for email template session_report: summary/);
+
+    const unknown = await post('/api/send-email', { to: 'a@example.com', template: 'nope' });
+    assert.equal(unknown.status, 404);
+  });
+
+  test('escapes variables in the HTML part', async () => {
+    const rendered = await renderEmailTemplate('message', { subject: 'Hi', message: '<b>one</b>\ntwo' });
+    assert.equal(rendered.text, '<b>one</b>\ntwo');
+    assert.match(rendered.html, /&lt;b&gt;one&lt;\/b&gt;<br>two/);
+  });
+
+  test('sends attachments with their own filenames and types', async () => {
+    const { status, body } = await post('/api/send-email', {
+      to: 'a@example.com',
+      subject: 'Files',
+      text: 'Attached',
+      attachments: [
+        { filename: 'data.csv', content: Buffer.from('a,b\n1,2').toString('base64') },
+        { filename: 'blob.bin', content: Buffer.from('xyz').toString('base64'), type: 'application/x-custom' }
+      ],
+      pdf_base64: Buffer.from('%PDF-1.4').toString('base64')
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.attachments, [
+      { filename: 'data.csv', type: 'text/csv', bytes: 7 },
+      { filename: 'blob.bin', type: 'application/x-custom', bytes: 3 },
+      { filename: 'MCP_Session_Report.pdf', type: 'application/pdf', bytes: 8 }
+    ]);
+
+    const invalid = await post('/api/send-email', {
+      to: 'a@example.com', subject: 'Files', text: 'x', attachments: [{ filename: 'a.txt', content: 'not base64!' }]
+    });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /attachments\[0\]\.content must be base64/);
+  });
+
+  test('only allows senders on the configured domain', async () => {
+    const allowed = await post('/api/send-email', { to: 'a@example.com', from: 'reports@curam-ai.com.au', subject: 'Hi', text: 'x' });
+    assert.equal(allowed.status, 200);
+    assert.deepEqual(allowed.body.from, { name: 'Curam AI MCP Agent', email: 'reports@curam-ai.com.au' });
+
+    const spoofed = await post('/api/send-email', { to: 'a@example.com', from: 'ceo@bank.example', subject: 'Hi', text: 'x' });
+    assert.equal(spoofed.status, 403);
+  });
+
+  test('validates recipients and content', async () => {
+    const { status, body } = await post('/api/send-email', { subject: 'Hi', message: 'x' });
+    assert.equal(status, 400);
+    assert.match(body.error, /To is required/);
+
+    const badAddress = await post('/api/send-email', { to: ['a@example.com', 'not an address'], subject: 'Hi', message: 'x' });
+    assert.equal(badAddress.status, 400);
+
+    const noBody = await post('/api/send-email', { to: 'a@example.com', subject: 'Hi' });
+    assert.equal(noBody.status, 400);
+    assert.match(noBody.body.error, /html or text body are required/);
+  });
+
+  test('maps provider errors and dead-letters the email', async () => {
+    const { status, body } = await post('/api/send-email', { to: 'a@example.com', subject: 'Hi [mock:403]', message: 'x' });
+    assert.equal(status, 500);
+    assert.match(body.error, /Forbidden/);
+    assert.equal(body.details.status_code, 403);
+
+    const email = await request(api.url, `/api/emails/${body.details.email_id}`, { headers: auth() });
+    assert.equal(email.body.status, 'dead_letter');
+    assert.equal(email.body.attempts, 1);
+  });
+
+  test('requires the email scope', async () => {
+    const { api_key } = await createKey({ name: 'text only', scopes: ['text'] });
+    const { status } = await post('/api/send-email', { to: 'a@example.com', subject: 'Hi', message: 'x' }, auth(api_key));
+    assert.equal(status, 403);
+  });
+});
+
+describe('POST /api/reports', () => {
+  const report = async (body, headers = auth()) => {
+    const response = await fetch(`${api.url}/api/reports`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, pdf: Buffer.from(await response.arrayBuffer()) };
+  };
+
+  test('returns a PDF of a comparison', async () => {
+    const { body: comparison } = await post('/api/compare', { prompt: 'Report on this' });
+    assert.equal(typeof comparison.responses.gemini_pro.duration_ms, 'number');
+
+    const { status, headers, pdf } = await report({ title: 'Weekly comparison', comparison });
+    assert.equal(status, 200);
+    assert.equal(headers.get('content-type'), 'application/pdf');
+    assert.match(headers.get('content-disposition'), /filename="Weekly_comparison_\d{4}-\d{2}-\d{2}\.pdf"/);
+    assert.ok(Number(headers.get('x-report-pages')) >= 1);
+    assert.equal(pdf.subarray(0, 8).toString('latin1'), '%PDF-1.4');
+    assert.match(pdf.subarray(-6).toString('latin1'), /%%EOF/);
+  });
+
+  test('includes a conversation and generated images', async () => {
+    const { body: chat } = await post('/api/chat', { message: 'report chat' });
+    const { body: image } = await post('/api/generate-image', { prompt: 'report image' });
+
+    const { status, pdf } = await report({ conversation_id: chat.conversation_id, image_ids: [image.images[0].id] });
+    assert.equal(status, 200);
+    assert.match(pdf.toString('latin1'), /\/Subtype \/Image \/Width 512 \/Height 512/);
+
+    const { api_key } = await createKey({ name: 'reporter', scopes: ['reports'] });
+    assert.equal((await report({ conversation_id: chat.conversation_id }, auth(api_key))).status, 404);
+  });
+
+  test('emails the report as an attachment', async () => {
+    const { body: comparison } = await post('/api/compare', { prompt: 'Report by email' });
+    const { status, body } = await post('/api/reports', {
+      comparison,
+      email: { to: ['a@example.com', 'b@example.com'], message: 'Here is the comparison' }
+    });
+    assert.equal(status, 200);
+    assert.ok(body.report.pages >= 1);
+    assert.equal(body.report.summary.comparison.models, 2);
+    assert.equal(body.email.status, 'sent');
+    assert.equal(body.email.template, 'session_report');
+    assert.deepEqual(body.email.attachments.map(file => [file.filename, file.type, file.bytes]), [
+      [body.report.filename, 'application/pdf', body.report.bytes]
+    ]);
+  });
+
+  test('validates the request and scopes', async () => {
+    assert.equal((await post('/api/reports', {})).status, 400);
+    assert.equal((await post('/api/reports', { image_ids: ['img_missing'] })).status, 404);
+
+    const long = await post('/api/reports', { comparison: { prompt: 'x', responses: { gemini_pro: { response: 'x'.repeat(50001) } } } });
+    assert.equal(long.status, 400);
+    assert.match(long.body.error, /Comparison\.responses\.gemini_pro\.response must be at most 50000/);
+    const many = Object.fromEntries(Array.from({ length: 11 }, (_, i) => [`model_${i}`, { response: 'x' }]));
+    assert.match((await post('/api/reports', { comparison: { prompt: 'x', responses: many } })).body.error, /at most 10 properties/);
+
+    const { api_key } = await createKey({ name: 'report only', scopes: ['reports'] });
+    const comparison = { prompt: 'x', responses: {} };
+    assert.equal((await report({ comparison }, auth(api_key))).status, 200);
+    // An unbroken 50000-character response is wrapped in linear time
+    const started = Date.now();
+    assert.equal((await report({ comparison: { prompt: 'x', responses: { gemini_pro: { response: 'x'.repeat(50000) } } } }, auth(api_key))).status, 200);
+    assert.ok(Date.now() - started < 5000);
+    assert.equal((await post('/api/reports', { comparison, email: { to: 'a@example.com' } }, auth(api_key))).status, 403);
+
+    // Emailing counts against the quota like POST /api/send-email: one for the report, one for the email
+    const mailer = await createKey({ name: 'report mailer', scopes: ['reports', 'email'], daily_quota: 3 });
+    assert.equal((await post('/api/reports', { comparison, email: { to: 'a@example.com' } }, auth(mailer.api_key))).status, 200);
+    const overQuota = await post('/api/reports', { comparison, email: { to: 'a@example.com' } }, auth(mailer.api_key));
+    assert.equal(overQuota.status, 429);
+    assert.match(overQuota.body.error, /quota/);
+
+    const textOnly = await createKey({ name: 'no reports', scopes: ['text'] });
+    assert.equal((await report({ comparison }, auth(textOnly.api_key))).status, 403);
+  });
+});
+
+describe('email queue', () => {
+  const getEmail = (id, headers = auth()) => request(api.url, `/api/emails/${id}`, { headers });
+  const later = () => Date.now() + 24 * 60 * 60 * 1000;
+
+  test('records the status history of a sent email', async () => {
+    const { status, body } = await post('/api/send-email', { to: 'a@example.com', subject: 'Logged', text: 'x' });
+    assert.equal(status, 200);
+    assert.match(body.id, /^eml_/);
+    assert.equal(body.status, 'sent');
+    assert.equal(body.duplicate, false);
+    assert.deepEqual(body.history.map(entry => entry.status), ['queued', 'sending', 'sent']);
+
+    const stored = await getEmail(body.id);
+    assert.equal(stored.status, 200);
+    assert.equal(stored.body.message_id, body.message_id);
+    assert.equal(stored.body.client, undefined);
+
+    const { api_key } = await createKey({ name: 'other mailer', scopes: ['email'] });
+    assert.equal((await getEmail(body.id, auth(api_key))).status, 404);
+    assert.equal((await getEmail('eml_missing')).status, 404);
+  });
+
+  test('idempotency keys prevent double sends', async () => {
+    const message = { to: 'a@example.com', subject: 'Once', text: 'x', idempotency_key: 'order-42' };
+    const first = await post('/api/send-email', message);
+    const second = await post('/api/send-email', message);
+    assert.equal(second.status, 200);
+    assert.equal(second.body.id, first.body.id);
+    assert.equal(second.body.duplicate, true);
+    assert.equal(second.body.attempts, 1);
+
+    const conflict = await post('/api/send-email', { ...message, text: 'different' });
+    assert.equal(conflict.status, 409);
+
+    const { api_key } = await createKey({ name: 'second mailer', scopes: ['email'] });
+    const otherClient = await post('/api/send-email', message, auth(api_key));
+    assert.notEqual(otherClient.body.id, first.body.id);
+  });
+
+  test('retries timeouts and connection failures until the email is sent', async () => {
+    process.env.MAILCHANNELS_BASE_URL = 'http://127.0.0.1:1';
+    let body;
+    try {
+      ({ body } = await post('/api/send-email', { to: 'a@example.com', subject: 'Unreachable', text: 'x' }));
+    } finally {
+      delete process.env.MAILCHANNELS_BASE_URL;
+    }
+    assert.equal(body.status, 'retrying');
+    assert.equal(body.last_error.code, 'ECONNREFUSED');
+    assert.ok(body.next_attempt_at);
+
+    await processEmailQueue({ now: later() });
+    const { body: email } = await getEmail(body.id);
+    assert.equal(email.status, 'sent');
+    assert.equal(email.attempts, 2);
+    assert.deepEqual(email.history.map(entry => entry.status), ['queued', 'sending', 'retrying', 'sending', 'sent']);
+  });
+
+  test('dead-letters after the last attempt and can be requeued', async () => {
+    const { body } = await post('/api/send-email', { to: 'a@example.com', subject: 'Down [mock:503]', text: 'x' });
+    assert.equal(body.status, 'retrying');
+
+    await processEmailQueue({ now: later() });
+    await processEmailQueue({ now: later() });
+    const { body: email } = await getEmail(body.id);
+    assert.equal(email.status, 'dead_letter');
+    assert.equal(email.attempts, 3);
+    assert.equal(email.last_error.status_code, 503);
+
+    const { body: list } = await request(api.url, '/api/emails?status=dead_letter', { headers: auth() });
+    assert.ok(list.emails.some(item => item.id === body.id));
+
+    const retried = await post(`/api/emails/${body.id}/retry`, {});
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.status, 'retrying');
+    assert.equal(retried.body.attempts, 4);
+    assert.equal((await post(`/api/emails/${body.id}/retry`, {})).status, 409);
+  });
+
+  test('lists emails newest first and validates filters', async () => {
+    const { status, body } = await request(api.url, '/api/emails?limit=2', { headers: auth() });
+    assert.equal(status, 200);
+    assert.equal(body.emails.length, 2);
+    assert.ok(body.emails[0].created_at >= body.emails[1].created_at);
+    assert.equal((await request(api.url, '/api/emails?status=lost', { headers: auth() })).status, 400);
+  });
+});
+
+describe('GET /api/email-templates', () => {
+  test('lists the built-in templates and sender defaults', async () => {
+    const { status, body } = await request(api.url, '/api/email-templates', { headers: auth() });
+    assert.equal(status, 200);
+    const report = body.templates.find(template => template.name === 'session_report');
+    assert.deepEqual(report.variables, { required: ['summary'], optional: ['title', 'sender'] });
+    assert.deepEqual(report.parts, ['html', 'text']);
+    assert.equal(body.defaults.from.email, 'michael@curam-ai.com.au');
+  });
+});
+
+describe('POST /api/hugging-face-test', () => {
+  const infer = body => post('/api/hugging-face-test', body);
+
+  test('returns the generated text', async () => {
+    const { status, body } = await infer({ prompt: 'Once upon a time', model: 'distilgpt2' });
+    assert.equal(status, 200);
+    assert.equal(body.task, 'text-generation');
+    assert.equal(body.model, 'distilgpt2');
+    assert.match(body.response, /^Once upon a time/);
+    assert.equal(body.output.generated_text, body.response);
+  });
+
+  test('summarizes with the default summarization model', async () => {
+    const { body } = await infer({ task: 'summarization', text: 'one two three four five six seven eight nine ten' });
+    assert.equal(body.model, 'facebook/bart-large-cnn');
+    assert.deepEqual(body.output, { summary_text: 'one two three four five six seven eight' });
+  });
+
+  test('normalizes classification labels, best first', async () => {
+    const sentiment = await infer({ task: 'text-classification', text: 'I love it' });
+    assert.deepEqual(sentiment.body.output.top, { label: 'POSITIVE', score: 0.98 });
+    assert.equal(sentiment.body.response, 'POSITIVE');
+
+    const zeroShot = await infer({ task: 'zero-shot-classification', text: 'The match ended 2-1', candidate_labels: ['sport', 'politics'] });
+    assert.deepEqual(zeroShot.body.output.labels.map(item => item.label), ['sport', 'politics']);
+    assert.equal(zeroShot.body.output.top.label, 'sport');
+
+    const missing = await infer({ task: 'zero-shot-classification', text: 'x' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /Candidate_labels is required/);
+  });
+
+  test('extracts named entities', async () => {
+    const { body } = await infer({ task: 'token-classification', text: 'Alice met Bob in town' });
+    assert.equal(body.model, 'dslim/bert-base-NER');
+    assert.deepEqual(body.output.entities.map(({ entity, word, start }) => [entity, word, start]), [['PER', 'Alice', 0], ['PER', 'Bob', 10]]);
+  });
+
+  test('answers questions from a context', async () => {
+    const { status, body } = await infer({
+      task: 'question-answering',
+      question: 'Where is the tower?',
+      context: 'The tower is in Paris. It is tall.'
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.output, { answer: 'The tower is in Paris', score: 0.91, start: 0, end: 21 });
+
+    const missing = await infer({ task: 'question-answering', question: 'Where?' });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /Context is required/);
+  });
+
+  test('fills masks and requires a mask token', async () => {
+    const { body } = await infer({ task: 'fill-mask', text: 'The capital of France is [MASK].' });
+    assert.deepEqual(body.output.predictions[0], { token: 'paris', sequence: 'The capital of France is paris.', score: 0.6 });
+    assert.equal((await infer({ task: 'fill-mask', text: 'No mask here' })).status, 400);
+  });
+
+  test('requires input text and a known task', async () => {
+    assert.equal((await infer({})).status, 400);
+    assert.equal((await infer({ task: 'image-segmentation', text: 'x' })).status, 400);
+  });
+
+  test('waits for a loading model', async () => {
+    const { status, body } = await infer({ text: 'warming up [mock:loading]' });
+    assert.equal(status, 200);
+    assert.ok(body.waited_ms >= 40);
+    assert.match(body.response, /^warming up/);
+  });
+
+  test('bills calls to the caller and serves repeats from the cache', async () => {
+    const { api_key, id } = await createKey({ name: 'hugging face usage' });
+    const first = await post('/api/hugging-face-test', { task: 'summarization', text: 'bill this summary to me please' }, auth(api_key));
+    assert.equal(first.body.cached, false);
+    assert.deepEqual(first.body.usage, { cost_usd: 0 });
+    const repeat = await post('/api/hugging-face-test', { task: 'summarization', text: 'bill this summary to me please' }, auth(api_key));
+    assert.equal(repeat.body.cached, true);
+    assert.deepEqual(repeat.body.output, first.body.output);
+
+    const { body } = await request(api.url, '/api/usage', { headers: auth(api_key) });
+    assert.equal(body.client, id);
+    assert.equal(body.by_model.hugging_face_inference.requests, 1);
+  });
+
+  test('gives up when the model is still loading after the timeout', async () => {
+    const { status, body } = await infer({ prompt: 'busy [mock:503]' });
+    assert.equal(status, 500);
+    assert.match(body.error, /still loading/);
+  });
+});
+
+describe('POST /api/embeddings', () => {
+  test('embeds one or many texts with either model', async () => {
+    const single = await post('/api/embeddings', { input: 'hello world', cache: false });
+    assert.equal(single.status, 200);
+    assert.equal(single.body.model, 'text_embedding_004');
+    assert.equal(single.body.dimensions, 768);
+    assert.equal(single.body.embeddings.length, 1);
+    assert.equal(single.body.embeddings[0].length, 768);
+
+    const batch = await post('/api/embeddings', { input: ['first text', 'second text'], model: 'all_minilm_l6_v2', cache: false });
+    assert.equal(batch.status, 200);
+    assert.equal(batch.body.dimensions, 384);
+    assert.equal(batch.body.embeddings.length, 2);
+    assert.equal(batch.body.cached, false);
+  });
+
+  test('serves repeated requests from the cache', async () => {
+    const body = { input: 'cache me', task_type: 'semantic_similarity' };
+    assert.equal((await post('/api/embeddings', body)).body.cached, false);
+    const repeat = await post('/api/embeddings', body);
+    assert.equal(repeat.body.cached, true);
+    assert.equal(repeat.body.usage.cost_usd, 0);
+  });
+
+  test('validates the input and surfaces provider errors', async () => {
+    assert.equal((await post('/api/embeddings', {})).status, 400);
+    assert.equal((await post('/api/embeddings', { input: [] })).status, 400);
+    assert.equal((await post('/api/embeddings', { input: 'x', model: 'gemini_flash' })).status, 400);
+    assert.equal((await post('/api/embeddings', { input: 'x', task_type: 'ranking' })).status, 400);
+
+    const failed = await post('/api/embeddings', { input: 'boom [mock:400]', cache: false });
+    assert.equal(failed.status, 500);
+    assert.match(failed.body.error, /Gemini Text Embedding 004 Error/);
+
+
+    const hfKey = process.env.HUGGING_FACE_API_KEY;
+    delete process.env.HUGGING_FACE_API_KEY;
+    try {
+      const unconfigured = await post('/api/embeddings', { input: 'x', model: 'all_minilm_l6_v2' });
+      assert.equal(unconfigured.status, 503);
+      assert.match(unconfigured.body.error, /Hugging Face API key not configured/);
+    } finally {
+      process.env.HUGGING_FACE_API_KEY = hfKey;
+    }
+  });
+});
+
+describe('vector indexes', () => {
+  const indexDocs = (body, headers) => post('/api/index-documents', body, headers);
+  const search = (body, headers) => post('/api/semantic-search', body, headers);
+  const documents = [
+    { id: 'cats', text: 'Cats are small furry pets that purr and sleep all day', metadata: { source: 'pets', year: 2023, tags: ['animals'] } },
+    { id: 'dogs', text: 'Dogs are loyal pets that bark and love long walks', metadata: { source: 'pets', year: 2024, tags: ['animals'] } },
+    { id: 'tax', text: 'Lodge your tax return before the end of October', metadata: { source: 'finance', year: 2024 } }
+  ];
+
+  test('indexes documents and finds the closest match', async () => {
+    const indexed = await indexDocs({ index: 'kb', documents });
+    assert.equal(indexed.status, 200);
+    assert.deepEqual(indexed.body.documents.map(({ id, chunks, replaced }) => [id, chunks, replaced]),
+      [['cats', 1, false], ['dogs', 1, false], ['tax', 1, false]]);
+    assert.equal(indexed.body.index.model, 'text_embedding_004');
+    assert.equal(indexed.body.index.document_count, 3);
+    assert.equal(indexed.body.index.client, undefined);
+
+    const { status, body } = await search({ index: 'kb', query: 'when is my tax return due', top_k: 2 });
+    assert.equal(status, 200);
+    assert.equal(body.results.length, 2);
+    assert.equal(body.results[0].document_id, 'tax');
+    assert.equal(body.results[0].text, documents[2].text);
+    assert.deepEqual(body.results[0].metadata, { source: 'finance', year: 2024 });
+    assert.ok(body.results[0].score > body.results[1].score);
+    assert.equal(body.searched, 3);
+  });
+
+  test('filters on metadata', async () => {
+    const pets = await search({ index: 'kb', query: 'tax return', filter: { source: 'pets' } });
+    assert.deepEqual(pets.body.results.map(result => result.document_id).sort(), ['cats', 'dogs']);
+
+    const recent = await search({ index: 'kb', query: 'pets', filter: { year: { gte: 2024 }, tags: { exists: true } } });
+    assert.deepEqual(recent.body.results.map(result => result.document_id), ['dogs']);
+
+    const either = await search({ index: 'kb', query: 'pets', filter: { source: { in: ['finance', 'other'] } } });
+    assert.deepEqual(either.body.results.map(result => result.document_id), ['tax']);
+
+    const unknown = await search({ index: 'kb', query: 'pets', filter: { year: { after: 2020 } } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown filter operator: after/);
+  });
+
+  test('chunks long documents and replaces documents by id', async () => {
+    const paragraph = 'Solar panels turn sunlight into electricity for the home. '.repeat(10).trim();
+    const long = `${paragraph}\n\n${paragraph}\n\n${paragraph}`;
+    const { body } = await indexDocs({ index: 'chunked', documents: [{ id: 'solar', text: long }], chunk_size: 700 });
+    assert.equal(body.documents[0].chunks, 3);
+
+    const replaced = await indexDocs({ index: 'chunked', documents: [{ id: 'solar', text: 'Wind turbines' }] });
+    assert.deepEqual(replaced.body.documents, [{ id: 'solar', chunks: 1, replaced: true }]);
+    assert.equal(replaced.body.index.chunk_count, 1);
+
+    const found = await search({ index: 'chunked', query: 'wind', min_score: 0.5 });
+    assert.deepEqual(found.body.results.map(result => [result.document_id, result.chunk]), [['solar', 0]]);
+  });
+
+  test('keeps the model an index was created with', async () => {
+    const created = await indexDocs({ index: 'minilm', model: 'all_minilm_l6_v2', documents: [{ text: 'Paris is in France' }] });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.index.dimensions, 384);
+    assert.match(created.body.documents[0].id, /^doc_[a-f0-9]{16}$/);
+
+    const mismatch = await indexDocs({ index: 'minilm', model: 'text_embedding_004', documents: [{ text: 'x' }] });
+    assert.equal(mismatch.status, 409);
+
+    const later = await indexDocs({ index: 'minilm', documents: [{ text: 'Berlin is in Germany' }] });
+    assert.equal(later.body.index.model, 'all_minilm_l6_v2');
+    const { body } = await search({ index: 'minilm', query: 'France' });
+    assert.equal(body.results[0].text, 'Paris is in France');
+  });
+
+  test('validates documents', async () => {
+    assert.equal((await indexDocs({ documents: [] })).status, 400);
+    assert.equal((await indexDocs({ index: 'Bad Name', documents: [{ text: 'x' }] })).status, 400);
+    assert.equal((await indexDocs({ documents: [{ id: 'a', text: 'x' }, { id: 'a', text: 'y' }] })).status, 400);
+    const nested = await indexDocs({ documents: [{ text: 'x', metadata: { author: { name: 'A' } } }] });
+    assert.equal(nested.status, 400);
+    assert.match(nested.body.error, /Metadata field author/);
+    assert.equal((await search({ index: 'missing', query: 'x' })).status, 404);
+  });
+
+  test('lists, describes and deletes indexes and documents', async () => {
+    await indexDocs({ index: 'crud', documents: documents.slice(0, 2) });
+    const headers = auth();
+
+    const list = await request(api.url, '/api/vector-indexes', { headers });
+    assert.ok(list.body.indexes.some(index => index.name === 'crud' && index.document_count === 2));
+
+    const described = await request(api.url, '/api/vector-indexes/crud', { headers });
+    assert.deepEqual(described.body.documents.map(document => [document.id, document.chunks]), [['cats', 1], ['dogs', 1]]);
+    assert.equal(described.body.documents[0].vector, undefined);
+
+    const removed = await request(api.url, '/api/vector-indexes/crud/documents/cats', { method: 'DELETE', headers });
+    assert.deepEqual(removed.body.deleted, ['cats']);
+    assert.equal(removed.body.index.document_count, 1);
+    assert.equal((await request(api.url, '/api/vector-indexes/crud/documents/cats', { method: 'DELETE', headers })).status, 404);
+
+    assert.equal((await request(api.url, '/api/vector-indexes/crud', { method: 'DELETE', headers })).status, 200);
+    assert.equal((await request(api.url, '/api/vector-indexes/crud', { headers })).status, 404);
+    assert.equal((await search({ index: 'crud', query: 'dogs' })).status, 404);
+
+    // Two deletes racing for one index: one wins, the other finds it gone
+    await indexDocs({ index: 'raced', documents: documents.slice(0, 1) });
+    const deletes = await Promise.all([1, 2].map(() => request(api.url, '/api/vector-indexes/raced', { method: 'DELETE', headers })));
+    assert.deepEqual(deletes.map(result => result.status).sort(), [200, 404]);
+    assert.match(deletes.find(result => result.status === 404).body.error, /Vector index not found: raced/);
+  });
+
+  test('indexes belong to the client that created them', async () => {
+    const { api_key } = await createKey({ name: 'other indexer', scopes: ['embeddings'] });
+    assert.equal((await search({ index: 'kb', query: 'tax' }, auth(api_key))).status, 404);
+    assert.equal((await request(api.url, '/api/vector-indexes/kb', { headers: auth(api_key) })).status, 404);
+
+    await indexDocs({ index: 'kb', documents: [{ id: 'mine', text: 'A separate index' }] }, auth(api_key));
+    const { body } = await search({ index: 'kb', query: 'index' }, auth(api_key));
+    assert.deepEqual(body.results.map(result => result.document_id), ['mine']);
+  });
+
+  test('requires the embeddings scope', async () => {
+    const { api_key } = await createKey({ name: 'text only', scopes: ['text'] });
+    assert.equal((await search({ query: 'x' }, auth(api_key))).status, 403);
+    assert.equal((await post('/api/embeddings', { input: 'x' }, auth(api_key))).status, 403);
+    assert.equal((await request(api.url, '/api/vector-indexes', { headers: auth(api_key) })).status, 403);
+  });
+});
+
+describe('usage routes', () => {
+  test('GET /api/usage only shows the caller\'s usage', async () => {
+    const { api_key, id } = await createKey({ name: 'usage check' });
+    await post('/api/analyze-text', { text: 'usage is billed to me', cache: false }, auth(api_key));
+
+    const { status, body } = await request(api.url, '/api/usage', { headers: auth(api_key) });
+    assert.equal(status, 200);
+    assert.equal(body.client, id);
+    assert.equal(body.totals.requests, 1);
+    assert.deepEqual(Object.keys(body.by_client), [id]);
+    assert.ok(body.by_model.gemini_pro.cost_usd > 0);
+  });
+
+  test('GET /api/usage validates dates', async () => {
+    const { status, body } = await request(api.url, '/api/usage?from=yesterday', { headers: auth() });
+    assert.equal(status, 400);
+    assert.match(body.error, /YYYY-MM-DD/);
+  });
+
+  test('GET /admin/usage covers every client and filters by client', async () => {
+    const all = await request(api.url, '/admin/usage', { headers: admin });
+    assert.equal(all.status, 200);
+    assert.ok(Object.keys(all.body.by_client).length > 1);
+
+    const [client] = Object.keys(all.body.by_client);
+    const one = await request(api.url, `/admin/usage?client=${client}`, { headers: admin });
+    assert.deepEqual(Object.keys(one.body.by_client), [client]);
+  });
+
+  test('GET /admin/usage returns empty totals outside the range', async () => {
+    const { body } = await request(api.url, '/admin/usage?from=2000-01-01&to=2000-01-31', { headers: admin });
+    assert.equal(body.totals.requests, 0);
+    assert.deepEqual(body.by_day, {});
+  });
+});
+
+describe('MCP over HTTP', () => {
+  // Opens the SSE stream and returns a reader for its events plus the POST endpoint
+  async function openSession(basePath, key = apiKey) {
+    const controller = new AbortController();
+    const response = await fetch(`${api.url}${basePath}/sse`, { headers: auth(key), signal: controller.signal });
+    assert.equal(response.status, 200);
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    async function nextEvent() {
+      while (!buffer.includes('\n\n')) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error('SSE stream closed');
+        buffer += value;
+      }
+      const end = buffer.indexOf('\n\n');
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return { event, data };
+    }
+
+    const endpoint = await nextEvent();
+    assert.equal(endpoint.event, 'endpoint');
+    return { endpoint: endpoint.data, key, nextEvent, close: () => controller.abort() };
+  }
+
+  async function rpc(session, id, method, params) {
+    const { status } = await request(api.url, session.endpoint, {
+      method: 'POST',
+      body: { jsonrpc: '2.0', id, method, params },
+      headers: auth(session.key)
+    });
+    assert.equal(status, 202);
+    const { data } = await session.nextEvent();
+    return JSON.parse(data);
+  }
+
+  test('/mcp serves the shared tools', async () => {
+    const session = await openSession('/mcp');
+    try {
+      const init = await rpc(session, 1, 'initialize', {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test', version: '1.0.0' }
+      });
+      assert.equal(init.result.serverInfo.name, 'curam-ai-mcp-server');
+
+      const list = await rpc(session, 2, 'tools/list', {});
+      assert.ok(list.result.tools.some(tool => tool.name === 'compare_gemini_models'));
+
+      const call = await rpc(session, 3, 'tools/call', { name: 'analyze_text', arguments: { text: 'over http' } });
+      assert.match(JSON.parse(call.result.content[0].text).analysis, /over http/);
+    } finally {
+      session.close();
+    }
+  });
+
+  test('/mcp/advanced scopes context sessions to the API key', async () => {
+    const { api_key, id } = await createKey({ name: 'mcp sessions' });
+    const learn = (session, rpcId, sessionId) => rpc(session, rpcId, 'tools/call', {
+      name: 'learn_user_patterns',
+      arguments: { interaction_data: { style: 'terse' }, feedback_type: 'positive', session_id: sessionId }
+    });
+    const preferences = async (session, rpcId, uri) => {
+      const read = await rpc(session, rpcId, 'resources/read', { uri });
+      return read.error || JSON.parse(read.result.contents[0].text);
+    };
+
+    const first = await openSession('/mcp/advanced', api_key);
+    try {
+      const resources = await rpc(first, 1, 'resources/list', {});
+      assert.ok(resources.result.resources.some(resource => resource.uri === `context://conversation/${id}:default`));
+      await learn(first, 2, 'work');
+    } finally {
+      first.close();
+    }
+
+    // The same key sees its session again after reconnecting, by either name
+    const second = await openSession('/mcp/advanced', api_key);
+    try {
+      assert.equal((await preferences(second, 1, 'context://user-preferences/work')).last_feedback.feedback, 'positive');
+      assert.equal((await preferences(second, 2, `context://user-preferences/${id}:work`)).last_feedback.feedback, 'positive');
+    } finally {
+      second.close();
+    }
+
+    // Another key's "work" session is its own, and it cannot name the first key's
+    const other = await openSession('/mcp/advanced');
+    try {
+      assert.deepEqual(await preferences(other, 1, 'context://user-preferences/work'), {});
+      assert.match((await preferences(other, 2, `context://user-preferences/${id}:work`)).message, /session_id must be/);
+      const meta = await rpc(other, 3, 'resources/read', { uri: 'context://conversation', _meta: { session_id: `${id}:work` } });
+      assert.match(meta.error.message, /session_id must be/);
+      assert.match((await learn(other, 4, `${id}:work`)).error.message, /session_id must be/);
+    } finally {
+      other.close();
+    }
+  });
+
+  test('rejects connections without a key', async () => {
+    for (const basePath of ['/mcp', '/mcp/advanced']) {
+      const response = await fetch(`${api.url}${basePath}/sse`);
+      assert.equal(response.status, 401);
+      await response.body.cancel();
+    }
+  });
+
+  test('checks the tool scope for each call', async () => {
+    const { api_key } = await createKey({ name: 'mcp images only', scopes: ['image'] });
+    const session = await openSession('/mcp', api_key);
+    try {
+      const call = await rpc(session, 1, 'tools/call', { name: 'analyze_text', arguments: { text: 'no scope' } });
+      assert.match(call.error.message, /"text" scope/);
+      assert.equal(call.error.data.status, 403);
+    } finally {
+      session.close();
+    }
+  });
+
+  test('counts tool calls against the daily quota', async () => {
+    const { api_key } = await createKey({ name: 'mcp quota', daily_quota: 1 });
+    const session = await openSession('/mcp/advanced', api_key);
+    try {
+      const first = await rpc(session, 1, 'tools/list', {});
+      assert.ok(first.result.tools.length > 0);
+      const allowed = await rpc(session, 2, 'tools/call', { name: 'get_prompt_template', arguments: { name: 'missing' } });
+      assert.equal(allowed.error?.data?.status, undefined);
+      const refused = await rpc(session, 3, 'tools/call', { name: 'get_prompt_template', arguments: { name: 'missing' } });
+      assert.equal(refused.error.data.status, 429);
+    } finally {
+      session.close();
+    }
+  });
+
+  test('checks and charges each workflow tool step', async () => {
+    const dir = path.join(TEST_DIR, 'workflows-scoped');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'save-template.json'), JSON.stringify({
+      steps: [
+        { id: 'pick', type: 'tool', tool: 'intelligent_model_selection', arguments: { task_description: 'Write a greeting' } },
+        { id: 'save', type: 'tool', tool: 'save_prompt_template', arguments: { name: 'from-workflow', template: 'Hello {{name}}' } }
+      ]
+    }));
+    const { api_key, id } = await createKey({ name: 'mcp workflow', scopes: ['text'] });
+    const session = await openSession('/mcp/advanced', api_key);
+    process.env.WORKFLOWS_DIR = dir;
+    try {
+      const call = await rpc(session, 1, 'tools/call', {
+        name: 'workflow_orchestration',
+        arguments: { workflow_name: 'save-template', input_data: {}, execution_mode: 'sequential' }
+      });
+      const result = JSON.parse(call.result.content[0].text);
+      assert.equal(result.status, 'failed');
+      assert.deepEqual(result.trace.map(step => step.status), ['completed', 'failed']);
+      assert.match(result.trace[1].error, /"prompts" scope/);
+
+      const { body } = await request(api.url, '/admin/api-keys', { headers: admin });
+      assert.equal(body.keys.find(key => key.id === id).used_today, 2);
+    } finally {
+      delete process.env.WORKFLOWS_DIR;
+      session.close();
+    }
+  });
+
+  test('bills tool calls to the key that opened the session', async () => {
+    const { api_key, id } = await createKey({ name: 'mcp usage' });
+    const session = await openSession('/mcp', api_key);
+    try {
+      await rpc(session, 1, 'tools/call', { name: 'analyze_text', arguments: { text: 'billed over mcp', cache: false } });
+      const { body } = await request(api.url, '/api/usage', { headers: auth(api_key) });
+      assert.equal(body.totals.requests, 1);
+      assert.deepEqual(Object.keys(body.by_client), [id]);
+    } finally {
+      session.close();
+    }
+  });
+
+  test('rejects messages from another key', async () => {
+    const session = await openSession('/mcp');
+    try {
+      const { api_key } = await createKey({ name: 'mcp intruder' });
+      const { status } = await request(api.url, session.endpoint, {
+        method: 'POST',
+        body: { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        headers: auth(api_key)
+      });
+      assert.equal(status, 403);
+    } finally {
+      session.close();
+    }
+  });
+
+  test('rejects messages for unknown sessions', async () => {
+    const { status } = await request(api.url, '/mcp/messages?sessionId=missing', {
+      method: 'POST',
+      body: { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      headers: auth()
+    });
+    assert.equal(status, 404);
+  });
+});
@@ -0,0 +1,46 @@
+// test/storage.test.js - Context storage backends, retention and sharing between processes
+import { TEST_DIR } from './helpers.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_SESSION_ID, FileContextStorage, MemoryContextStorage } from '../lib/storage.js';
+
+const entry = (text) => ({ text, timestamp: new Date().toISOString() });
+
+test('file storage keeps writes from every process', async () => {
+  const filePath = path.join(TEST_DIR, 'context-shared.json');
+  const stdio = new FileContextStorage({ filePath });
+  const http = new FileContextStorage({ filePath });
+
+  await stdio.appendHistory('alice', entry('from stdio'));
+  await http.appendHistory('bob', entry('from http'));
+  await stdio.setPreference('bob', 'tone', 'formal');
+
+  assert.deepEqual((await http.getHistory('alice')).map(item => item.text), ['from stdio']);
+  assert.deepEqual(await http.getPreferences('bob'), { tone: 'formal' });
+  assert.deepEqual((await stdio.listSessions()).map(session => session.session_id).sort(), ['alice', 'bob']);
+});
+
+test('writes drop idle sessions and the oldest beyond maxSessions', async () => {
+  const storage = new MemoryContextStorage({ maxSessions: 2, historyMaxAgeDays: 1 });
+  storage.data.sessions.idle = { history: [], preferences: {}, updated_at: new Date(Date.now() - 2 * 86400000).toISOString() };
+
+  for (const sessionId of ['first', 'second', 'third']) {
+    await storage.appendHistory(sessionId, entry(sessionId));
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.deepEqual((await storage.listSessions()).map(session => session.session_id).sort(), ['second', 'third']);
+});
+
+test('file storage migrates files written before sessions existed', async () => {
+  const filePath = path.join(TEST_DIR, 'context-legacy.json');
+  await fs.writeFile(filePath, JSON.stringify({ history: [entry('old')], preferences: { tone: 'casual' } }));
+  const storage = new FileContextStorage({ filePath });
+
+  assert.deepEqual(await storage.getPreferences(DEFAULT_SESSION_ID), { tone: 'casual' });
+  await storage.appendHistory(DEFAULT_SESSION_ID, entry('new'));
+  const saved = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  assert.deepEqual(Object.keys(saved), ['sessions']);
+  assert.deepEqual(saved.sessions[DEFAULT_SESSION_ID].history.map(item => item.text), ['old', 'new']);
+});